@@ -0,0 +1,80 @@
+/**
+ * Anthropic Client
+ *
+ * Used by the Anthropic response generator (see llm.js), which writes the
+ * Phase 2 answer and the translated companion post. Every call goes through
+ * the provider limiter and is recorded in the cost ledger.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { withProvider } from './providers.js';
+import { isOffline, createFakeAnthropicClient } from './offline.js';
+import { recordUsage } from './costs.js';
+
+export const CLAUDE_MODEL = 'claude-sonnet-4-20250514';
+
+/**
+ * Initialize Anthropic client
+ *
+ * In offline mode a local stand-in is returned instead (see offline.js),
+ * answering requests of the given kind.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.kind] - What the client is asked for: "response", "dialogue", "translation", ...
+ */
+export function getAnthropicClient({ kind } = {}) {
+  if (isOffline()) {
+    return createFakeAnthropicClient({ kind });
+  }
+
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('ANTHROPIC_API_KEY environment variable not set');
+  }
+
+  return new Anthropic({ apiKey });
+}
+
+/**
+ * Call Claude and record the usage in the cost ledger
+ *
+ * @param {Object} request - Passed to messages.create() (model defaults to CLAUDE_MODEL)
+ * @param {Object} options
+ * @param {string} options.job - Audio file name, for the ledger
+ * @param {number} options.phase - Pipeline phase, for the ledger
+ * @param {Function} [options.onText] - Streams the response, passing each piece of text as it arrives
+ * @param {string} [options.kind] - What is asked for, for the offline stand-in (default "response")
+ * @returns {Object} { text, usage, message }
+ */
+export async function generateWithUsage(request, { job, phase, onText, kind = 'response' }) {
+  const anthropic = getAnthropicClient({ kind });
+  const model = request.model || CLAUDE_MODEL;
+
+  const message = await withProvider('anthropic', () => {
+    if (!onText) {
+      return anthropic.messages.create({ ...request, model });
+    }
+    const stream = anthropic.messages.stream({ ...request, model });
+    stream.on('text', onText);
+    return stream.finalMessage();
+  });
+
+  const text = message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n\n');
+
+  const usage = await recordUsage({
+    job,
+    phase,
+    provider: 'anthropic',
+    model,
+    inputTokens: message.usage.input_tokens,
+    outputTokens: message.usage.output_tokens,
+  });
+
+  return { text, usage, message };
+}
+
+export default { CLAUDE_MODEL, getAnthropicClient, generateWithUsage };
@@ -0,0 +1,277 @@
+/**
+ * Audio Chunking
+ *
+ * Splits long recordings into pieces small enough to transcribe one at a
+ * time. Cuts are placed in the middle of silences detected by ffmpeg's
+ * silencedetect filter, so no word is cut in half. Where a stretch of audio
+ * has no usable silence (e.g. continuous background noise), the chunk is cut
+ * at the maximum length and the next one starts a little earlier so the
+ * overlap can be de-duplicated when the transcripts are merged.
+ *
+ * Tuning (seconds):
+ *   PHASE1_CHUNK_THRESHOLD_SECONDS  Recordings longer than this are chunked (600)
+ *   PHASE1_CHUNK_SECONDS            Preferred chunk length, capped at the hard limit (300)
+ *   PHASE1_CHUNK_MAX_SECONDS        Hard limit when no silence is found, over 2 (420)
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { readNumberEnv } from './retry.js';
+
+const execFileAsync = promisify(execFile);
+
+// Gemini rejects inline requests over 20 MB; leave room for the base64 overhead
+const MAX_INLINE_BYTES = 14 * 1024 * 1024;
+
+// Overlap added before a hard cut so the words around it appear in both chunks
+const HARD_CUT_OVERLAP_SECONDS = 2;
+
+/**
+ * Get the chunking settings
+ */
+export function getChunkSettings() {
+  // A hard cut steps back by the overlap, so a chunk has to be longer than that
+  const maxSeconds = readNumberEnv('PHASE1_CHUNK_MAX_SECONDS', 420, { min: HARD_CUT_OVERLAP_SECONDS + 1 });
+  return {
+    thresholdSeconds: readNumberEnv('PHASE1_CHUNK_THRESHOLD_SECONDS', 600, { min: 1 }),
+    targetSeconds: Math.min(readNumberEnv('PHASE1_CHUNK_SECONDS', 300, { min: 1 }), maxSeconds),
+    maxSeconds,
+  };
+}
+
+/**
+ * Get audio duration in seconds using ffprobe
+ */
+export async function getAudioDuration(audioPath) {
+  const { stdout } = await execFileAsync('ffprobe', [
+    '-v', 'error',
+    '-show_entries', 'format=duration',
+    '-of', 'default=noprint_wrappers=1:nokey=1',
+    audioPath,
+  ]);
+  const duration = parseFloat(stdout.trim());
+  if (Number.isNaN(duration)) {
+    throw new Error(`Could not read duration of ${path.basename(audioPath)}`);
+  }
+  return duration;
+}
+
+/**
+ * Decide whether a recording is too long (or too big) to send in one request
+ *
+ * @returns {Object} { chunk, duration, reason }
+ */
+export async function shouldChunk(audioPath) {
+  const { thresholdSeconds } = getChunkSettings();
+  const [duration, stats] = await Promise.all([getAudioDuration(audioPath), fs.stat(audioPath)]);
+
+  if (duration > thresholdSeconds) {
+    return { chunk: true, duration, reason: `${Math.round(duration)}s is over ${thresholdSeconds}s` };
+  }
+  if (stats.size > MAX_INLINE_BYTES) {
+    return { chunk: true, duration, reason: `${(stats.size / 1024 / 1024).toFixed(1)} MB is too large to send inline` };
+  }
+  return { chunk: false, duration };
+}
+
+/**
+ * Read the silences ffmpeg's silencedetect filter logged
+ *
+ * @param {string} stderr - ffmpeg output
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Recording length; closes a silence still open at the end
+ * @returns {Object[]} [{ start, end }] in seconds
+ */
+export function parseSilences(stderr, { duration } = {}) {
+  const silences = [];
+  let start = null;
+  for (const line of stderr.split('\n')) {
+    const startMatch = /silence_start: (-?[\d.]+)/.exec(line);
+    if (startMatch) {
+      start = Math.max(0, parseFloat(startMatch[1]));
+      continue;
+    }
+    const endMatch = /silence_end: ([\d.]+)/.exec(line);
+    if (endMatch && start !== null) {
+      silences.push({ start, end: parseFloat(endMatch[1]) });
+      start = null;
+    }
+  }
+
+  if (start !== null && duration !== undefined && duration > start) {
+    silences.push({ start, end: duration });
+  }
+
+  return silences;
+}
+
+/**
+ * Find silences with ffmpeg's silencedetect filter
+ *
+ * @param {string} audioPath
+ * @param {Object} options
+ * @param {number} options.noiseDb - Level below which audio counts as silence
+ * @param {number} options.minSeconds - Shortest silence worth cutting at
+ * @returns {Object[]} [{ start, end }] in seconds
+ */
+export async function detectSilences(audioPath, { noiseDb = -30, minSeconds = 0.5 } = {}) {
+  // silencedetect logs to stderr; the decoded audio itself is discarded
+  const { stderr } = await execFileAsync('ffmpeg', [
+    '-hide_banner', '-nostats',
+    '-i', audioPath,
+    '-af', `silencedetect=noise=${noiseDb}dB:d=${minSeconds}`,
+    '-f', 'null', '-',
+  ], { maxBuffer: 10 * 1024 * 1024 });
+
+  return parseSilences(stderr);
+}
+
+/**
+ * Plan chunk boundaries
+ *
+ * Each cut goes in the middle of the silence closest to the preferred chunk
+ * length, looking no earlier than half of it and no later than the maximum.
+ *
+ * @param {number} duration - Recording length in seconds
+ * @param {Object[]} silences - Output of detectSilences()
+ * @param {Object} settings - { targetSeconds, maxSeconds }
+ * @returns {Object[]} [{ index, start, end, hardCut }]
+ */
+export function planChunks(duration, silences, { targetSeconds, maxSeconds }) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < duration) {
+    if (duration - start <= maxSeconds) {
+      chunks.push({ index: chunks.length, start, end: duration, hardCut: false });
+      break;
+    }
+
+    const ideal = start + targetSeconds;
+    const candidates = silences
+      .map(silence => (silence.start + silence.end) / 2)
+      .filter(point => point >= start + targetSeconds / 2 && point <= start + maxSeconds);
+
+    if (candidates.length > 0) {
+      const cut = candidates.reduce((best, point) => (Math.abs(point - ideal) < Math.abs(best - ideal) ? point : best));
+      chunks.push({ index: chunks.length, start, end: cut, hardCut: false });
+      start = cut;
+    } else {
+      const cut = start + maxSeconds;
+      chunks.push({ index: chunks.length, start, end: cut, hardCut: true });
+      // Never step back so far that the next chunk starts where this one did
+      start = Math.max(cut - HARD_CUT_OVERLAP_SECONDS, start + maxSeconds / 2);
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Cut a recording into chunk files
+ *
+ * Chunks are re-encoded as small mono MP3s, which is plenty for speech.
+ *
+ * @param {string} audioPath - Source recording
+ * @param {Object[]} chunks - Output of planChunks()
+ * @param {string} outputDir - Where to write the chunk files
+ * @returns {Object[]} Chunks with a `path` added
+ */
+export async function splitAudio(audioPath, chunks, outputDir) {
+  await fs.mkdir(outputDir, { recursive: true });
+  const { name } = path.parse(audioPath);
+
+  const written = [];
+  for (const chunk of chunks) {
+    const chunkPath = path.join(outputDir, `${name}-chunk-${String(chunk.index).padStart(3, '0')}.mp3`);
+    await execFileAsync('ffmpeg', [
+      '-y', '-hide_banner', '-loglevel', 'error',
+      '-ss', chunk.start.toFixed(3), '-to', chunk.end.toFixed(3),
+      '-i', audioPath,
+      '-ac', '1', '-ar', '16000', '-b:a', '48k',
+      chunkPath,
+    ]);
+    written.push({ ...chunk, path: chunkPath });
+  }
+
+  return written;
+}
+
+/**
+ * Split a recording at silences
+ *
+ * @param {string} audioPath - Source recording
+ * @param {string} outputDir - Where to write the chunk files
+ * @param {number} duration - Recording length in seconds
+ * @returns {Object[]} [{ index, start, end, hardCut, path }]
+ */
+export async function chunkAudio(audioPath, outputDir, duration) {
+  const settings = getChunkSettings();
+  const silences = await detectSilences(audioPath);
+  const chunks = planChunks(duration, silences, settings);
+
+  console.log(
+    `Splitting ${path.basename(audioPath)} into ${chunks.length} chunk(s) ` +
+    `(${silences.length} silences found, ${chunks.filter(chunk => chunk.hardCut).length} hard cut(s))`
+  );
+
+  return splitAudio(audioPath, chunks, outputDir);
+}
+
+/**
+ * Normalize a word for overlap comparison
+ */
+function comparable(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+/**
+ * Merge chunk transcripts into one
+ *
+ * After a hard cut the next chunk repeats a couple of seconds of speech;
+ * the longest run of words that ends one transcript and starts the next is
+ * dropped from the second.
+ *
+ * @param {Object[]} parts - [{ text, hardCut }] where hardCut refers to the cut after this part
+ * @returns {string} Merged transcript
+ */
+export function mergeTranscripts(parts) {
+  let merged = '';
+
+  parts.forEach((part, i) => {
+    let text = part.text.trim();
+    if (!text) return;
+
+    const previous = parts[i - 1];
+    if (previous?.hardCut && merged) {
+      const tail = merged.split(/\s+/).slice(-20);
+      const words = text.split(/\s+/);
+      for (let size = Math.min(tail.length, words.length); size > 0; size--) {
+        const tailWords = tail.slice(-size).map(comparable);
+        const headWords = words.slice(0, size).map(comparable);
+        if (tailWords.every((word, j) => word === headWords[j])) {
+          text = words.slice(size).join(' ');
+          break;
+        }
+      }
+    }
+
+    merged = merged ? `${merged} ${text}` : text;
+  });
+
+  return merged;
+}
+
+export default {
+  getChunkSettings,
+  getAudioDuration,
+  shouldChunk,
+  parseSilences,
+  detectSilences,
+  planChunks,
+  splitAudio,
+  chunkAudio,
+  mergeTranscripts,
+};
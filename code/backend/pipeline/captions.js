@@ -0,0 +1,225 @@
+/**
+ * Transcript Segments and Captions
+ *
+ * Phase 1 keeps the transcript as timed segments ({ start, end, text } in
+ * seconds). Phase 3 turns segments into WebVTT and SRT caption files that
+ * sit next to the MP3s in public/audio.
+ *
+ * The TTS response has no timing information of its own, so its captions
+ * are estimated: the text is split into cues and the audio's duration is
+ * shared between them in proportion to their length.
+ */
+
+// Longest cue text, roughly two caption lines
+const MAX_CUE_CHARS = 84;
+
+/**
+ * Parse a [mm:ss] or [hh:mm:ss] timestamp into seconds
+ */
+function parseClock(value) {
+  return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Parse a transcript written as timestamped lines
+ *
+ *   [00:00] So I have been wondering...
+ *   [00:07] And the second thing is...
+ *
+ * Each segment ends where the next begins; the last ends at `duration`
+ * (or its own start if the duration is unknown). Models sometimes write
+ * timestamps past the end of the audio or out of order, so every segment is
+ * kept inside [offset, offset + duration] and segments left with no time of
+ * their own are dropped.
+ *
+ * @param {string} text - Transcript with one timestamped line per segment
+ * @param {Object} options
+ * @param {number} [options.offset] - Seconds added to every timestamp (chunk start)
+ * @param {number|null} [options.duration] - End of the last segment, relative to offset
+ * @returns {Object[]} Segments; empty if the text has no timestamps
+ */
+export function parseTimestampedText(text, { offset = 0, duration = null } = {}) {
+  const segments = [];
+
+  for (const line of text.split('\n')) {
+    const match = /^\s*\[(\d{1,2}(?::\d{1,2}){1,2}(?:\.\d+)?)\]\s*(.*)$/.exec(line);
+    if (match) {
+      if (match[2].trim()) segments.push({ start: offset + parseClock(match[1]), text: match[2].trim() });
+    } else if (line.trim() && segments.length > 0) {
+      // A line without a timestamp continues the previous segment
+      segments[segments.length - 1].text += ` ${line.trim()}`;
+    }
+  }
+
+  const limit = duration !== null ? offset + duration : Infinity;
+  const clamp = seconds => Math.min(Math.max(seconds, offset), limit);
+
+  return segments.flatMap((segment, i) => {
+    const next = segments[i + 1];
+    const start = clamp(segment.start);
+    const end = Math.max(next ? clamp(next.start) : (duration !== null ? limit : start), start);
+
+    // Without a duration the last segment has no length, but it still has words
+    if (end <= start && (next || duration !== null)) return [];
+    return [{ start: roundTime(start), end: roundTime(end), text: segment.text }];
+  });
+}
+
+/**
+ * Remove the timestamps from a timestamped transcript
+ */
+export function stripTimestamps(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/^\s*\[\d{1,2}(?::\d{1,2}){1,2}(?:\.\d+)?\]\s*/, '').trim())
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Round to milliseconds
+ */
+function roundTime(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Split text into sentences
+ */
+function splitSentences(text) {
+  return text.match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g)?.map(sentence => sentence.trim()).filter(Boolean) || [];
+}
+
+/**
+ * Break text into cue-sized pieces, at sentence and then word boundaries
+ */
+function splitCueText(text, maxChars = MAX_CUE_CHARS) {
+  const pieces = [];
+
+  for (const sentence of splitSentences(text)) {
+    let current = '';
+    for (const word of sentence.split(/\s+/)) {
+      if (current && current.length + 1 + word.length > maxChars) {
+        pieces.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+    if (current) pieces.push(current);
+  }
+
+  return pieces;
+}
+
+/**
+ * Spread a time range over pieces of text in proportion to their length
+ */
+function distribute(pieces, start, end) {
+  const totalChars = pieces.reduce((sum, piece) => sum + piece.length, 0) || 1;
+  let at = start;
+
+  return pieces.map(piece => {
+    const length = ((end - start) * piece.length) / totalChars;
+    const cue = { start: roundTime(at), end: roundTime(at + length), text: piece };
+    at += length;
+    return cue;
+  });
+}
+
+/**
+ * Estimate segments for text with no timing information
+ *
+ * @param {string} text - Plain text
+ * @param {number} duration - Length of the audio in seconds
+ * @returns {Object[]} Segments
+ */
+export function estimateSegments(text, duration) {
+  return distribute(splitCueText(text), 0, duration);
+}
+
+/**
+ * Turn transcript segments into caption cues
+ *
+ * Long segments are split into several cues sharing the segment's time.
+ */
+export function segmentsToCues(segments) {
+  return segments.flatMap(segment => distribute(splitCueText(segment.text), segment.start, segment.end));
+}
+
+/**
+ * Keep the segments inside a time range, shifted to start at zero
+ *
+ * Used for split recordings, where a post's audio is cut from the middle
+ * of the original.
+ */
+export function sliceSegments(segments, start, end) {
+  return segments
+    .map(segment => ({
+      ...segment,
+      start: Math.max(segment.start, start),
+      end: end === null ? segment.end : Math.min(segment.end, end),
+    }))
+    .filter(segment => segment.end > segment.start)
+    .map(segment => ({ ...segment, start: roundTime(segment.start - start), end: roundTime(segment.end - start) }));
+}
+
+/**
+ * Reduce markdown to the words that are read aloud
+ */
+export function markdownToPlainText(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    // Headings become sentences of their own
+    .replace(/^\s{0,3}#{1,6}\s+(.+?)[.!?]?\s*$/gm, '$1.')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_`~]/g, '')
+    .replace(/^-{3,}$/gm, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Format seconds as a caption timestamp (00:01:02.345, or 00:01:02,345 for SRT)
+ */
+function formatCueTime(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3_600_000);
+  const minutes = Math.floor((totalMs % 3_600_000) / 60_000);
+  const secs = Math.floor((totalMs % 60_000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Render cues as WebVTT
+ */
+export function toWebVTT(cues) {
+  const body = cues
+    .map(cue => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.text}`)
+    .join('\n\n');
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/**
+ * Render cues as SRT
+ */
+export function toSRT(cues) {
+  return cues
+    .map((cue, i) => `${i + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}`)
+    .join('\n\n') + '\n';
+}
+
+export default {
+  parseTimestampedText,
+  stripTimestamps,
+  estimateSegments,
+  segmentsToCues,
+  sliceSegments,
+  markdownToPlainText,
+  toWebVTT,
+  toSRT,
+};
@@ -0,0 +1,145 @@
+/**
+ * Phase Checkpoints
+ *
+ * Persists the result of each completed phase in a sidecar JSON file that
+ * lives next to the audio file being processed, e.g.
+ *
+ *   audio-queue/processing/my-note.mp3
+ *   audio-queue/processing/my-note.checkpoint.json
+ *
+ * When a job fails part-way through, the checkpoint travels with the audio
+ * into failed/ so a later resume can skip the phases that already succeeded
+ * (and that we already paid for).
+ *
+ * When a recording is split into several posts, the phases after the split
+ * are saved once per post under "part<N>.<key>" (e.g. part2.phase3).
+ *
+ * A phase can also save its progress while it runs (Phase 1 keeps each
+ * chunk's transcript of a long recording). Progress is dropped once the
+ * phase's own result is saved: Phase 1's chunk transcripts are unmasked,
+ * and finished checkpoints only ever hold the masked text (see redaction.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const CHECKPOINT_SUFFIX = '.checkpoint.json';
+
+// Per-chunk transcripts of a long recording, saved while Phase 1 runs
+export const TRANSCRIPT_CHUNKS_KEY = 'transcriptChunks';
+
+// Progress entries each phase replaces with its result
+const PROGRESS_KEYS = {
+  phase1: [TRANSCRIPT_CHUNKS_KEY],
+};
+
+/**
+ * Get the checkpoint file path for an audio file
+ */
+export function getCheckpointPath(audioFilePath) {
+  const { dir, name } = path.parse(audioFilePath);
+  return path.join(dir, `${name}${CHECKPOINT_SUFFIX}`);
+}
+
+/**
+ * Load the checkpoint for an audio file
+ *
+ * @param {string} audioFilePath - Path to the audio file
+ * @returns {Object|null} Checkpoint data, or null if none exists
+ */
+export async function loadCheckpoint(audioFilePath) {
+  try {
+    const raw = await fs.readFile(getCheckpointPath(audioFilePath), 'utf-8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read checkpoint for ${path.basename(audioFilePath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Save a completed phase result to the checkpoint
+ *
+ * @param {string} audioFilePath - Path to the audio file
+ * @param {string} phaseKey - Phase identifier (e.g. 'phase1')
+ * @param {Object} result - Result returned by the phase
+ * @returns {Object} Updated checkpoint data
+ */
+export async function saveCheckpoint(audioFilePath, phaseKey, result) {
+  const checkpoint = (await loadCheckpoint(audioFilePath)) || {
+    filename: path.basename(audioFilePath),
+    createdAt: new Date().toISOString(),
+    phases: {},
+  };
+
+  checkpoint.phases[phaseKey] = {
+    completedAt: new Date().toISOString(),
+    result,
+  };
+  for (const progressKey of PROGRESS_KEYS[phaseKey] || []) {
+    delete checkpoint.phases[progressKey];
+  }
+  checkpoint.updatedAt = new Date().toISOString();
+
+  // Write to a temp file first so a crash mid-write never corrupts the checkpoint
+  const checkpointPath = getCheckpointPath(audioFilePath);
+  const tempPath = `${checkpointPath}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(checkpoint, null, 2), 'utf-8');
+  await fs.rename(tempPath, checkpointPath);
+
+  return checkpoint;
+}
+
+/**
+ * Get the saved result for a phase, if any
+ */
+export function getCheckpointResult(checkpoint, phaseKey) {
+  return checkpoint?.phases?.[phaseKey]?.result ?? null;
+}
+
+/**
+ * Get the checkpoint key for a step output, allowing for split recordings
+ *
+ * @param {string} output - Step output key (e.g. 'phase3')
+ * @param {Object} [context] - Pipeline context the step ran in
+ */
+export function getPhaseKey(output, context) {
+  return context?.partCount ? `part${context.partIndex + 1}.${output}` : output;
+}
+
+/**
+ * Copy every saved result from a checkpoint into a pipeline context
+ *
+ * Per-part results go to context.restoredParts, where the runner picks
+ * them up when it fans out.
+ *
+ * @returns {Object} The context
+ */
+export function restoreCheckpoint(checkpoint, context) {
+  for (const phaseKey of Object.keys(checkpoint?.phases || {})) {
+    const result = getCheckpointResult(checkpoint, phaseKey);
+    const partMatch = /^part(\d+)\.(.+)$/.exec(phaseKey);
+
+    if (partMatch) {
+      const index = parseInt(partMatch[1], 10) - 1;
+      context.restoredParts = context.restoredParts || [];
+      context.restoredParts[index] = { ...context.restoredParts[index], [partMatch[2]]: result };
+    } else {
+      context[phaseKey] = result;
+    }
+  }
+
+  return context;
+}
+
+export default {
+  TRANSCRIPT_CHUNKS_KEY,
+  getCheckpointPath,
+  loadCheckpoint,
+  saveCheckpoint,
+  getCheckpointResult,
+  getPhaseKey,
+  restoreCheckpoint,
+};
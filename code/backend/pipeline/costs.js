@@ -0,0 +1,197 @@
+/**
+ * Cost Ledger
+ *
+ * Every paid provider call reports its usage with recordUsage(), which
+ * prices it from the price table and appends it to an append-only JSONL
+ * ledger (code/backend/data/cost-ledger.jsonl, or COST_LEDGER_PATH):
+ *
+ *   {"at":"...","job":"my-note.mp3","phase":1,"provider":"gemini","model":"gemini-2.0-flash-exp",
+ *    "inputTokens":5120,"outputTokens":610,"costUsd":0.003828}
+ *
+ * Phases also return their usage entries (result.usage), so a post's total
+ * survives checkpoints and resumes and can be written into its frontmatter.
+ *
+ * Prices are in USD. The built-in table below is a starting point; put
+ * corrections or new models in a JSON file with the same shape and point
+ * PRICE_TABLE_PATH at it. Entries there replace the built-in ones per model.
+ *
+ * MONTHLY_BUDGET_USD caps spend per calendar month (UTC). Once the ledger
+ * reaches it, the queue stops starting new jobs until the next month.
+ */
+
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isOffline } from './offline.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Token prices are per million tokens, image prices per generated image
+const DEFAULT_PRICES = {
+  'gemini-2.0-flash-exp': { inputPerMillion: 0.70, outputPerMillion: 0.40 }, // audio input rate
+  'gemini-2.5-flash-preview-tts': { inputPerMillion: 0.50, outputPerMillion: 10.00 },
+  'claude-sonnet-4-20250514': { inputPerMillion: 3.00, outputPerMillion: 15.00 },
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.60 },
+  'replicate:stability-ai/sdxl': { perImage: 0.005 },
+  'stability:stable-diffusion-xl-1024-v1-0': { perImage: 0.01 },
+};
+
+let priceTable = null;
+const warnedModels = new Set();
+
+/**
+ * Get the ledger file path
+ */
+export function getLedgerPath() {
+  return process.env.COST_LEDGER_PATH || path.join(__dirname, '../data/cost-ledger.jsonl');
+}
+
+/**
+ * Load the price table (built-in prices plus PRICE_TABLE_PATH overrides)
+ */
+export function getPriceTable() {
+  if (priceTable) {
+    return priceTable;
+  }
+
+  priceTable = { ...DEFAULT_PRICES };
+
+  if (process.env.PRICE_TABLE_PATH) {
+    // Read synchronously once: a broken price table should stop the run up front
+    const overrides = JSON.parse(readFileSync(process.env.PRICE_TABLE_PATH, 'utf-8'));
+    Object.assign(priceTable, overrides);
+  }
+
+  return priceTable;
+}
+
+/**
+ * Work out the cost of one provider call
+ *
+ * @param {Object} usage - { model, inputTokens, outputTokens, images }
+ * @returns {number|null} Cost in USD, or null if the model has no price
+ */
+export function priceUsage({ model, inputTokens = 0, outputTokens = 0, images = 0 }) {
+  const price = getPriceTable()[model];
+  if (!price) {
+    return null;
+  }
+
+  return (
+    (inputTokens * (price.inputPerMillion || 0)) / 1_000_000 +
+    (outputTokens * (price.outputPerMillion || 0)) / 1_000_000 +
+    images * (price.perImage || 0)
+  );
+}
+
+/**
+ * Record the usage of one provider call in the ledger
+ *
+ * @param {Object} usage
+ * @param {string} usage.job - Audio file name the call was made for
+ * @param {number} usage.phase - Pipeline phase
+ * @param {string} usage.provider - 'gemini' | 'anthropic' | 'replicate' | 'stability' | ...
+ * @param {string} usage.model - Key into the price table
+ * @param {number} [usage.inputTokens]
+ * @param {number} [usage.outputTokens]
+ * @param {number} [usage.images]
+ * @returns {Object} The ledger entry, for the phase to keep in its result
+ */
+export async function recordUsage(usage) {
+  const offline = isOffline();
+  let costUsd = offline ? 0 : priceUsage(usage);
+
+  if (costUsd === null) {
+    if (!warnedModels.has(usage.model)) {
+      warnedModels.add(usage.model);
+      console.warn(`No price for ${usage.model} - add it to the price table (PRICE_TABLE_PATH). Counting it as $0.`);
+    }
+    costUsd = 0;
+  }
+
+  const entry = {
+    at: new Date().toISOString(),
+    ...usage,
+    costUsd: Math.round(costUsd * 1_000_000) / 1_000_000,
+    ...(offline && { offline: true }),
+  };
+
+  // A ledger write failure should not lose the work that was just paid for
+  try {
+    const ledgerPath = getLedgerPath();
+    await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+    await fs.appendFile(ledgerPath, JSON.stringify(entry) + '\n', 'utf-8');
+  } catch (error) {
+    console.error('Failed to write cost ledger:', error.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Sum the cost of a list of usage entries
+ */
+export function totalCost(entries = []) {
+  const total = entries.reduce((sum, entry) => sum + (entry?.costUsd || 0), 0);
+  return Math.round(total * 1_000_000) / 1_000_000;
+}
+
+/**
+ * Total spend recorded for a calendar month
+ *
+ * @param {Date} [date] - Any date in the month (default: now)
+ * @returns {number} Spend in USD
+ */
+export async function getMonthlySpend(date = new Date()) {
+  const month = date.toISOString().slice(0, 7);
+
+  let raw;
+  try {
+    raw = await fs.readFile(getLedgerPath(), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.at?.startsWith(month)) entries.push(entry);
+    } catch {
+      // Ignore a torn final line
+    }
+  }
+
+  return totalCost(entries);
+}
+
+/**
+ * Check the month's spend against MONTHLY_BUDGET_USD
+ *
+ * @returns {Object} { budget, spent, exceeded } (budget is null when unset)
+ */
+export async function checkBudget() {
+  const budget = parseFloat(process.env.MONTHLY_BUDGET_USD);
+  if (Number.isNaN(budget) || budget <= 0) {
+    return { budget: null, spent: null, exceeded: false };
+  }
+
+  const spent = await getMonthlySpend();
+  return { budget, spent, exceeded: spent >= budget };
+}
+
+export default {
+  getLedgerPath,
+  getPriceTable,
+  priceUsage,
+  recordUsage,
+  totalCost,
+  getMonthlySpend,
+  checkBudget,
+};
@@ -0,0 +1,213 @@
+/**
+ * Podcast Dialogue
+ *
+ * Instead of one voice reading the answer, a job can be published as a
+ * conversation between two hosts. Phase 2 writes the answer as usual, then
+ * has the same model rewrite it as a script of alternating turns (a
+ * "dialogue" prompt template, see templates.js). Phase 3 reads the script
+ * with a voice per host, Phase 5 publishes it with the post and Phase 6
+ * translates it.
+ *
+ * Phase 3 renders the script in one of two ways:
+ *   multi-speaker  Gemini's multi-speaker TTS reads several turns per
+ *                  request, so the hosts react to each other naturally
+ *   turns          Each turn is read on its own in its host's voice and
+ *                  the pieces are joined in order
+ *
+ *   DIALOGUE_MODE    "true" to turn every job into a dialogue (default: off)
+ *   DIALOGUE_HOSTS   The two host names (Alex,Sam)
+ *   DIALOGUE_VOICES  A Gemini prebuilt voice per host (Puck,Kore)
+ *   DIALOGUE_TTS     multi-speaker (default) or turns
+ *
+ * A job manifest overrides DIALOGUE_MODE with "dialogue": true or false, or
+ * with an object that also overrides the rest:
+ *   "dialogue": { "hosts": ["Ana", "Ben"], "voices": ["Zephyr", "Charon"], "tts": "turns" }
+ */
+
+import { ERROR_CLASSES, permanentError } from './retry.js';
+import { generateResponse } from './llm.js';
+import { DEFAULT_LANGUAGE, getLanguageName } from './languages.js';
+import { getCompanionTemplate, renderTemplate, formatTemplateRef } from './templates.js';
+
+export const DIALOGUE_RENDERERS = ['multi-speaker', 'turns'];
+
+const DEFAULT_HOSTS = ['Alex', 'Sam'];
+const DEFAULT_VOICES = ['Puck', 'Kore'];
+const DEFAULT_RENDERER = 'multi-speaker';
+
+// Requests for a script before giving up on a model that ignores the format
+const SCRIPT_ATTEMPTS = 3;
+
+/**
+ * Read a comma-separated list from the environment
+ */
+function readListEnv(name, fallback) {
+  const values = (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+  return values.length > 0 ? values : fallback;
+}
+
+/**
+ * Work out whether a job becomes a dialogue, and with which hosts
+ *
+ * @param {Object} [manifest] - Job manifest (see manifest.js)
+ * @returns {Object|null} { hosts, voices, tts }, or null for a single-voice reading
+ */
+export function getDialogueSettings(manifest) {
+  const option = manifest?.dialogue;
+  const enabled = option === undefined ? process.env.DIALOGUE_MODE === 'true' : option !== false;
+  if (!enabled) return null;
+
+  const overrides = typeof option === 'object' ? option : {};
+  const hosts = overrides.hosts || readListEnv('DIALOGUE_HOSTS', DEFAULT_HOSTS);
+  const voices = overrides.voices || readListEnv('DIALOGUE_VOICES', DEFAULT_VOICES);
+  const tts = overrides.tts || process.env.DIALOGUE_TTS || DEFAULT_RENDERER;
+
+  if (hosts.length !== 2 || hosts[0].toLowerCase() === hosts[1].toLowerCase()) {
+    throw permanentError(`A dialogue needs two different host names, got ${JSON.stringify(hosts)}`);
+  }
+  if (voices.length !== 2) {
+    throw permanentError(`A dialogue needs one voice per host, got ${JSON.stringify(voices)}`);
+  }
+  if (!DIALOGUE_RENDERERS.includes(tts)) {
+    throw permanentError(`Unknown dialogue TTS "${tts}" (available: ${DIALOGUE_RENDERERS.join(', ')})`);
+  }
+
+  return { hosts, voices, tts };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a script into turns
+ *
+ * A line starting with a host's name and a colon ("Sam: ...", "**Sam:** ...")
+ * starts a turn; other lines carry on the turn before. Anything before the
+ * first turn (a title, a preamble) is dropped.
+ *
+ * @param {string} text - Script as written by the model
+ * @param {string[]} hosts - The two host names
+ * @returns {Object[]} [{ speaker, text }], with consecutive lines by the same host merged
+ */
+export function parseDialogue(text, hosts) {
+  const pattern = new RegExp(`^[\\s>*_-]*(${hosts.map(escapeRegExp).join('|')})[\\s*_]*:[\\s*_]*(.*)$`, 'i');
+  const turns = [];
+
+  for (const line of String(text || '').split('\n')) {
+    const match = pattern.exec(line);
+    if (match) {
+      const speaker = hosts.find(host => host.toLowerCase() === match[1].toLowerCase());
+      const previous = turns[turns.length - 1];
+      if (previous?.speaker === speaker) {
+        previous.text = `${previous.text} ${match[2].trim()}`.trim();
+      } else {
+        turns.push({ speaker, text: match[2].trim() });
+      }
+    } else if (turns.length > 0 && line.trim()) {
+      const previous = turns[turns.length - 1];
+      previous.text = `${previous.text} ${line.trim()}`.trim();
+    }
+  }
+
+  const spoken = turns.filter(turn => turn.text);
+  if (spoken.length < 2 || new Set(spoken.map(turn => turn.speaker)).size < 2) {
+    // Usually the model ignored the format; another request tends to fix it
+    const error = new Error(`Dialogue script has no back-and-forth between ${hosts.join(' and ')} (${spoken.length} turn(s) found)`);
+    error.errorClass = ERROR_CLASSES.TRANSIENT;
+    throw error;
+  }
+
+  return spoken;
+}
+
+/**
+ * Write turns back out as a script, one "Name: text" line per turn
+ */
+export function formatScript(turns) {
+  return turns.map(turn => `${turn.speaker}: ${turn.text}`).join('\n');
+}
+
+/**
+ * Rewrite a Phase 2 answer as a two-host script
+ *
+ * Uses the same provider and settings as the answer itself, and the
+ * dialogue template that goes with its response template.
+ *
+ * @param {import('./schemas.js').Phase1Result} phase1Result
+ * @param {string} response - The written answer
+ * @param {Object} options
+ * @param {Object} options.settings - From getDialogueSettings()
+ * @param {Object} options.llm - From getResponseSettings()
+ * @param {Object} [options.responseTemplate] - { id, version } of the response template
+ * @returns {Object} { dialogue: { hosts, voices, tts, turns, template, truncated }, usage }
+ */
+export async function writeDialogue(phase1Result, response, { settings, llm, responseTemplate }) {
+  const template = await getCompanionTemplate('dialogue', responseTemplate);
+  const language = phase1Result.language || DEFAULT_LANGUAGE;
+  const [hostA, hostB] = settings.hosts;
+
+  console.log(`Writing dialogue script for ${hostA} and ${hostB} (template ${formatTemplateRef(template)})...`);
+
+  // A script in the wrong format is asked for again here: failing the job would
+  // requeue it and pay for the Phase 2 answer all over again
+  const usage = [];
+  for (let attempt = 1; ; attempt++) {
+    const generated = await generateResponse({
+      system: renderTemplate(template, { hostA, hostB, language: getLanguageName(language) }),
+      messages: [
+        {
+          role: 'user',
+          content: `**Hosts:** ${hostA} and ${hostB}\n\n**Question:**\n${phase1Result.prompt}\n\n**Written answer:**\n${response}`,
+        },
+      ],
+      model: llm.model,
+      temperature: llm.temperature,
+      maxTokens: llm.maxTokens,
+    }, {
+      provider: llm.provider,
+      job: phase1Result.originalAudioFileName,
+      phase: 2,
+      kind: 'dialogue',
+      maxTotalTokens: llm.maxTotalTokens,
+    });
+    usage.push(...generated.usage);
+
+    let turns;
+    try {
+      turns = parseDialogue(generated.text, settings.hosts);
+    } catch (error) {
+      if (attempt >= SCRIPT_ATTEMPTS) {
+        throw permanentError(`${error.message}, after ${attempt} attempts`);
+      }
+      console.warn(`⚠️  ${error.message} - asking again (attempt ${attempt + 1}/${SCRIPT_ATTEMPTS})`);
+      continue;
+    }
+
+    console.log(`Dialogue script: ${turns.length} turns, ${generated.text.length} characters`);
+    if (generated.truncated) {
+      console.warn(`⚠️  Dialogue script is cut off after ${generated.outputTokens} tokens; it ends mid-conversation`);
+    }
+
+    return {
+      dialogue: {
+        ...settings,
+        turns,
+        template: { id: template.id, version: template.version },
+        truncated: generated.truncated,
+      },
+      usage,
+    };
+  }
+}
+
+export default {
+  DIALOGUE_RENDERERS,
+  getDialogueSettings,
+  parseDialogue,
+  formatScript,
+  writeDialogue,
+};
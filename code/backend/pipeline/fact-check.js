@@ -0,0 +1,326 @@
+/**
+ * Fact Check
+ *
+ * An optional check of the Phase 2 answer before anything else uses it.
+ * Three requests, each with its own prompt template (see templates.js):
+ *
+ *   claims    lists the answer's checkable factual claims
+ *   critique  a separate request reviews each claim: supported, uncertain
+ *             or incorrect, how confident it is, a note, a correction and
+ *             references where a reader can check it
+ *   revision  rewrites the answer to fix the incorrect claims
+ *             ("revise" mode only)
+ *
+ * In "notes" mode the answer is left as written and incorrect claims are
+ * only flagged. Either way Phase 5 lists the caveats and references under
+ * "Sources & caveats" and sets `factChecked` in the frontmatter.
+ *
+ * The checks run at temperature 0, by default with the model that wrote
+ * the answer; pointing them at another provider or model gives a second
+ * opinion instead of the author grading its own work.
+ *
+ *   FACT_CHECK             "true" to check every job (default: off)
+ *   FACT_CHECK_MODE        revise (default) or notes
+ *   FACT_CHECK_PROVIDER    anthropic, gemini or openai (default: the answer's)
+ *   FACT_CHECK_MODEL       Model for the checks (default: the answer's, or
+ *                          the provider's default for another provider)
+ *   FACT_CHECK_MAX_CLAIMS  Most claims reviewed per answer (10)
+ *
+ * A job manifest overrides FACT_CHECK with "factCheck": true or false, or
+ * with an object that also overrides the rest:
+ *   "factCheck": { "mode": "notes", "provider": "gemini", "model": "gemini-2.5-pro" }
+ */
+
+import { permanentError, readNumberEnv } from './retry.js';
+import { RESPONSE_PROVIDERS, generateResponse } from './llm.js';
+import { validateSchema } from './schemas.js';
+import { DEFAULT_LANGUAGE, getLanguageName } from './languages.js';
+import { getCompanionTemplate, renderTemplate } from './templates.js';
+
+export const FACT_CHECK_MODES = ['revise', 'notes'];
+
+export const VERDICTS = ['supported', 'uncertain', 'incorrect'];
+
+const DEFAULT_MODE = 'revise';
+const DEFAULT_MAX_CLAIMS = 10;
+
+// Claims and reviews are short JSON; only the revision needs the answer's limits
+const CHECK_MAX_TOKENS = 4096;
+
+// Requests for a claims list or reviews before giving up on a model that cannot produce the JSON
+const REPLY_ATTEMPTS = 3;
+
+const CLAIMS_SCHEMA = {
+  type: 'object',
+  properties: {
+    claims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          claim: { type: 'string', minLength: 1 },
+          quote: { type: 'string' },
+        },
+        required: ['claim'],
+      },
+    },
+  },
+  required: ['claims'],
+};
+
+const REVIEWS_SCHEMA = {
+  type: 'object',
+  properties: {
+    reviews: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          number: { type: 'integer' },
+          verdict: { type: 'string' },
+          confidence: { type: 'string' },
+          note: { type: 'string' },
+          correction: { type: 'string' },
+          sources: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['number', 'verdict'],
+      },
+    },
+  },
+  required: ['reviews'],
+};
+
+/**
+ * Work out whether a job's answer is checked, and by which model
+ *
+ * @param {Object} [manifest] - Job manifest (see manifest.js)
+ * @param {Object} responseSettings - From getResponseSettings(), for the defaults
+ * @returns {Object|null} { mode, provider, model, maxClaims, maxTokens, maxTotalTokens }, or null when off
+ */
+export function getFactCheckSettings(manifest, responseSettings) {
+  const option = manifest?.factCheck;
+  const enabled = option === undefined ? process.env.FACT_CHECK === 'true' : option !== false;
+  if (!enabled) return null;
+
+  const overrides = typeof option === 'object' ? option : {};
+  const mode = overrides.mode || process.env.FACT_CHECK_MODE || DEFAULT_MODE;
+  if (!FACT_CHECK_MODES.includes(mode)) {
+    throw permanentError(`Unknown fact-check mode "${mode}" (available: ${FACT_CHECK_MODES.join(', ')})`);
+  }
+
+  const provider = overrides.provider || process.env.FACT_CHECK_PROVIDER || responseSettings.provider;
+  if (!RESPONSE_PROVIDERS[provider]) {
+    throw permanentError(`Unknown fact-check provider "${provider}" (available: ${Object.keys(RESPONSE_PROVIDERS).join(', ')})`);
+  }
+
+  // As in getResponseSettings(), a manifest that switches provider gets that provider's default model
+  const configuredModel = overrides.provider ? null : process.env.FACT_CHECK_MODEL;
+  const answerModel = provider === responseSettings.provider ? responseSettings.model : null;
+
+  return {
+    mode,
+    provider,
+    model: overrides.model || configuredModel || answerModel || RESPONSE_PROVIDERS[provider].defaultModel,
+    maxClaims: Math.max(1, Math.round(readNumberEnv('FACT_CHECK_MAX_CLAIMS', DEFAULT_MAX_CLAIMS))),
+    maxTokens: responseSettings.maxTokens,
+    maxTotalTokens: responseSettings.maxTotalTokens,
+  };
+}
+
+/**
+ * Parse a JSON reply and check its shape
+ *
+ * @returns {Object} { data } or { problem }, a description of what is wrong
+ */
+function parseReply(text, schema, label) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+  } catch (parseError) {
+    return { problem: `Invalid JSON in ${label}: ${parseError.message}` };
+  }
+
+  const errors = validateSchema(schema, data);
+  return errors.length > 0 ? { problem: `Unexpected ${label}: ${errors.join('; ')}` } : { data };
+}
+
+/**
+ * Send one fact-check request
+ *
+ * @param {Object} settings - From getFactCheckSettings()
+ * @param {string} system - Rendered prompt template
+ * @param {string} content - User message
+ * @param {Object} options
+ * @param {string} options.kind - The template kind: claims, critique or revision
+ * @returns {Object} See generateResponse()
+ */
+function ask(settings, system, content, { job, kind, maxTokens = CHECK_MAX_TOKENS, maxTotalTokens = maxTokens }) {
+  return generateResponse({
+    system,
+    messages: [{ role: 'user', content }],
+    model: settings.model,
+    temperature: 0,
+    maxTokens,
+  }, {
+    provider: settings.provider,
+    job,
+    phase: 2,
+    kind,
+    maxTotalTokens,
+  });
+}
+
+/**
+ * Send a fact-check request that expects JSON back
+ *
+ * A malformed reply is asked for again here rather than failing the job,
+ * which would requeue it and pay for the Phase 2 answer again. A model that
+ * keeps getting the format wrong (small local models can) fails the job for good.
+ *
+ * @returns {Object} { data, model, usage }
+ */
+async function askForJSON(settings, system, content, schema, label, { job, kind }) {
+  const usage = [];
+  for (let attempt = 1; ; attempt++) {
+    const reply = await ask(settings, system, content, { job, kind });
+    usage.push(...reply.usage);
+
+    const { data, problem } = parseReply(reply.text, schema, label);
+    if (data) return { data, model: reply.model, usage };
+    if (attempt >= REPLY_ATTEMPTS) {
+      throw permanentError(`${problem}, after ${attempt} attempts`);
+    }
+    console.warn(`⚠️  ${problem} - asking again (attempt ${attempt + 1}/${REPLY_ATTEMPTS})`);
+  }
+}
+
+/**
+ * Combine the claims with their reviews
+ *
+ * A claim the critique skipped counts as uncertain rather than checked.
+ */
+function mergeReviews(claims, reviews) {
+  return claims.map((claim, i) => {
+    const review = reviews.find(candidate => candidate.number === i + 1) || {};
+    const verdict = VERDICTS.includes(review.verdict) ? review.verdict : 'uncertain';
+    return {
+      claim: claim.claim.trim(),
+      quote: claim.quote?.trim() || null,
+      verdict,
+      confidence: ['high', 'medium', 'low'].includes(review.confidence) ? review.confidence : 'low',
+      note: review.number ? review.note?.trim() || null : 'The fact-check did not review this claim.',
+      correction: verdict === 'incorrect' ? review.correction?.trim() || null : null,
+      sources: [...new Set((review.sources || []).map(source => source.trim()).filter(Boolean))],
+    };
+  });
+}
+
+/**
+ * Check the factual claims in an answer, and correct it in "revise" mode
+ *
+ * @param {import('./schemas.js').Phase1Result} phase1Result
+ * @param {string} response - The written answer
+ * @param {Object} options
+ * @param {Object} options.settings - From getFactCheckSettings()
+ * @param {Object} [options.responseTemplate] - { id, version } of the response template
+ * @returns {Object} { response, factCheck, usage }, where `response` is the corrected answer (or the original)
+ */
+export async function factCheckResponse(phase1Result, response, { settings, responseTemplate }) {
+  const job = phase1Result.originalAudioFileName;
+  const language = phase1Result.language || DEFAULT_LANGUAGE;
+  const usage = [];
+  const templates = {};
+  const conversation = `**Question:**\n${phase1Result.prompt}\n\n**Answer:**\n${response}`;
+
+  console.log(`Fact-checking the response with ${settings.provider} (${settings.model}), mode ${settings.mode}...`);
+
+  // 1. Pull out the claims
+  const claimsTemplate = await getCompanionTemplate('claims', responseTemplate);
+  templates.claims = claimsTemplate;
+  const listed = await askForJSON(
+    settings,
+    renderTemplate(claimsTemplate, { maxClaims: settings.maxClaims }),
+    conversation,
+    CLAIMS_SCHEMA,
+    'the claims list',
+    { job, kind: 'claims' }
+  );
+  usage.push(...listed.usage);
+  const claims = listed.data.claims.slice(0, settings.maxClaims);
+  console.log(`Fact check: ${claims.length} claim(s) to review`);
+
+  // 2. Review them in a separate request
+  let reviewed = [];
+  let checkedBy = settings.model;
+  if (claims.length > 0) {
+    const critiqueTemplate = await getCompanionTemplate('critique', responseTemplate);
+    templates.critique = critiqueTemplate;
+    const numbered = claims.map((claim, i) => `${i + 1}. ${claim.claim}`).join('\n');
+    const critique = await askForJSON(
+      settings,
+      renderTemplate(critiqueTemplate, { date: new Date().toISOString().split('T')[0] }),
+      `${conversation}\n\n**Claims:**\n${numbered}`,
+      REVIEWS_SCHEMA,
+      'the claim reviews',
+      { job, kind: 'critique' }
+    );
+    usage.push(...critique.usage);
+    checkedBy = critique.model;
+    reviewed = mergeReviews(claims, critique.data.reviews);
+  }
+
+  const incorrect = reviewed.filter(claim => claim.verdict === 'incorrect');
+  const uncertain = reviewed.filter(claim => claim.verdict === 'uncertain');
+  console.log(`Fact check: ${reviewed.length - incorrect.length - uncertain.length} supported, ${uncertain.length} uncertain, ${incorrect.length} incorrect`);
+
+  // 3. Correct the answer
+  let revisedResponse = null;
+  if (settings.mode === 'revise' && incorrect.length > 0) {
+    const revisionTemplate = await getCompanionTemplate('revision', responseTemplate);
+    templates.revision = revisionTemplate;
+    const corrections = incorrect.map((claim, i) => (
+      `${i + 1}. Wrong: ${claim.quote || claim.claim}\n   Correct: ${claim.correction || claim.note || 'Remove or qualify this claim.'}`
+    )).join('\n');
+    const revision = await ask(
+      settings,
+      renderTemplate(revisionTemplate, { language: getLanguageName(language) }),
+      `**Answer:**\n${response}\n\n**Corrections:**\n${corrections}`,
+      { job, kind: 'revision', maxTokens: settings.maxTokens, maxTotalTokens: settings.maxTotalTokens }
+    );
+    usage.push(...revision.usage);
+
+    // A revision cut off mid-answer is worse than the original with its caveats
+    if (revision.truncated || !revision.text.trim()) {
+      console.warn('⚠️  Revised response is incomplete - keeping the original and flagging the claims instead');
+    } else {
+      revisedResponse = revision.text.trim();
+      console.log(`Fact check: corrected ${incorrect.length} claim(s) (${response.length} -> ${revisedResponse.length} characters)`);
+    }
+  }
+
+  return {
+    response: revisedResponse || response,
+    factCheck: {
+      mode: settings.mode,
+      provider: settings.provider,
+      // As reported by the provider
+      model: checkedBy,
+      claims: reviewed,
+      revised: Boolean(revisedResponse),
+      // Kept in the checkpoint for review; never published
+      originalResponse: revisedResponse ? response : undefined,
+      templates: Object.fromEntries(
+        Object.entries(templates).map(([kind, template]) => [kind, { id: template.id, version: template.version }])
+      ),
+      checkedAt: new Date().toISOString(),
+    },
+    usage,
+  };
+}
+
+export default {
+  FACT_CHECK_MODES,
+  VERDICTS,
+  getFactCheckSettings,
+  factCheckResponse,
+};
@@ -0,0 +1,77 @@
+/**
+ * Gemini Client
+ *
+ * Shared by Phase 1's transcription backend and its metadata extraction.
+ * Every call goes through the provider limiter and is recorded in the cost
+ * ledger.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { withProvider } from './providers.js';
+import { isOffline, createFakeGeminiClient } from './offline.js';
+import { recordUsage } from './costs.js';
+
+export const GEMINI_MODEL = 'gemini-2.0-flash-exp';
+
+/**
+ * Initialize Gemini client
+ *
+ * In offline mode a local stand-in is returned instead (see offline.js),
+ * answering requests of the given kind.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.audioFileName] - Job audio file name
+ * @param {string} [options.kind] - What the client is asked for: "transcription", "extraction", "pii", "response", ...
+ */
+export function getGeminiClient({ audioFileName, kind } = {}) {
+  if (isOffline()) {
+    return createFakeGeminiClient({ audioFileName, kind });
+  }
+
+  const apiKey = process.env.GEMINI_API_KEY;
+
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY environment variable not set');
+  }
+
+  return new GoogleGenerativeAI(apiKey);
+}
+
+/**
+ * Call Gemini and record the usage in the cost ledger
+ *
+ * @param {Object} model - From genAI.getGenerativeModel()
+ * @param {Array|Object} request - Passed to generateContent()
+ * @param {Object} options
+ * @param {string} options.job - Audio file name, for the ledger
+ * @param {number} options.phase - Pipeline phase, for the ledger
+ * @param {string} [options.modelName] - Price table key (default GEMINI_MODEL)
+ * @param {Function} [options.onText] - Streams the response, passing each piece of text as it arrives
+ * @returns {Object} { text, usage, response }
+ */
+export async function generateWithUsage(model, request, { job, phase, modelName = GEMINI_MODEL, onText }) {
+  const response = await withProvider('gemini', async () => {
+    if (!onText) {
+      return (await model.generateContent(request)).response;
+    }
+    const result = await model.generateContentStream(request);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) onText(text);
+    }
+    return result.response;
+  });
+
+  const usage = await recordUsage({
+    job,
+    phase,
+    provider: 'gemini',
+    model: modelName,
+    inputTokens: response.usageMetadata?.promptTokenCount || 0,
+    outputTokens: response.usageMetadata?.candidatesTokenCount || 0,
+  });
+
+  return { text: response.text(), usage, response };
+}
+
+export default { GEMINI_MODEL, getGeminiClient, generateWithUsage };
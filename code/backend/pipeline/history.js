@@ -0,0 +1,221 @@
+/**
+ * Job History
+ *
+ * Append-only JSONL log with one record per pipeline run, written by the
+ * queue processor and the webhook receiver. Each line is a complete job:
+ *
+ *   {
+ *     "id": "job-1733000000000-3f9a",
+ *     "source": "queue",
+ *     "file": "my-note.mp3",
+ *     "status": "published",          // published | failed | requeued
+ *     "startedAt": "...", "finishedAt": "...", "durationMs": 81234,
+ *     "phases": {
+ *       "transcription": { "phase": 1, "status": "completed", "durationMs": 5120, "model": "gemini-2.0-flash-exp" },
+ *       "response": { "phase": 2, "status": "restored" },   // reused from a checkpoint
+ *       ...
+ *     },
+ *     "tokens": { "input": 812, "output": 2290 },
+ *     "slug": "why-do-cats-knock-things-over",
+ *     "slugs": ["why-do-cats-knock-things-over"],
+ *     "error": null
+ *   }
+ *
+ * Phases of a recording that was split into several posts are recorded per
+ * post, e.g. "part2.response".
+ *
+ * The file defaults to code/backend/data/job-history.jsonl and can be moved
+ * with JOB_HISTORY_PATH.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { classifyError } from './retry.js';
+import { getPhaseKey } from './checkpoints.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Get the path of the history file
+ */
+export function getHistoryPath() {
+  return process.env.JOB_HISTORY_PATH || path.join(__dirname, '../data/job-history.jsonl');
+}
+
+/**
+ * Pick out the model or service a phase result was produced with
+ */
+function getModel(result) {
+  return result?.metadata?.model || result?.model || result?.ttsModel || result?.generator || null;
+}
+
+/**
+ * Start recording a job
+ *
+ * Pass the returned `before`/`after` hooks to pipeline.run(), then call
+ * finish() once the job has succeeded or failed.
+ *
+ * @param {Object} options
+ * @param {string} options.source - 'queue' or 'webhook'
+ * @param {string} options.file - Audio file name
+ * @returns {Object} Recorder with before, after and finish
+ */
+export function createJobRecord({ source, file }) {
+  const startedAt = new Date();
+  const record = {
+    id: `job-${startedAt.getTime()}-${crypto.randomBytes(2).toString('hex')}`,
+    source,
+    file,
+    startedAt: startedAt.toISOString(),
+    phases: {},
+  };
+  const stepStarts = new Map();
+
+  return {
+    id: record.id,
+
+    before(step, context) {
+      stepStarts.set(getPhaseKey(step.name, context), Date.now());
+    },
+
+    after(step, result, context) {
+      const key = getPhaseKey(step.name, context);
+      const started = stepStarts.get(key);
+      record.phases[key] = {
+        phase: step.phase,
+        status: result?.skipped && started === undefined ? 'skipped' : 'completed',
+        startedAt: started !== undefined ? new Date(started).toISOString() : undefined,
+        durationMs: started !== undefined ? Date.now() - started : 0,
+        model: getModel(result),
+      };
+    },
+
+    /**
+     * Write the finished record to the history file
+     *
+     * @param {Object} outcome
+     * @param {string} outcome.status - 'published' | 'failed' | 'requeued'
+     * @param {Object} [outcome.context] - Pipeline context (phase results)
+     * @param {Error} [outcome.error] - Error that stopped the job
+     * @param {Array} [outcome.steps] - pipeline.steps, used to note phases restored from checkpoints
+     */
+    async finish({ status, context = {}, error = null, steps = [] }) {
+      const finishedAt = new Date();
+
+      // After a split, the later steps ran in the per-post contexts instead
+      const splitAt = context.parts ? steps.findIndex(step => step.split) + 1 : steps.length;
+      const runs = [
+        { stepContext: context, runSteps: steps.slice(0, splitAt) },
+        ...(context.parts || []).map(part => ({ stepContext: part, runSteps: steps.slice(splitAt) })),
+      ];
+
+      for (const { stepContext, runSteps } of runs) {
+        for (const step of runSteps) {
+          const key = getPhaseKey(step.name, stepContext);
+          if (!record.phases[key] && stepContext[step.output] !== undefined) {
+            record.phases[key] = { phase: step.phase, status: 'restored', model: getModel(stepContext[step.output]) };
+          }
+        }
+      }
+
+      if (error?.step) {
+        const key = error.part ? `part${error.part}.${error.step}` : error.step;
+        const started = stepStarts.get(key);
+        record.phases[key] = {
+          phase: error.phase,
+          status: 'failed',
+          startedAt: started !== undefined ? new Date(started).toISOString() : undefined,
+          durationMs: started !== undefined ? finishedAt.getTime() - started : 0,
+        };
+      }
+
+      // Every provider call a step made, as it went into the cost ledger
+      const usage = runs
+        .flatMap(({ stepContext, runSteps }) => runSteps.flatMap(step => stepContext[step.output]?.usage || []))
+        .filter(Boolean);
+
+      // Split recordings keep each post's results in context.parts
+      const posts = context.parts || [context];
+      const slugs = posts.flatMap(post => [post.phase5?.slug, post.phase6?.slug]).filter(Boolean);
+
+      Object.assign(record, {
+        status,
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt.getTime() - startedAt.getTime(),
+        title: context.phase1?.title,
+        tokens: usage.length > 0
+          ? {
+            input: usage.reduce((sum, entry) => sum + (entry.inputTokens || 0), 0),
+            output: usage.reduce((sum, entry) => sum + (entry.outputTokens || 0), 0),
+          }
+          : null,
+        slug: slugs[0] || null,
+        slugs,
+        error: error
+          ? {
+            step: error.step,
+            phase: error.phase,
+            part: error.part,
+            errorClass: classifyError(error),
+            attempts: error.attempts ?? 1,
+            message: error.message,
+          }
+          : null,
+      });
+
+      // Never let a history write failure take down the job itself
+      try {
+        const historyPath = getHistoryPath();
+        await fs.mkdir(path.dirname(historyPath), { recursive: true });
+        await fs.appendFile(historyPath, JSON.stringify(record) + '\n', 'utf-8');
+      } catch (writeError) {
+        console.error('Failed to write job history:', writeError.message);
+      }
+
+      return record;
+    },
+  };
+}
+
+/**
+ * Read job records, newest first
+ *
+ * @param {Object} filters
+ * @param {Date} [filters.since] - Only jobs started at or after this time
+ * @param {string} [filters.status] - Only jobs with this status
+ * @param {string} [filters.source] - Only jobs from this source
+ * @returns {Object[]} Matching job records
+ */
+export async function readHistory({ since, status, source } = {}) {
+  let raw;
+  try {
+    raw = await fs.readFile(getHistoryPath(), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const records = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A torn final line (e.g. killed mid-write) should not hide the rest
+      console.warn('Skipping unreadable job history line');
+    }
+  }
+
+  return records
+    .filter(record => !since || new Date(record.startedAt) >= since)
+    .filter(record => !status || record.status === status)
+    .filter(record => !source || record.source === source)
+    .reverse();
+}
+
+export default { getHistoryPath, createJobRecord, readHistory };
@@ -0,0 +1,58 @@
+/**
+ * Languages
+ *
+ * Phase 1 detects the spoken language of a recording and stores it as an
+ * ISO 639-1 code ("en", "de", "es", ...). The response is written in that
+ * language, and the TTS voice is picked for it.
+ *
+ * A second language can be configured for translated companion posts:
+ *   TRANSLATION_LANGUAGE  Language code for companion posts (unset: none)
+ * A job manifest can choose a different one with "translateTo".
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Normalize a language code to its lowercase primary subtag
+ *
+ * @param {string} code - e.g. "de", "DE", "pt-BR"
+ * @returns {string|null} e.g. "de", "pt"; null if the code is not a valid language
+ */
+export function normalizeLanguage(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+
+  const primary = code.trim().toLowerCase().split(/[-_]/)[0];
+  if (!/^[a-z]{2,3}$/.test(primary)) {
+    return null;
+  }
+
+  try {
+    // Unknown codes come back unchanged rather than as a name
+    return displayNames.of(primary) !== primary ? primary : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * English name of a language, for prompts and logs ("de" -> "German")
+ */
+export function getLanguageName(code) {
+  return displayNames.of(code || DEFAULT_LANGUAGE);
+}
+
+/**
+ * Language of the translated companion post for a job, if any
+ *
+ * @param {Object} [manifest] - Job manifest ("translateTo" field)
+ * @returns {string|null} Language code, or null when no translation is configured
+ */
+export function getTranslationLanguage(manifest) {
+  return normalizeLanguage(manifest?.translateTo || process.env.TRANSLATION_LANGUAGE || '');
+}
+
+export default { DEFAULT_LANGUAGE, normalizeLanguage, getLanguageName, getTranslationLanguage };
@@ -0,0 +1,302 @@
+/**
+ * Response Generators
+ *
+ * Phase 2 writes its answer through one interface, with an adapter per
+ * provider:
+ *
+ *   anthropic  Claude (default). ANTHROPIC_API_KEY
+ *   gemini     Gemini. GEMINI_API_KEY
+ *   openai     Any OpenAI-compatible chat completions endpoint: OpenAI itself,
+ *              or a local Ollama / llama.cpp server (OPENAI_BASE_URL, e.g.
+ *              http://localhost:11434/v1). OPENAI_API_KEY is only needed
+ *              when the server checks it.
+ *
+ * Every adapter implements:
+ *   generate({ system, messages, model, temperature, maxTokens }, { job, phase, onText })
+ *     => { text, model, truncated, stopReason, inputTokens, outputTokens, usage }
+ *
+ * Responses are streamed; `onText` receives each piece as it arrives.
+ * `model` in the result is the one the provider reports having answered
+ * with, which can differ from the one requested (aliases, local model tags).
+ *
+ * An answer that stops at the output limit is continued with further
+ * requests until it finishes or the overall limit is reached. Claude is
+ * handed its unfinished answer to carry on from; the other providers are
+ * shown it and asked to continue.
+ *
+ * The provider, model, temperature, per-request output limit and overall
+ * limit come from RESPONSE_PROVIDER, RESPONSE_MODEL, RESPONSE_TEMPERATURE,
+ * RESPONSE_MAX_TOKENS and RESPONSE_MAX_TOTAL_TOKENS, and a job manifest can
+ * override any of them with its "llm" object.
+ */
+
+import OpenAI from 'openai';
+import { permanentError, readNumberEnv } from './retry.js';
+import { withProvider } from './providers.js';
+import { isOffline, createFakeOpenAIClient } from './offline.js';
+import { recordUsage } from './costs.js';
+import { CLAUDE_MODEL, generateWithUsage as generateWithClaude } from './anthropic.js';
+import { GEMINI_MODEL, getGeminiClient, generateWithUsage as generateWithGemini } from './gemini.js';
+
+const DEFAULT_PROVIDER = 'anthropic';
+const DEFAULT_TEMPERATURE = 1.0;
+const DEFAULT_MAX_TOKENS = 4096;
+const DEFAULT_MAX_TOTAL_TOKENS = 16384;
+
+// Sent to providers that cannot simply carry on from a partial answer
+const CONTINUE_PROMPT = 'Your answer was cut off. Continue it exactly where it stopped, without repeating anything or adding any preamble.';
+
+/**
+ * Initialize an OpenAI-compatible client
+ *
+ * In offline mode a local stand-in is returned instead (see offline.js),
+ * answering requests of the given kind.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.kind] - What the client is asked for: "response", "dialogue", "translation", ...
+ */
+export function getOpenAIClient({ kind } = {}) {
+  if (isOffline()) {
+    return createFakeOpenAIClient({ kind });
+  }
+
+  const baseURL = process.env.OPENAI_BASE_URL || undefined;
+  // Local servers accept any key, but the SDK insists on one
+  const apiKey = process.env.OPENAI_API_KEY || (baseURL ? 'not-needed' : null);
+
+  if (!apiKey) {
+    throw permanentError('OPENAI_API_KEY environment variable not set (or set OPENAI_BASE_URL for a local server)');
+  }
+
+  return new OpenAI({ apiKey, baseURL });
+}
+
+/**
+ * Claude via the Messages API
+ */
+async function generateWithAnthropic({ system, messages, model, temperature, maxTokens }, { job, phase, kind, onText }) {
+  const { text, usage, message } = await generateWithClaude({
+    model,
+    max_tokens: maxTokens,
+    temperature,
+    system,
+    messages,
+  }, { job, phase, kind, onText });
+
+  return {
+    text,
+    model: message.model || model,
+    truncated: message.stop_reason === 'max_tokens',
+    stopReason: message.stop_reason,
+    inputTokens: message.usage.input_tokens,
+    outputTokens: message.usage.output_tokens,
+    usage,
+  };
+}
+
+/**
+ * Gemini, streamed with generateContentStream
+ */
+async function generateWithGeminiModel({ system, messages, model, temperature, maxTokens }, { job, phase, kind, onText }) {
+  const gemini = getGeminiClient({ audioFileName: job, kind }).getGenerativeModel({
+    model,
+    systemInstruction: system,
+    generationConfig: { temperature, maxOutputTokens: maxTokens },
+  });
+
+  const contents = messages.map(message => ({
+    role: message.role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: message.content }],
+  }));
+  const { text, usage, response } = await generateWithGemini(gemini, { contents }, { job, phase, modelName: model, onText });
+  const stopReason = response.candidates?.[0]?.finishReason || 'STOP';
+
+  return {
+    text,
+    model: response.modelVersion || model,
+    truncated: stopReason === 'MAX_TOKENS',
+    stopReason,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    usage,
+  };
+}
+
+/**
+ * Any OpenAI-compatible chat completions endpoint
+ */
+async function generateWithOpenAI({ system, messages, model, temperature, maxTokens }, { job, phase, kind, onText }) {
+  const client = getOpenAIClient({ kind });
+
+  const completion = await withProvider('openai', async () => {
+    const stream = await client.chat.completions.create({
+      model,
+      temperature,
+      max_tokens: maxTokens,
+      messages: [{ role: 'system', content: system }, ...messages],
+      stream: true,
+      // Servers that do not report usage while streaming leave it out
+      stream_options: { include_usage: true },
+    });
+
+    const collected = { text: '', model: null, finishReason: null, usage: null };
+    for await (const chunk of stream) {
+      collected.model = chunk.model || collected.model;
+      collected.usage = chunk.usage || collected.usage;
+      const choice = chunk.choices?.[0];
+      if (choice?.delta?.content) {
+        collected.text += choice.delta.content;
+        onText?.(choice.delta.content);
+      }
+      collected.finishReason = choice?.finish_reason || collected.finishReason;
+    }
+    return collected;
+  });
+
+  if (!completion.finishReason) {
+    throw new Error(`${model} stream ended without a finish reason`);
+  }
+
+  const usage = await recordUsage({
+    job,
+    phase,
+    provider: 'openai',
+    model,
+    inputTokens: completion.usage?.prompt_tokens || 0,
+    outputTokens: completion.usage?.completion_tokens || 0,
+  });
+
+  return {
+    text: completion.text,
+    model: completion.model || model,
+    truncated: completion.finishReason === 'length',
+    stopReason: completion.finishReason,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    usage,
+  };
+}
+
+// `prefill`: the provider continues a trailing assistant message itself
+export const RESPONSE_PROVIDERS = {
+  anthropic: { label: 'Anthropic', defaultModel: CLAUDE_MODEL, prefill: true, generate: generateWithAnthropic },
+  gemini: { label: 'Google Gemini', defaultModel: GEMINI_MODEL, prefill: false, generate: generateWithGeminiModel },
+  openai: { label: 'an OpenAI-compatible endpoint', defaultModel: 'gpt-4o-mini', prefill: false, generate: generateWithOpenAI },
+};
+
+/**
+ * Work out which provider and settings answer a job
+ *
+ * A manifest that switches provider without naming a model gets that
+ * provider's default model rather than RESPONSE_MODEL, which was chosen for
+ * the configured provider.
+ *
+ * @param {Object} [manifest] - Job manifest (see manifest.js)
+ * @returns {Object} { provider, model, temperature, maxTokens, maxTotalTokens }
+ */
+export function getResponseSettings(manifest) {
+  const llm = manifest?.llm || {};
+  const provider = llm.provider || process.env.RESPONSE_PROVIDER || DEFAULT_PROVIDER;
+
+  if (!RESPONSE_PROVIDERS[provider]) {
+    throw permanentError(`Unknown response provider "${provider}" (available: ${Object.keys(RESPONSE_PROVIDERS).join(', ')})`);
+  }
+
+  const configuredModel = llm.provider ? null : process.env.RESPONSE_MODEL;
+  const maxTokens = llm.maxTokens ?? Math.round(readNumberEnv('RESPONSE_MAX_TOKENS', DEFAULT_MAX_TOKENS));
+  const maxTotalTokens = llm.maxTotalTokens ?? Math.round(readNumberEnv('RESPONSE_MAX_TOTAL_TOKENS', DEFAULT_MAX_TOTAL_TOKENS));
+
+  return {
+    provider,
+    model: llm.model || configuredModel || RESPONSE_PROVIDERS[provider].defaultModel,
+    temperature: llm.temperature ?? readNumberEnv('RESPONSE_TEMPERATURE', DEFAULT_TEMPERATURE),
+    maxTokens,
+    // The overall limit never cuts the first request short
+    maxTotalTokens: Math.max(maxTokens, maxTotalTokens),
+  };
+}
+
+/**
+ * Describe a provider and model for readers, e.g. "claude-sonnet-4-20250514 (Anthropic)"
+ */
+export function describeModel({ provider = DEFAULT_PROVIDER, model }) {
+  const label = RESPONSE_PROVIDERS[provider]?.label || provider;
+  return model ? `${model} (${label})` : label;
+}
+
+/**
+ * Messages that ask a provider to carry on from a partial answer
+ */
+function continuationMessages(adapter, messages, partial) {
+  return adapter.prefill
+    ? [...messages, { role: 'assistant', content: partial }]
+    : [...messages, { role: 'assistant', content: partial }, { role: 'user', content: CONTINUE_PROMPT }];
+}
+
+/**
+ * Generate a response with the given provider, continuing it past the
+ * output limit
+ *
+ * @param {Object} request - { system, messages, model, temperature, maxTokens }
+ * @param {Object} options
+ * @param {string} options.provider - Key of RESPONSE_PROVIDERS
+ * @param {string} options.job - Audio file name, for the cost ledger
+ * @param {number} options.phase - Pipeline phase, for the cost ledger
+ * @param {string} [options.kind] - What is asked for ("response", "dialogue", "claims", ...), so the
+ *   offline stand-ins can answer in the right shape (default "response")
+ * @param {number} [options.maxTotalTokens] - Output limit over all requests (default: request.maxTokens)
+ * @param {Function} [options.onText] - Receives each streamed piece of text
+ * @returns {Object} { text, provider, model, truncated, continuations, stopReason, inputTokens, outputTokens,
+ *   usage } with one usage entry per request
+ */
+export async function generateResponse(request, { provider, job, phase, kind = 'response', maxTotalTokens = request.maxTokens, onText }) {
+  const adapter = RESPONSE_PROVIDERS[provider];
+  if (!adapter) {
+    throw permanentError(`Unknown response provider "${provider}"`);
+  }
+
+  let text = '';
+  let last = null;
+  let continuations = 0;
+  const totals = { inputTokens: 0, outputTokens: 0, usage: [] };
+
+  for (;;) {
+    // Claude rejects a partial answer that ends in whitespace; it adds its own
+    if (last && adapter.prefill) text = text.trimEnd();
+    const messages = last ? continuationMessages(adapter, request.messages, text) : request.messages;
+    const maxTokens = Math.min(request.maxTokens, maxTotalTokens - totals.outputTokens);
+
+    last = await adapter.generate({ ...request, messages, maxTokens }, { job, phase, kind, onText });
+    text += last.text;
+    totals.inputTokens += last.inputTokens;
+    totals.outputTokens += last.outputTokens;
+    totals.usage.push(last.usage);
+
+    if (!last.truncated || !last.text) break;
+    if (totals.outputTokens >= maxTotalTokens) {
+      console.warn(`Response still unfinished after ${totals.outputTokens} tokens (limit ${maxTotalTokens}) - publishing it truncated`);
+      break;
+    }
+
+    continuations++;
+    console.log(`Response hit the ${request.maxTokens}-token limit - continuing (${continuations}, ${totals.outputTokens}/${maxTotalTokens} tokens so far)`);
+  }
+
+  return {
+    text,
+    provider,
+    model: last.model,
+    truncated: last.truncated,
+    continuations,
+    stopReason: last.stopReason,
+    ...totals,
+  };
+}
+
+export default {
+  RESPONSE_PROVIDERS,
+  getOpenAIClient,
+  getResponseSettings,
+  describeModel,
+  generateResponse,
+};
@@ -0,0 +1,278 @@
+/**
+ * Job Manifests
+ *
+ * Optional sidecar file dropped next to an audio file to steer how it is
+ * processed, e.g. audio-queue/incoming/my-note.mp3 + my-note.json (or
+ * my-note.yaml / my-note.yml):
+ *
+ *   {
+ *     "title": "Why Do Cats Knock Things Over?",
+ *     "tags": ["cats", "behaviour"],
+ *     "voice": "Kore",
+ *     "skip": ["images"],
+ *     "context": "Follow-up to last week's post about dogs.",
+ *     "template": "brief",
+ *     "publishAt": "2025-12-01",
+ *     "transcriber": "whisper-cpp",
+ *     "split": false,
+ *     "language": "de",
+ *     "translateTo": "en",
+ *     "llm": { "provider": "openai", "model": "llama3.1:8b", "temperature": 0.7, "maxTokens": 2048, "maxTotalTokens": 8192 },
+ *     "factCheck": { "mode": "notes", "provider": "gemini" },
+ *     "dialogue": { "hosts": ["Alex", "Sam"], "voices": ["Puck", "Kore"], "tts": "turns" }
+ *   }
+ *
+ * Every field is optional. Values from the manifest are authoritative: they
+ * override whatever Phase 1 extracts from the recording. "split": false keeps
+ * a recording with several questions together as one post. "language" corrects
+ * the language Phase 1 detects; "translateTo" picks the companion post language.
+ * "llm" picks the model that writes the Phase 2 response (see llm.js).
+ * "template" picks the prompt templates instead of the post's tags (see
+ * templates.js). "factCheck" (true, false or an object) turns the check
+ * of the response's claims on or off for this job (see fact-check.js).
+ * "dialogue" (true, false or an object) turns the response audio into a
+ * two-host conversation, or keeps it a single reading (see dialogue.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { permanentError } from './retry.js';
+import { normalizeLanguage } from './languages.js';
+
+export const MANIFEST_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Steps that can be skipped, plus the phase names people tend to use for them
+const SKIPPABLE_STEPS = {
+  preflight: 'preflight',
+  audio: 'audio',
+  phase3: 'audio',
+  images: 'images',
+  phase4: 'images',
+  translation: 'translation',
+  phase6: 'translation',
+};
+
+const KNOWN_FIELDS = ['title', 'tags', 'voice', 'skip', 'context', 'template', 'publishAt', 'transcriber', 'split', 'language', 'translateTo', 'llm', 'factCheck', 'dialogue'];
+
+const LLM_FIELDS = ['provider', 'model', 'temperature', 'maxTokens', 'maxTotalTokens'];
+
+const FACT_CHECK_FIELDS = ['mode', 'provider', 'model'];
+
+const DIALOGUE_FIELDS = ['hosts', 'voices', 'tts'];
+
+/**
+ * Create a manifest error (never worth retrying)
+ */
+function manifestError(manifestPath, message) {
+  return permanentError(`Invalid manifest ${path.basename(manifestPath)}: ${message}`);
+}
+
+/**
+ * Get every possible manifest path for an audio file
+ */
+export function getManifestPaths(audioFilePath) {
+  const { dir, name } = path.parse(audioFilePath);
+  return MANIFEST_EXTENSIONS.map(ext => path.join(dir, `${name}${ext}`));
+}
+
+/**
+ * Find the manifest that belongs to an audio file
+ *
+ * @returns {string|null} Path of the manifest, or null if there is none
+ */
+export async function findManifestPath(audioFilePath) {
+  for (const candidate of getManifestPaths(audioFilePath)) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // Try the next extension
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate and normalize raw manifest data
+ *
+ * @param {*} data - Parsed manifest file
+ * @param {string} manifestPath - Used in error messages
+ * @returns {Object} Manifest with only known, checked fields
+ */
+export function normalizeManifest(data, manifestPath) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw manifestError(manifestPath, 'expected an object at the top level');
+  }
+
+  const unknown = Object.keys(data).filter(key => !KNOWN_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    console.warn(`Ignoring unknown manifest fields in ${path.basename(manifestPath)}: ${unknown.join(', ')}`);
+  }
+
+  const manifest = {};
+
+  for (const field of ['title', 'voice', 'context', 'template', 'transcriber']) {
+    if (data[field] === undefined) continue;
+    if (typeof data[field] !== 'string' || data[field].trim() === '') {
+      throw manifestError(manifestPath, `"${field}" must be a non-empty string`);
+    }
+    manifest[field] = data[field].trim();
+  }
+
+  if (data.tags !== undefined) {
+    if (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      throw manifestError(manifestPath, '"tags" must be a list of strings');
+    }
+    manifest.tags = data.tags.map(tag => tag.trim());
+  }
+
+  if (data.skip !== undefined) {
+    const skip = Array.isArray(data.skip) ? data.skip : [data.skip];
+    const unsupported = skip.filter(step => !SKIPPABLE_STEPS[step]);
+    if (unsupported.length > 0) {
+      throw manifestError(
+        manifestPath,
+        `cannot skip ${unsupported.join(', ')} (skippable: ${Object.keys(SKIPPABLE_STEPS).join(', ')})`
+      );
+    }
+    manifest.skip = [...new Set(skip.map(step => SKIPPABLE_STEPS[step]))];
+  }
+
+  for (const field of ['language', 'translateTo']) {
+    if (data[field] === undefined) continue;
+    const language = normalizeLanguage(data[field]);
+    if (!language) {
+      throw manifestError(manifestPath, `"${field}" must be a language code such as "en" or "de", got ${JSON.stringify(data[field])}`);
+    }
+    manifest[field] = language;
+  }
+
+  if (data.split !== undefined) {
+    if (typeof data.split !== 'boolean') {
+      throw manifestError(manifestPath, '"split" must be true or false');
+    }
+    manifest.split = data.split;
+  }
+
+  if (data.llm !== undefined) {
+    const { llm } = data;
+    if (!llm || typeof llm !== 'object' || Array.isArray(llm)) {
+      throw manifestError(manifestPath, `"llm" must be an object with any of: ${LLM_FIELDS.join(', ')}`);
+    }
+    const unknownLlm = Object.keys(llm).filter(key => !LLM_FIELDS.includes(key));
+    if (unknownLlm.length > 0) {
+      throw manifestError(manifestPath, `unknown "llm" fields: ${unknownLlm.join(', ')} (allowed: ${LLM_FIELDS.join(', ')})`);
+    }
+    for (const field of ['provider', 'model']) {
+      if (llm[field] !== undefined && (typeof llm[field] !== 'string' || llm[field].trim() === '')) {
+        throw manifestError(manifestPath, `"llm.${field}" must be a non-empty string`);
+      }
+    }
+    if (llm.temperature !== undefined && (typeof llm.temperature !== 'number' || llm.temperature < 0 || llm.temperature > 2)) {
+      throw manifestError(manifestPath, '"llm.temperature" must be a number from 0 to 2');
+    }
+    for (const field of ['maxTokens', 'maxTotalTokens']) {
+      if (llm[field] !== undefined && (!Number.isInteger(llm[field]) || llm[field] <= 0)) {
+        throw manifestError(manifestPath, `"llm.${field}" must be a positive whole number`);
+      }
+    }
+    manifest.llm = Object.fromEntries(
+      LLM_FIELDS.filter(field => llm[field] !== undefined)
+        .map(field => [field, typeof llm[field] === 'string' ? llm[field].trim() : llm[field]])
+    );
+  }
+
+  if (data.factCheck !== undefined) {
+    const { factCheck } = data;
+    if (typeof factCheck === 'boolean') {
+      manifest.factCheck = factCheck;
+    } else if (factCheck && typeof factCheck === 'object' && !Array.isArray(factCheck)) {
+      const unknownFactCheck = Object.keys(factCheck).filter(key => !FACT_CHECK_FIELDS.includes(key));
+      if (unknownFactCheck.length > 0) {
+        throw manifestError(manifestPath, `unknown "factCheck" fields: ${unknownFactCheck.join(', ')} (allowed: ${FACT_CHECK_FIELDS.join(', ')})`);
+      }
+      for (const field of FACT_CHECK_FIELDS) {
+        if (factCheck[field] !== undefined && (typeof factCheck[field] !== 'string' || factCheck[field].trim() === '')) {
+          throw manifestError(manifestPath, `"factCheck.${field}" must be a non-empty string`);
+        }
+      }
+      manifest.factCheck = Object.fromEntries(
+        FACT_CHECK_FIELDS.filter(field => factCheck[field] !== undefined).map(field => [field, factCheck[field].trim()])
+      );
+    } else {
+      throw manifestError(manifestPath, `"factCheck" must be true, false or an object with any of: ${FACT_CHECK_FIELDS.join(', ')}`);
+    }
+  }
+
+  if (data.dialogue !== undefined) {
+    const { dialogue } = data;
+    if (typeof dialogue === 'boolean') {
+      manifest.dialogue = dialogue;
+    } else if (dialogue && typeof dialogue === 'object' && !Array.isArray(dialogue)) {
+      const unknownDialogue = Object.keys(dialogue).filter(key => !DIALOGUE_FIELDS.includes(key));
+      if (unknownDialogue.length > 0) {
+        throw manifestError(manifestPath, `unknown "dialogue" fields: ${unknownDialogue.join(', ')} (allowed: ${DIALOGUE_FIELDS.join(', ')})`);
+      }
+      for (const field of ['hosts', 'voices']) {
+        const values = dialogue[field];
+        if (values !== undefined && (!Array.isArray(values) || values.length !== 2 || values.some(value => typeof value !== 'string' || !value.trim()))) {
+          throw manifestError(manifestPath, `"dialogue.${field}" must be a list of two names`);
+        }
+      }
+      if (dialogue.tts !== undefined && (typeof dialogue.tts !== 'string' || dialogue.tts.trim() === '')) {
+        throw manifestError(manifestPath, '"dialogue.tts" must be a non-empty string');
+      }
+      manifest.dialogue = Object.fromEntries(
+        DIALOGUE_FIELDS.filter(field => dialogue[field] !== undefined)
+          .map(field => [field, Array.isArray(dialogue[field]) ? dialogue[field].map(value => value.trim()) : dialogue[field].trim()])
+      );
+    } else {
+      throw manifestError(manifestPath, `"dialogue" must be true, false or an object with any of: ${DIALOGUE_FIELDS.join(', ')}`);
+    }
+  }
+
+  if (data.publishAt !== undefined) {
+    // YAML parses bare dates into Date objects, JSON leaves them as strings
+    const publishAt = data.publishAt instanceof Date ? data.publishAt : new Date(data.publishAt);
+    if (Number.isNaN(publishAt.getTime())) {
+      throw manifestError(manifestPath, `"publishAt" is not a valid date: ${data.publishAt}`);
+    }
+    manifest.publishAt = publishAt.toISOString();
+  }
+
+  return manifest;
+}
+
+/**
+ * Load the manifest for an audio file
+ *
+ * @param {string} audioFilePath - Path to the audio file
+ * @returns {Object|null} Normalized manifest, or null if there is none
+ */
+export async function loadManifest(audioFilePath) {
+  const manifestPath = await findManifestPath(audioFilePath);
+  if (!manifestPath) {
+    return null;
+  }
+
+  const raw = await fs.readFile(manifestPath, 'utf-8');
+
+  let data;
+  try {
+    if (path.extname(manifestPath) === '.json') {
+      data = JSON.parse(raw);
+    } else {
+      const { parse } = await import('yaml');
+      data = parse(raw);
+    }
+  } catch (error) {
+    throw manifestError(manifestPath, error.message);
+  }
+
+  const manifest = normalizeManifest(data, manifestPath);
+  console.log(`Loaded manifest ${path.basename(manifestPath)}:`, manifest);
+
+  return manifest;
+}
+
+export default { MANIFEST_EXTENSIONS, getManifestPaths, findManifestPath, normalizeManifest, loadManifest };
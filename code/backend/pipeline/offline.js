@@ -0,0 +1,550 @@
+/**
+ * Offline Provider Stand-ins
+ *
+ * Local fakes for every paid provider, used when PIPELINE_OFFLINE=true
+ * (process-queue.js --dry-run). They let the whole pipeline run end to end
+ * with no network access and no API keys:
+ *
+ * - Gemini (Phase 1): canned transcript and metadata (two questions when the
+ *   file name contains "multi", to exercise splitting; contact details and
+ *   names when it contains "pii", to exercise redaction)
+ * - Anthropic, Gemini and OpenAI-compatible text models (Phases 2 and 6, see
+ *   llm.js): deterministic markdown response, dialogue script and fact-check
+ *   replies; translation requests get their input back, marked "[translated]"
+ * - Gemini TTS (Phase 3): sine-wave WAV
+ * - Image generation (Phase 4): locally rendered gradient PNG
+ *
+ * Each fake client is created for one kind of request (see FAKE_ANSWERS)
+ * and answers in that shape, so prompt templates can be reworded without
+ * breaking dry runs.
+ *
+ * Outputs depend only on their inputs, so repeated dry runs of the same
+ * recording produce the same results.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+
+/**
+ * Check whether the pipeline is running with offline stand-ins
+ */
+export function isOffline() {
+  return process.env.PIPELINE_OFFLINE === 'true';
+}
+
+/**
+ * Stable numeric seed derived from a string
+ */
+function seedFrom(text) {
+  return crypto.createHash('sha256').update(String(text)).digest().readUInt32BE(0);
+}
+
+/**
+ * Rough token count for usage reporting (about four characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Canned Phase 1 output for a recording
+ */
+function cannedTranscription(audioFileName) {
+  const name = path.parse(audioFileName || 'recording').name;
+  const prompts = [{
+    prompt: 'How does a voice note turn into a blog post, and what does each step of the pipeline do?',
+    context: `Offline dry run of ${name}. No audio was sent to any provider.`,
+    title: `Dry Run: ${name}`,
+    prompt_summary: 'A walkthrough of how a voice note becomes a published blog post.',
+    tags: ['dry-run', 'pipeline'],
+    excerpt: 'An offline test post generated without calling any external provider.',
+    start_quote: 'This is an offline dry run',
+  }];
+  let transcript = `This is an offline dry run of the recording ${name}. So, um, I have been wondering how a voice note turns into a blog post, and what each step of the pipeline actually does along the way.`;
+
+  if (/pii/i.test(name)) {
+    transcript += ' My wife Sarah Jones says you can reach me on 555 123 4567 or at jane.doe@example.com, and I live at 12 Baker Street.';
+  }
+
+  if (/multi/i.test(name)) {
+    transcript += ' Okay, second question, totally unrelated. Why do cats knock things off tables?';
+    prompts.push({
+      prompt: 'Why do cats knock things off tables?',
+      context: `Offline dry run of ${name}.`,
+      title: `Dry Run: ${name} (Cats)`,
+      prompt_summary: 'Why cats push objects off surfaces.',
+      tags: ['dry-run', 'cats'],
+      excerpt: 'A second offline test question from the same recording.',
+      start_quote: 'Okay, second question, totally unrelated',
+    });
+  }
+
+  return { transcript, prompts };
+}
+
+/**
+ * Put each sentence on its own [mm:ss] line, four seconds apart
+ */
+function timestampLines(text) {
+  return (text.match(/\S.*?[.!?]+(?=\s|$)/g) || [text])
+    .map((sentence, i) => `[00:${String(i * 4).padStart(2, '0')}] ${sentence.trim()}`)
+    .join('\n');
+}
+
+/**
+ * Split text into a few pieces, as a streaming API would deliver it
+ */
+function* streamPieces(text, size = 200) {
+  for (let i = 0; i < text.length; i += size) {
+    yield text.slice(i, i + size);
+  }
+}
+
+/**
+ * Answer a Phase 2 conversation, honouring the output limit
+ *
+ * The answer is the same deterministic text every time. When the
+ * conversation already holds part of it (the last assistant message, as
+ * sent when continuing a cut-off response), only the rest is returned, so
+ * continuations can be exercised with a small limit.
+ *
+ * @param {string} kind - Kind of request (a key of FAKE_ANSWERS)
+ * @param {Object[]} messages - [{ role: 'user' | 'assistant', content }]
+ * @param {number} [maxTokens] - Output limit
+ * @returns {Object} { text, truncated }
+ */
+function fakeCompletion(kind, messages, maxTokens) {
+  const question = messages.find(message => message.role === 'user')?.content || '';
+  const full = fakeAnswer(kind, question);
+  const written = [...messages].reverse().find(message => message.role === 'assistant')?.content || '';
+  const remaining = written && full.startsWith(written) ? full.slice(written.length) : full;
+
+  const limit = maxTokens ? maxTokens * 4 : Infinity;
+  return remaining.length > limit
+    ? { text: remaining.slice(0, limit), truncated: true }
+    : { text: remaining, truncated: false };
+}
+
+/**
+ * Fake Gemini client (same surface as GoogleGenerativeAI)
+ *
+ * @param {Object} options
+ * @param {string} options.audioFileName - Used to vary the canned transcript per file
+ * @param {string} options.kind - Kind of request: "transcription", "extraction", "pii", or a key of FAKE_ANSWERS
+ */
+export function createFakeGeminiClient({ audioFileName, kind } = {}) {
+  return {
+    getGenerativeModel: ({ model, generationConfig: modelConfig }) => {
+      const generateContent = async request => {
+        // Accepts both a list of parts and a { contents } request
+        const contents = Array.isArray(request) ? [{ role: 'user', parts: request }] : request?.contents || [];
+        const generationConfig = request?.generationConfig || modelConfig;
+        const prompt = contents.flatMap(content => content.parts).map(part => part.text || '').join('\n');
+        const canned = cannedTranscription(audioFileName);
+
+        let text;
+        let finishReason = 'STOP';
+        if (kind === 'transcription') {
+          text = timestampLines(canned.transcript);
+        } else if (kind === 'extraction') {
+          // A manifest with "split": false limits the schema to one prompt
+          const single = generationConfig?.responseSchema?.properties?.prompts?.maxItems === 1;
+          text = JSON.stringify({ language: 'en', prompts: single ? canned.prompts.slice(0, 1) : canned.prompts }, null, 2);
+        } else if (kind === 'pii') {
+          text = JSON.stringify({ findings: /Sarah Jones/.test(prompt) ? [{ type: 'name', text: 'Sarah Jones' }] : [] });
+        } else {
+          const messages = contents.map(content => ({
+            role: content.role === 'model' ? 'assistant' : 'user',
+            content: content.parts.map(part => part.text || '').join(''),
+          }));
+          const completion = fakeCompletion(kind, messages, generationConfig?.maxOutputTokens);
+          text = completion.text;
+          if (completion.truncated) finishReason = 'MAX_TOKENS';
+        }
+
+        return {
+          response: {
+            text: () => text,
+            candidates: [{ finishReason }],
+            usageMetadata: {
+              promptTokenCount: 0,
+              candidatesTokenCount: estimateTokens(text),
+            },
+            modelVersion: `${model} (offline)`,
+          },
+        };
+      };
+
+      return {
+        generateContent,
+        generateContentStream: async request => {
+          const { response } = await generateContent(request);
+          async function* stream() {
+            for (const piece of streamPieces(response.text())) {
+              yield { text: () => piece };
+            }
+          }
+          return { stream: stream(), response: Promise.resolve(response) };
+        },
+      };
+    },
+  };
+}
+
+// "Name: text", a line of a dialogue script
+const SCRIPT_LINE = /^[\p{L}][\p{L} .'-]{0,30}: \S/u;
+
+/**
+ * Mark every string in a translation request as translated
+ *
+ * JSON input (companion post metadata) comes back as JSON with the same keys.
+ */
+function fakeTranslation(text) {
+  try {
+    const values = JSON.parse(text);
+    return JSON.stringify(
+      Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value ? `[translated] ${value}` : value])),
+      null,
+      2
+    );
+  } catch {
+    // A dialogue script keeps its speaker names
+    const lines = text.split('\n').filter(line => line.trim());
+    if (lines.length > 1 && lines.every(line => SCRIPT_LINE.test(line))) {
+      return text.replace(/^([^:\n]+:\s*)/gm, '$1[translated] ');
+    }
+    return `[translated] ${text}`;
+  }
+}
+
+/**
+ * Deterministic Phase 2 answer for a prompt
+ */
+function fakeResponse(userMessage) {
+  return `# Offline Response
+
+This response was generated locally by the dry-run stand-in for the response model. It is deterministic: the same prompt always produces the same text (fingerprint \`${seedFrom(userMessage).toString(16)}\`).
+
+## What Was Asked
+
+${userMessage}
+
+## How the Pipeline Continues
+
+1. Phase 3 turns this text into a test tone instead of real speech.
+2. Phase 4 renders a gradient banner locally.
+3. Phase 5 writes the post to the dry-run output directory.`;
+}
+
+/**
+ * Deterministic two-host script for a Phase 2 answer
+ */
+function fakeDialogue(userMessage) {
+  const [, hostA = 'Host A', hostB = 'Host B'] = /\*\*Hosts:\*\* (.+?) and (.+)/.exec(userMessage) || [];
+  const question = /\*\*Question:\*\*\n(.*)/.exec(userMessage)?.[1] || 'a question from a listener';
+
+  return [
+    `${hostA}: Welcome back to My Weird Prompts. Today's question: ${question}`,
+    `${hostB}: And this conversation comes from the dry-run stand-in, so it is the same every time. Fingerprint ${seedFrom(userMessage).toString(16)}.`,
+    `${hostA}: Which means nobody actually answers it today?`,
+    `${hostB}: Right. Phase 3 reads these lines as test tones, one voice each,`,
+    `and Phase 5 prints them under the post.`,
+    `${hostA}: Then that is all for this one. Thanks for listening.`,
+    `${hostB}: See you next time.`,
+  ].join('\n');
+}
+
+/**
+ * The part of a user message between a "**Label:**" heading and the next
+ * one named (or the end); the answer being checked can hold headings too
+ */
+function section(userMessage, label, nextLabel) {
+  const start = userMessage.indexOf(`**${label}:**\n`);
+  if (start === -1) return '';
+  const rest = userMessage.slice(start + label.length + 6);
+  const end = nextLabel ? rest.lastIndexOf(`\n\n**${nextLabel}:**\n`) : -1;
+  return end === -1 ? rest : rest.slice(0, end);
+}
+
+/**
+ * Fact-check claims: the numbered steps of a fakeResponse() answer
+ */
+function fakeClaims(userMessage) {
+  const steps = [...section(userMessage, 'Answer', 'Claims').matchAll(/^\d+\. (.+)$/gm)].map(match => match[1]);
+  return JSON.stringify({ claims: steps.map(step => ({ claim: step, quote: step })) }, null, 2);
+}
+
+/**
+ * Fact-check reviews: supported, uncertain and incorrect in turn
+ */
+function fakeReviews(userMessage) {
+  const claims = [...section(userMessage, 'Claims').matchAll(/^(\d+)\. (.+)$/gm)];
+  const reviews = claims.map(([, number, claim], i) => ({
+    number: parseInt(number, 10),
+    ...[
+      { verdict: 'supported', confidence: 'high', note: '', correction: '', sources: ['code/backend/README.md', 'https://ffmpeg.org/documentation.html'] },
+      { verdict: 'uncertain', confidence: 'medium', note: 'The offline stand-in cannot check this.', correction: '', sources: [] },
+      { verdict: 'incorrect', confidence: 'high', note: 'Flagged by the offline stand-in.', correction: `${claim.replace(/\.$/, '')} (corrected offline).`, sources: [] },
+    ][i % 3],
+  }));
+  return JSON.stringify({ reviews }, null, 2);
+}
+
+/**
+ * Fact-check revision: the answer with each wrong claim swapped for its correction
+ */
+function fakeRevision(userMessage) {
+  let answer = section(userMessage, 'Answer', 'Corrections');
+  for (const [, wrong, correct] of section(userMessage, 'Corrections').matchAll(/Wrong: (.+)\n\s+Correct: (.+)/g)) {
+    // The steps come last; earlier copies are quoted from the prompt
+    const at = answer.lastIndexOf(wrong);
+    if (at !== -1) answer = answer.slice(0, at) + correct + answer.slice(at + wrong.length);
+  }
+  return answer;
+}
+
+// Stand-in answer for each kind of text request, from its user message
+const FAKE_ANSWERS = {
+  response: fakeResponse,
+  dialogue: fakeDialogue,
+  claims: fakeClaims,
+  critique: fakeReviews,
+  revision: fakeRevision,
+  translation: fakeTranslation,
+};
+
+/**
+ * Deterministic answer to a text request of the given kind
+ */
+function fakeAnswer(kind, userMessage) {
+  const answer = FAKE_ANSWERS[kind];
+  if (!answer) {
+    throw new Error(`The offline stand-ins have no answer for a "${kind}" request`);
+  }
+  return answer(userMessage);
+}
+
+/**
+ * Fake Anthropic client (same surface as the SDK's messages.create and messages.stream)
+ *
+ * @param {Object} options
+ * @param {string} options.kind - Kind of request (a key of FAKE_ANSWERS)
+ */
+export function createFakeAnthropicClient({ kind } = {}) {
+  const create = async ({ model, system, messages, max_tokens: maxTokens }) => {
+    const completion = fakeCompletion(kind, messages, maxTokens);
+
+    return {
+      model: `${model} (offline)`,
+      content: [{ type: 'text', text: completion.text }],
+      stop_reason: completion.truncated ? 'max_tokens' : 'end_turn',
+      usage: {
+        input_tokens: estimateTokens(system + messages.map(message => message.content).join('\n\n')),
+        output_tokens: estimateTokens(completion.text),
+      },
+    };
+  };
+
+  return {
+    messages: {
+      create,
+      stream: request => {
+        const handlers = [];
+        const done = create(request).then(message => {
+          for (const piece of streamPieces(message.content[0].text)) {
+            handlers.forEach(handler => handler(piece));
+          }
+          return message;
+        });
+        const stream = {
+          on: (event, handler) => {
+            if (event === 'text') handlers.push(handler);
+            return stream;
+          },
+          finalMessage: () => done,
+        };
+        return stream;
+      },
+    },
+  };
+}
+
+/**
+ * Fake OpenAI-compatible client (same surface as the SDK's chat.completions.create)
+ *
+ * @param {Object} options
+ * @param {string} options.kind - Kind of request (a key of FAKE_ANSWERS)
+ */
+export function createFakeOpenAIClient({ kind } = {}) {
+  return {
+    chat: {
+      completions: {
+        create: async ({ model, messages, max_tokens: maxTokens, stream }) => {
+          const conversation = messages.filter(message => message.role !== 'system');
+          const completion = fakeCompletion(kind, conversation, maxTokens);
+          const finishReason = completion.truncated ? 'length' : 'stop';
+          const usage = {
+            prompt_tokens: estimateTokens(messages.map(message => message.content).join('\n\n')),
+            completion_tokens: estimateTokens(completion.text),
+          };
+
+          if (stream) {
+            return (async function* chunks() {
+              for (const piece of streamPieces(completion.text)) {
+                yield { model: `${model} (offline)`, choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] };
+              }
+              yield { model: `${model} (offline)`, choices: [{ index: 0, delta: {}, finish_reason: finishReason }] };
+              yield { model: `${model} (offline)`, choices: [], usage };
+            })();
+          }
+
+          return {
+            model: `${model} (offline)`,
+            choices: [{ index: 0, message: { role: 'assistant', content: completion.text }, finish_reason: finishReason }],
+            usage,
+          };
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Write a mono 16-bit PCM sine-wave WAV file
+ *
+ * @param {string} outputPath - Where to write the WAV
+ * @param {Object} options
+ * @param {number} options.seconds - Duration
+ * @param {number} options.frequency - Tone frequency in Hz
+ * @param {number} options.sampleRate - Samples per second
+ */
+export async function writeSineWav(outputPath, { seconds = 5, frequency = 440, sampleRate = 24000 } = {}) {
+  const sampleCount = Math.round(seconds * sampleRate);
+  const dataSize = sampleCount * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  // RIFF/WAVE header
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16); // fmt chunk size
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  buffer.writeUInt16LE(2, 32); // block align
+  buffer.writeUInt16LE(16, 34); // bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  for (let i = 0; i < sampleCount; i++) {
+    const sample = Math.sin((2 * Math.PI * frequency * i) / sampleRate) * 0.3;
+    buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+  }
+
+  await fs.writeFile(outputPath, buffer);
+  return outputPath;
+}
+
+/**
+ * Generate a stand-in for Phase 3's TTS: a tone roughly as long as the text would take to read
+ */
+export async function generateFakeTTS(responseText, outputPath) {
+  const words = responseText.split(/\s+/).filter(Boolean).length;
+  // ~150 words per minute, capped so dry runs stay small
+  const seconds = Math.min(30, Math.max(3, Math.round(words / 2.5)));
+  const frequency = 220 + (seedFrom(responseText) % 440);
+
+  return writeSineWav(outputPath, { seconds, frequency });
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 as used by PNG chunks
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk (length + type + data + CRC)
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Render a diagonal gradient banner PNG, colored deterministically from the prompt
+ *
+ * @param {string} prompt - Image prompt (only used to pick colors)
+ * @param {string} outputPath - Where to write the PNG
+ * @param {Object} options
+ * @param {number} options.width
+ * @param {number} options.height
+ */
+export async function renderFakeImage(prompt, outputPath, { width = 1216, height = 832 } = {}) {
+  const seed = seedFrom(prompt);
+  const from = [seed & 0xff, (seed >>> 8) & 0xff, (seed >>> 16) & 0xff];
+  const to = [255 - from[1], 255 - from[2], 255 - from[0]];
+
+  // Each row starts with filter byte 0 (None), followed by RGB pixels
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (width * 3 + 1);
+    for (let x = 0; x < width; x++) {
+      const t = (x / width + y / height) / 2;
+      const offset = rowStart + 1 + x * 3;
+      for (let channel = 0; channel < 3; channel++) {
+        raw[offset + channel] = Math.round(from[channel] + (to[channel] - from[channel]) * t);
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // color type: truecolor RGB
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+
+  await fs.writeFile(outputPath, png);
+  return outputPath;
+}
+
+export default {
+  isOffline,
+  createFakeGeminiClient,
+  createFakeAnthropicClient,
+  createFakeOpenAIClient,
+  writeSineWav,
+  generateFakeTTS,
+  renderFakeImage,
+};
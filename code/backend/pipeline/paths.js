@@ -0,0 +1,30 @@
+/**
+ * Output Paths
+ *
+ * Resolves where the pipeline writes its output. By default that is the
+ * Astro frontend (code/frontend), but PIPELINE_OUTPUT_DIR can point it at
+ * another directory with the same layout, e.g. for dry runs:
+ *
+ *   <root>/src/content/blog/      - Blog posts
+ *   <root>/public/audio/          - Prompt and response audio
+ *   <root>/public/images/banners/ - Banner images
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Get a path inside the frontend output directory
+ *
+ * @param {...string} segments - Path segments relative to the frontend root
+ * @returns {string} Absolute path
+ */
+export function getFrontendPath(...segments) {
+  const root = process.env.PIPELINE_OUTPUT_DIR || path.join(__dirname, '../../frontend');
+  return path.join(root, ...segments);
+}
+
+export default { getFrontendPath };
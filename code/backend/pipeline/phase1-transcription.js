@@ -1,171 +1,467 @@
 /**
  * Phase 1: Audio Transcription and Metadata Extraction
  *
- * Uses Gemini 2.5 Pro to:
- * 1. Transcribe the voice prompt audio
- * 2. Clean up the transcript (remove filler words, etc.)
- * 3. Separate prompt from context
- * 4. Extract metadata (title, tags, excerpt)
- * 5. Generate prompt summary
+ * 1. Transcribe the voice prompt with the job's transcription backend
+ *    (Gemini, or a local whisper.cpp / faster-whisper - see transcription.js)
+ * 2. From the plain-text transcript, use Gemini to:
+ *    - Separate prompt from context
+ *    - Extract metadata (title, tags, excerpt), preferring tags the blog
+ *      already uses and normalizing them against the tag vocabulary (tags.js)
+ *    - Generate prompt summary
+ *    - Detect the spoken language
+ *    The transcription and extraction instructions are prompt templates
+ *    (see templates.js); the result records which versions were used.
+ * 3. If the recording holds several unrelated questions, split it into one
+ *    result per question, each with its slice of the transcript and an
+ *    estimated time range in the recording. The runner then runs Phases 2-5
+ *    once per question (see the `split` option in runner.js).
+ * 4. Mask personal information in every result and note where it is spoken,
+ *    so Phase 3 can bleep it and Phase 5 can hold risky posts (see redaction.js)
+ *
+ * The recording has already passed the audio preflight (preflight.js); if
+ * its format had to be converted, the converted copy is transcribed and
+ * deleted afterwards.
  *
  * Input: Audio file path + metadata
  * Output: JSON schema with structured data
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { readNumberEnv, wrapPhaseError } from './retry.js';
+import { GEMINI_MODEL, getGeminiClient, generateWithUsage } from './gemini.js';
+import { transcribe } from './transcription.js';
+import { getAudioDuration } from './audio-chunks.js';
+import { estimateSegments, sliceSegments } from './captions.js';
+import { DEFAULT_LANGUAGE, normalizeLanguage, getLanguageName } from './languages.js';
+import { loadTagNormalizer } from './tags.js';
+import { getCompanionTemplate, renderTemplate } from './templates.js';
+import { detectPII, detectPIIWithLLM, isLLMCheckEnabled, redactResult } from './redaction.js';
+import {
+  PHASE1_EXTRACTION_SCHEMA,
+  PHASE1_RESULT_SCHEMA,
+  TITLE_MAX_LENGTH,
+  PROMPTS_MAX,
+  validateSchema,
+  assertSchema,
+  toGeminiSchema,
+} from './schemas.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+// How many times an invalid extraction is sent back to the model for repair
+const DEFAULT_REPAIR_ATTEMPTS = 2;
 
 /**
- * Initialize Gemini client
+ * Get audio mime type from file extension (when there is no preflight result)
  */
-function getGeminiClient() {
-  const apiKey = process.env.GEMINI_API_KEY;
+function getMimeType(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const mimeTypes = {
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.m4a': 'audio/x-m4a',
+    '.ogg': 'audio/ogg',
+    '.webm': 'audio/webm',
+    '.flac': 'audio/flac',
+    '.aac': 'audio/aac',
+    '.aiff': 'audio/aiff',
+  };
+  return mimeTypes[ext] || 'audio/mpeg';
+}
 
-  if (!apiKey) {
-    throw new Error('GEMINI_API_KEY environment variable not set');
+/**
+ * Apply job manifest overrides to Gemini's output
+ *
+ * Manifest values are authoritative: a title or tags from the manifest
+ * replace what Gemini extracted, and extra context is appended to the
+ * context Gemini separated out of the recording. A manifest title only
+ * applies to single-question recordings; split posts keep their own titles.
+ */
+function applyManifestOverrides(parsedData, manifest, { single = true } = {}) {
+  if (!manifest) {
+    return parsedData;
   }
 
-  return new GoogleGenerativeAI(apiKey);
+  const merged = { ...parsedData };
+
+  if (manifest.title && single) merged.title = manifest.title;
+  if (manifest.tags) merged.tags = manifest.tags;
+  if (manifest.context) {
+    merged.context = [parsedData.context, manifest.context].filter(Boolean).join('\n\n');
+  }
+
+  return merged;
 }
 
 /**
- * Convert audio file to base64 for Gemini API
+ * Build the extraction prompt for a transcript
+ *
+ * @param {Object} template - "extraction" prompt template (see templates.js)
+ * @param {string} transcript - Plain-text transcript of the recording
+ * @param {Object} options
+ * @param {string} [options.manifestContext] - Extra background from the job manifest
+ * @param {boolean} [options.single] - Treat the whole recording as one prompt
+ * @param {string[]} [options.knownTags] - Tags the blog already uses
  */
-async function audioFileToBase64(filePath) {
-  const audioBuffer = await fs.readFile(filePath);
-  return audioBuffer.toString('base64');
+function buildExtractionPrompt(template, transcript, { manifestContext, single = false, knownTags = [] } = {}) {
+  return renderTemplate(template, {
+    single,
+    promptsMax: PROMPTS_MAX,
+    titleMaxLength: TITLE_MAX_LENGTH,
+    knownTags,
+    manifestContext: manifestContext || '',
+    transcript,
+  });
 }
 
 /**
- * Get audio mime type from file extension
+ * Parse the JSON Gemini returns for extraction
  */
-function getMimeType(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeTypes = {
-    '.mp3': 'audio/mpeg',
-    '.wav': 'audio/wav',
-    '.m4a': 'audio/x-m4a',
-    '.ogg': 'audio/ogg',
-    '.webm': 'audio/webm',
+function parseJsonResponse(text) {
+  try {
+    // Clean up response (remove markdown code blocks if present)
+    const cleanedText = text
+      .replace(/```json\n?/g, '')
+      .replace(/```\n?/g, '')
+      .trim();
+
+    return JSON.parse(cleanedText);
+  } catch (parseError) {
+    console.error('Failed to parse Gemini response as JSON:', text);
+    throw new Error(`Invalid JSON response from Gemini: ${parseError.message}`);
+  }
+}
+
+/**
+ * Get the number of repair attempts allowed for an invalid extraction
+ */
+function getRepairAttempts() {
+  return Math.round(readNumberEnv('PHASE1_REPAIR_ATTEMPTS', DEFAULT_REPAIR_ATTEMPTS, { min: 0 }));
+}
+
+/**
+ * Extract prompt, context and metadata from a transcript
+ *
+ * Gemini is asked for structured output matching PHASE1_EXTRACTION_SCHEMA.
+ * If the reply still fails validation, it is sent back with the errors
+ * attached, up to PHASE1_REPAIR_ATTEMPTS times.
+ *
+ * @returns {Object} { data, usage, repairs }
+ */
+async function extractMetadata(model, template, transcript, { manifestContext, single, knownTags, job }) {
+  // A manifest with "split": false allows exactly one prompt
+  const schema = single
+    ? {
+      ...PHASE1_EXTRACTION_SCHEMA,
+      properties: {
+        ...PHASE1_EXTRACTION_SCHEMA.properties,
+        prompts: { ...PHASE1_EXTRACTION_SCHEMA.properties.prompts, maxItems: 1 },
+      },
+    }
+    : PHASE1_EXTRACTION_SCHEMA;
+  const generationConfig = {
+    responseMimeType: 'application/json',
+    responseSchema: toGeminiSchema(schema),
   };
-  return mimeTypes[ext] || 'audio/mpeg';
+  const contents = [{ role: 'user', parts: [{ text: buildExtractionPrompt(template, transcript, { manifestContext, single, knownTags }) }] }];
+  const usage = [];
+  const maxAttempts = 1 + getRepairAttempts();
+
+  for (let attempt = 1; ; attempt++) {
+    const { text, usage: callUsage } = await generateWithUsage(model, { contents, generationConfig }, { job, phase: 1 });
+    usage.push(callUsage);
+
+    console.log('Gemini response received:', text.substring(0, 200) + '...');
+
+    let data = null;
+    let errors;
+    try {
+      data = parseJsonResponse(text);
+      errors = validateSchema(schema, data);
+    } catch (parseError) {
+      errors = [parseError.message];
+    }
+
+    if (errors.length === 0) {
+      return { data, usage, repairs: attempt - 1 };
+    }
+
+    console.warn(`Extraction attempt ${attempt}/${maxAttempts} is invalid: ${errors.join('; ')}`);
+    if (attempt >= maxAttempts) {
+      const error = new Error(`Gemini extraction still invalid after ${attempt} attempt(s): ${errors.join('; ')}`);
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    contents.push(
+      { role: 'model', parts: [{ text }] },
+      {
+        role: 'user',
+        parts: [{
+          text: `That response does not match the required schema:\n${errors.map(e => `- ${e}`).join('\n')}\n\nReturn the corrected JSON only.`,
+        }],
+      }
+    );
+  }
+}
+
+/**
+ * Find where a quoted phrase starts in the transcript
+ *
+ * Matching ignores case and punctuation. If the full quote is not found
+ * (the model paraphrased it), its first three words are tried instead.
+ *
+ * @returns {number} Character offset, or -1 if not found
+ */
+function findQuoteOffset(transcript, quote, fromIndex = 0) {
+  // Only letters, digits and apostrophes are kept, so the words are safe in a pattern
+  const words = quote.split(/\s+/).map(word => word.replace(/[^\p{L}\p{N}']/gu, '')).filter(Boolean);
+
+  for (const candidate of [words, words.slice(0, 3)]) {
+    if (candidate.length === 0) continue;
+    const pattern = new RegExp(candidate.join('[^\\p{L}\\p{N}\']+'), 'giu');
+    pattern.lastIndex = fromIndex;
+    const match = pattern.exec(transcript);
+    if (match) return match.index;
+  }
+
+  return -1;
+}
+
+/**
+ * Split a transcript into one slice per extracted prompt
+ *
+ * Each prompt's start_quote marks where its slice begins. Quotes that cannot
+ * be found fall back to an even share of the transcript, so slices are
+ * always in order and never empty.
+ *
+ * @param {string} transcript
+ * @param {Object[]} prompts - Extracted prompts, in the order asked
+ * @returns {Object[]} [{ text, startOffset, endOffset }]
+ */
+function splitTranscript(transcript, prompts) {
+  const starts = [0];
+
+  for (let i = 1; i < prompts.length; i++) {
+    const previous = starts[i - 1];
+    const found = findQuoteOffset(transcript, prompts[i].start_quote, previous + 1);
+    starts.push(found > previous ? found : Math.max(previous + 1, Math.round((transcript.length * i) / prompts.length)));
+  }
+
+  return starts.map((startOffset, i) => {
+    const endOffset = i + 1 < starts.length ? starts[i + 1] : transcript.length;
+    return { text: transcript.slice(startOffset, endOffset).trim(), startOffset, endOffset };
+  });
+}
+
+/**
+ * Find the time in the recording where a transcript offset is spoken
+ *
+ * The offset is mapped onto the timed segments by its relative position,
+ * and snapped to the start of the segment it falls in.
+ *
+ * @returns {number|null} Seconds, or null without segments
+ */
+function timeAtOffset(segments, transcript, offset) {
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const total = segments.reduce((sum, segment) => sum + segment.text.length + 1, 0);
+  const target = (offset / transcript.length) * total;
+
+  let position = 0;
+  for (const segment of segments) {
+    position += segment.text.length + 1;
+    if (position > target) return segment.start;
+  }
+  return segments[segments.length - 1].end;
+}
+
+/**
+ * Keep a post's part of the recording inside the audio
+ *
+ * Segment times come from the model and can run past the end of the file,
+ * so both ends are clamped to the duration (when known). A range that is
+ * empty afterwards is dropped, and the post falls back to the whole recording.
+ *
+ * @returns {Object} { start, end } in seconds; end null means "to the end", both null means no range
+ */
+function clampRange(start, end, duration) {
+  if (start === null) {
+    return { start: null, end: null };
+  }
+
+  const limit = duration ?? Infinity;
+  const clamp = seconds => Math.min(Math.max(seconds, 0), limit);
+  const range = { start: clamp(start), end: end === null ? null : clamp(end) };
+
+  return range.start < (range.end ?? limit) ? range : { start: null, end: null };
+}
+
+/**
+ * Stable id shared by every post made from the same recording
+ */
+function getRecordingId(audioFileName, transcript) {
+  const hash = crypto.createHash('sha1').update(`${audioFileName}\n${transcript}`).digest('hex');
+  return `rec-${hash.slice(0, 10)}`;
 }
 
 /**
  * Process Phase 1: Transcription & Metadata Extraction
  *
- * @param {Object} metadata - Metadata from webhook receiver
- * @returns {Object} Structured data with prompt, context, and metadata
+ * @param {Object} metadata - Metadata from webhook receiver or queue
+ * @param {Object} [metadata.manifest] - Job manifest overrides (see manifest.js)
+ * @param {Object} [metadata.preflight] - Audio preflight result (see preflight.js)
+ * @returns {import('./schemas.js').Phase1Result} Structured data with prompt, context, and metadata;
+ *   `prompts` holds one result per question (the top level mirrors the first)
  */
 export async function processPhase1(metadata) {
   console.log('Phase 1: Starting transcription and metadata extraction');
 
-  try {
-    const genAI = getGeminiClient();
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
+  const manifest = metadata.manifest || null;
+  const preflight = metadata.preflight?.skipped ? null : metadata.preflight;
 
-    // Read audio file
-    const audioFilePath = metadata.audioFilePath;
-    const audioBase64 = await audioFileToBase64(audioFilePath);
-    const mimeType = getMimeType(audioFilePath);
+  try {
+    // The preflight knows the real format, and may have converted it
+    const audioFilePath = preflight?.canonicalPath || metadata.audioFilePath;
+    const mimeType = preflight?.mimeType || getMimeType(audioFilePath);
 
     console.log(`Processing audio file: ${audioFilePath}`);
     console.log(`MIME type: ${mimeType}`);
 
-    // Construct prompt for Gemini
-    const prompt = `You are processing a voice-recorded prompt for an AI blog called "My Weird Prompts."
-
-The user has recorded a voice prompt that may contain:
-1. A question or task for an AI to answer (the "prompt")
-2. Contextual background information or "memory" (the "context")
-3. Casual speech patterns, filler words, etc.
-
-Your task is to:
-1. Transcribe the audio accurately
-2. Clean up the transcript (remove excessive filler words like "um", "uh", but keep natural speech flow)
-3. Separate the PROMPT (the actual question/task) from the CONTEXT (background info)
-4. Generate a catchy blog post title
-5. Create a brief prompt summary (1-2 sentences)
-6. Suggest 2-4 relevant tags/categories
-7. Write a brief excerpt for preview (1 sentence)
-
-IMPORTANT:
-- The prompt should be the main question or task the user wants answered
-- The context should be any background information, clarifications, or "memory" that helps answer the prompt
-- If there's no clear separation, put everything in the prompt field and leave context empty
-
-Return your response as valid JSON with this exact structure:
-{
-  "transcript": "full cleaned transcript",
-  "prompt": "the actual question or task for AI",
-  "context": "background information or context (if any)",
-  "title": "catchy blog post title",
-  "prompt_summary": "brief 1-2 sentence summary",
-  "tags": ["tag1", "tag2", "tag3"],
-  "excerpt": "brief preview excerpt"
-}
-
-Make sure to return ONLY valid JSON, no additional text or markdown formatting.`;
+    // Step 1: audio -> plain text
+    const transcription = await transcribe({
+      audioFilePath,
+      checkpointPath: metadata.audioFilePath,
+      audioFileName: metadata.audioFileName,
+      mimeType,
+      manifest,
+    });
+    console.log(`Transcript ready (${transcription.backend}, ${transcription.text.length} chars)`);
 
-    // Call Gemini API with audio
-    const result = await model.generateContent([
-      {
-        inlineData: {
-          mimeType: mimeType,
-          data: audioBase64,
-        },
-      },
-      { text: prompt },
-    ]);
+    // Step 2: plain text -> prompt, context and metadata
+    const tags = await loadTagNormalizer();
+    const genAI = getGeminiClient({ audioFileName: metadata.audioFileName, kind: 'extraction' });
+    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
+    const extractionTemplate = await getCompanionTemplate('extraction', manifest?.template);
+    const extraction = await extractMetadata(model, extractionTemplate, transcription.text, {
+      manifestContext: manifest?.context,
+      single: manifest?.split === false,
+      knownTags: tags.knownTags,
+      job: metadata.audioFileName,
+    });
 
-    const response = await result.response;
-    const text = response.text();
+    // "Artificial Intelligence", "ai" and "AI" all become the vocabulary's "AI"
+    const prompts = extraction.data.prompts.map(prompt => ({ ...prompt, tags: tags.normalize(prompt.tags) }));
 
-    console.log('Gemini response received:', text.substring(0, 200) + '...');
+    // A manifest "language" corrects a wrong detection
+    const detected = normalizeLanguage(extraction.data.language);
+    if (!detected) {
+      console.warn(`Unrecognised language "${extraction.data.language}", assuming ${DEFAULT_LANGUAGE}`);
+    }
+    const language = manifest?.language || detected || DEFAULT_LANGUAGE;
+    console.log(`Language: ${getLanguageName(language)} (${language})`);
 
-    // Parse JSON response
-    let parsedData;
-    try {
-      // Clean up response (remove markdown code blocks if present)
-      const cleanedText = text
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
+    const slices = splitTranscript(transcription.text, prompts);
 
-      parsedData = JSON.parse(cleanedText);
-    } catch (parseError) {
-      console.error('Failed to parse Gemini response as JSON:', text);
-      throw new Error(`Invalid JSON response from Gemini: ${parseError.message}`);
-    }
+    // Backends that return no timings get segments estimated from the duration
+    const duration = transcription.duration ?? await getAudioDuration(metadata.audioFilePath).catch(() => null);
+    const segments = transcription.segments?.length > 0 || duration === null
+      ? transcription.segments || []
+      : estimateSegments(transcription.text, duration);
+    const toSeconds = offset => timeAtOffset(segments, transcription.text, offset);
+    const recordingId = getRecordingId(metadata.audioFileName, transcription.text);
+    const audioProcessedAt = new Date().toISOString();
 
-    // Validate required fields
-    const requiredFields = ['transcript', 'prompt', 'title', 'prompt_summary', 'tags', 'excerpt'];
-    for (const field of requiredFields) {
-      if (!parsedData[field]) {
-        throw new Error(`Missing required field in Gemini response: ${field}`);
+    const extracted = prompts.map((prompt, i) => {
+      const { start, end } = clampRange(
+        prompts.length > 1 ? toSeconds(slices[i].startOffset) : 0,
+        prompts.length > 1 && i + 1 < prompts.length ? toSeconds(slices[i].endOffset) : duration,
+        duration
+      );
+      if (prompts.length > 1 && start === null && segments.length > 0) {
+        console.warn(`⚠️  Could not place question ${i + 1} in the recording; its post uses the whole audio`);
       }
+
+      // Manifest values win over anything Gemini extracted
+      const parsedData = applyManifestOverrides(
+        { ...prompt, transcript: slices[i].text },
+        manifest,
+        { single: prompts.length === 1 }
+      );
+
+      return {
+        ...parsedData,
+        // Add original metadata
+        originalAudioPath: metadata.audioFilePath,
+        originalAudioFileName: metadata.audioFileName,
+        audioMimeType: metadata.audioMimeType,
+        audioSize: metadata.audioSize,
+        audioDuration: duration,
+        audioProcessedAt,
+        model: GEMINI_MODEL,
+        transcription: {
+          backend: transcription.backend,
+          model: transcription.model,
+          chunks: transcription.chunks,
+          template: transcription.template,
+        },
+        language,
+        // The part of the source recording this post covers
+        recording: {
+          id: recordingId,
+          file: metadata.audioFileName,
+          part: i + 1,
+          parts: prompts.length,
+          start,
+          end,
+        },
+        // Timed transcript for this post's audio (which starts at `start`)
+        segments: prompts.length > 1 && start !== null ? sliceSegments(segments, start, end) : segments,
+        extractionRepairs: extraction.repairs,
+        extractionTemplate: { id: extractionTemplate.id, version: extractionTemplate.version },
+        // Transcription and extraction are paid once, so only the first post carries them
+        usage: i === 0 ? [...transcription.usage, ...extraction.usage] : [],
+        // Ensure context is always present (empty string if not provided)
+        context: parsedData.context || '',
+        // Carried forward so later phases can honour voice, template and publish date
+        manifest,
+      };
+    });
+
+    // Step 3: mask personal information before any later phase sees it
+    const findings = [
+      transcription.text,
+      ...prompts.flatMap(prompt => [prompt.prompt, prompt.context, prompt.title, prompt.prompt_summary, prompt.excerpt]),
+    ].flatMap(text => (text ? detectPII(text) : []));
+    const llmCheck = isLLMCheckEnabled()
+      ? await detectPIIWithLLM(
+        getGeminiClient({ audioFileName: metadata.audioFileName, kind: 'pii' }).getGenerativeModel({ model: GEMINI_MODEL }),
+        transcription.text,
+        { job: metadata.audioFileName }
+      )
+      : null;
+    if (llmCheck) findings.push(...llmCheck.findings);
+
+    const results = extracted.map(result => redactResult(result, findings, { llmChecked: Boolean(llmCheck) }));
+    if (llmCheck) results[0].usage.push(llmCheck.usage);
+
+    const held = results.filter(result => result.redaction.hold);
+    const maskedCount = new Set(findings.map(finding => finding.text.toLowerCase())).size;
+    console.log(`PII check (${llmCheck ? 'rules + LLM' : 'rules'}): ${maskedCount > 0 ? `${maskedCount} item(s) masked` : 'nothing found'}`);
+    if (held.length > 0) {
+      console.warn(`⚠️  ${held.length} post(s) will be held for review: ${[...new Set(held.flatMap(result => result.redaction.holdReasons))].join(', ')}`);
     }
 
-    // Prepare final result
-    const result1 = {
-      ...parsedData,
-      // Add original metadata
-      originalAudioPath: metadata.audioFilePath,
-      originalAudioFileName: metadata.audioFileName,
-      audioMimeType: metadata.audioMimeType,
-      audioSize: metadata.audioSize,
-      audioProcessedAt: new Date().toISOString(),
-      // Ensure context is always present (empty string if not provided)
-      context: parsedData.context || '',
-    };
+    // Manifest overrides are checked too (e.g. an overlong title)
+    results.forEach((result, i) => assertSchema(PHASE1_RESULT_SCHEMA, result, `Phase 1 result (prompt ${i + 1})`));
+
+    const result1 = { ...results[0], prompts: results };
 
     console.log('Phase 1 complete:', {
-      title: result1.title,
+      prompts: results.length,
+      titles: results.map(result => result.title),
       promptLength: result1.prompt.length,
       contextLength: result1.context.length,
       tags: result1.tags,
@@ -175,7 +471,11 @@ Make sure to return ONLY valid JSON, no additional text or markdown formatting.`
 
   } catch (error) {
     console.error('Phase 1 error:', error);
-    throw new Error(`Phase 1 transcription failed: ${error.message}`);
+    throw wrapPhaseError('Phase 1 transcription failed', error);
+  } finally {
+    if (preflight?.canonicalPath) {
+      await fs.unlink(preflight.canonicalPath).catch(() => {});
+    }
   }
 }
 
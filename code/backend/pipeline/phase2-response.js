@@ -1,58 +1,113 @@
 /**
  * Phase 2: AI Response Generation
  *
- * Uses Claude Sonnet 4.5 to generate a comprehensive response to the user's prompt.
+ * Generates a comprehensive response to the user's prompt, written in the
+ * language the prompt was spoken in. Claude answers by default; Gemini or an
+ * OpenAI-compatible endpoint (including a local Ollama or llama.cpp server)
+ * can be configured instead, globally or per job (see llm.js). The provider
+ * and model that actually answered are recorded in the result's metadata.
+ *
+ * The response is streamed, with progress in the log. An answer cut off by
+ * the output limit is continued until it ends or reaches the overall limit;
+ * the metadata says how often it was continued and whether it is still
+ * truncated.
+ *
+ * The system prompt is a "response" prompt template (see templates.js),
+ * picked by the manifest's "template" or by the post's tags, so a technical
+ * question gets a deep-dive and a philosophical one an essay. Its id and
+ * version are recorded in the metadata and end up in the post's frontmatter.
+ *
+ * The most relevant earlier posts on the blog (see post-index.js) are sent
+ * along with the prompt, so a follow-up question builds on what was already
+ * written. They are returned as `related` for Phase 5 to link to.
+ *
+ * When fact-checking is on (see fact-check.js), the answer's claims are
+ * reviewed by a second request and, depending on the mode, the answer is
+ * corrected; the review is returned as `factCheck`.
+ *
+ * For a dialogue job (see dialogue.js) the (checked) answer is also
+ * rewritten as a script for two podcast hosts, returned as `dialogue`.
  *
  * Input: Phase 1 results (prompt, context, metadata)
  * Output: AI-generated response for blog post
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { getResponseSettings, generateResponse } from './llm.js';
+import { wrapPhaseError } from './retry.js';
+import { DEFAULT_LANGUAGE, getLanguageName } from './languages.js';
+import { selectTemplate, renderTemplate, formatTemplateRef } from './templates.js';
+import { findRelatedPosts } from './post-index.js';
+import { getFactCheckSettings, factCheckResponse } from './fact-check.js';
+import { getDialogueSettings, writeDialogue } from './dialogue.js';
+
+// Streaming progress is logged every this many characters
+const PROGRESS_LOG_CHARS = 2000;
 
 /**
- * Initialize Anthropic client
+ * Describe earlier posts for the user message
  */
-function getAnthropicClient() {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-
-  if (!apiKey) {
-    throw new Error('ANTHROPIC_API_KEY environment variable not set');
-  }
+function formatRelatedPosts(related) {
+  const posts = related.map(post => (
+    `### ${post.title}\n` +
+    `Published ${post.pubDate || 'earlier'} at /blog/${post.slug}\n` +
+    (post.summary ? `Prompt: ${post.summary}\n` : '') +
+    `\n${post.excerpt}`
+  ));
+
+  return '**Earlier posts on this blog that may be related:**\n' +
+    'If the prompt follows up on one of these, build on it instead of repeating it. Ignore any that turn out not to be relevant.\n\n' +
+    `${posts.join('\n\n')}\n\n`;
+}
 
-  return new Anthropic({ apiKey });
+/**
+ * Log streaming progress at regular intervals
+ *
+ * @returns {Function} onText callback for generateResponse()
+ */
+function createProgressLogger(label) {
+  let received = 0;
+  let nextLog = PROGRESS_LOG_CHARS;
+  return text => {
+    received += text.length;
+    if (received >= nextLog) {
+      console.log(`${label}: ${received.toLocaleString('en-US')} characters received...`);
+      nextLog = received + PROGRESS_LOG_CHARS;
+    }
+  };
 }
 
 /**
  * Process Phase 2: Response Generation
  *
- * @param {Object} phase1Result - Results from Phase 1
+ * @param {import('./schemas.js').Phase1Result} phase1Result - Results from Phase 1
  * @returns {Object} Generated response and metadata
  */
 export async function processPhase2(phase1Result) {
   console.log('Phase 2: Starting AI response generation');
 
   try {
-    const anthropic = getAnthropicClient();
-
-    // Construct system prompt
-    const systemPrompt = `You are an AI assistant contributing to "My Weird Prompts," a digital garden blog that captures and explores interesting questions and prompts.
-
-Your role is to provide thoughtful, comprehensive, and engaging responses to prompts that range from practical to philosophical, technical to creative.
+    // Pick the system prompt (a job manifest can choose a template)
+    const template = await selectTemplate('response', {
+      manifest: phase1Result.manifest,
+      tags: phase1Result.tags,
+    });
+    console.log(`Prompt template: ${formatTemplateRef(template)}${phase1Result.manifest?.template ? ' (manifest)' : ''}`);
 
-Guidelines:
-- Be thorough but accessible
-- Use clear explanations with examples when helpful
-- Break down complex topics into digestible sections
-- Be engaging and conversational while remaining informative
-- If the prompt is open-ended, explore multiple angles
-- If the prompt is technical, provide accurate and practical information
-- Add relevant context or related information that enriches the answer
-- Use markdown formatting (headers, lists, code blocks) to structure your response
+    // Answer in the language of the recording (older checkpoints have none)
+    const language = phase1Result.language || DEFAULT_LANGUAGE;
+    const systemPrompt = renderTemplate(template, { language: getLanguageName(language) });
 
-Your response will be published as a blog post, so write with a public audience in mind.`;
+    // Earlier posts on the same topic; the answer is still worth having without them
+    const related = await findRelatedPosts(phase1Result).catch(error => {
+      console.warn(`Could not search earlier posts: ${error.message}`);
+      return [];
+    });
+    if (related.length > 0) {
+      console.log(`Related posts: ${related.map(post => `${post.slug} (${post.score})`).join(', ')}`);
+    }
 
     // Construct user message
-    let userMessage = '';
+    let userMessage = related.length > 0 ? formatRelatedPosts(related) : '';
 
     // Add context if provided
     if (phase1Result.context && phase1Result.context.trim().length > 0) {
@@ -62,15 +117,17 @@ Your response will be published as a blog post, so write with a public audience
     // Add the main prompt
     userMessage += `**Prompt:**\n${phase1Result.prompt}`;
 
-    console.log('Sending request to Claude Sonnet 4.5...');
+    // Provider, model, temperature and output limit (config or job manifest)
+    const settings = getResponseSettings(phase1Result.manifest);
+    const factCheckSettings = getFactCheckSettings(phase1Result.manifest, settings);
+    const dialogueSettings = getDialogueSettings(phase1Result.manifest);
+
+    console.log(`Sending request to ${settings.provider} (${settings.model})...`);
     console.log('Prompt length:', phase1Result.prompt.length);
     console.log('Context length:', phase1Result.context?.length || 0);
+    console.log('Language:', getLanguageName(language));
 
-    // Call Claude API
-    const message = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      temperature: 1.0,
+    const generated = await generateResponse({
       system: systemPrompt,
       messages: [
         {
@@ -78,40 +135,88 @@ Your response will be published as a blog post, so write with a public audience
           content: userMessage,
         },
       ],
+      model: settings.model,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+    }, {
+      provider: settings.provider,
+      job: phase1Result.originalAudioFileName,
+      phase: 2,
+      maxTotalTokens: settings.maxTotalTokens,
+      onText: createProgressLogger(`Phase 2 [${phase1Result.originalAudioFileName}]`),
     });
 
-    // Extract response text
-    const responseText = message.content
-      .filter(block => block.type === 'text')
-      .map(block => block.text)
-      .join('\n\n');
-
-    console.log('Claude response received:', {
-      length: responseText.length,
-      tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
-      inputTokens: message.usage.input_tokens,
-      outputTokens: message.usage.output_tokens,
+    console.log('Response received:', {
+      model: generated.model,
+      length: generated.text.length,
+      tokensUsed: generated.inputTokens + generated.outputTokens,
+      inputTokens: generated.inputTokens,
+      outputTokens: generated.outputTokens,
+      stopReason: generated.stopReason,
+      continuations: generated.continuations,
     });
+    if (generated.truncated) {
+      console.warn(`⚠️  Response is still cut off after ${generated.outputTokens} tokens (RESPONSE_MAX_TOTAL_TOKENS ${settings.maxTotalTokens})`);
+    }
 
     // Prepare result
     const result = {
-      response: responseText,
+      response: generated.text,
+      usage: generated.usage,
+      // Earlier posts sent as context, for Phase 5's "Related Prompts"
+      related: related.map(({ slug, title, score }) => ({ slug, title, score })),
       metadata: {
-        model: 'claude-sonnet-4-20250514',
-        tokensUsed: message.usage.input_tokens + message.usage.output_tokens,
-        inputTokens: message.usage.input_tokens,
-        outputTokens: message.usage.output_tokens,
+        // As reported by the provider, not just as requested
+        provider: generated.provider,
+        model: generated.model,
+        requestedModel: settings.model,
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens,
+        maxTotalTokens: settings.maxTotalTokens,
+        stopReason: generated.stopReason,
+        // Extra requests made to finish an answer cut off by maxTokens
+        continuations: generated.continuations,
+        continued: generated.continuations > 0,
+        // Still cut off after maxTotalTokens
+        truncated: generated.truncated,
+        template: { id: template.id, version: template.version },
+        language,
+        tokensUsed: generated.inputTokens + generated.outputTokens,
+        inputTokens: generated.inputTokens,
+        outputTokens: generated.outputTokens,
         generatedAt: new Date().toISOString(),
       },
     };
 
+    // Check the answer's factual claims, correcting it in "revise" mode
+    if (factCheckSettings) {
+      const checked = await factCheckResponse(phase1Result, result.response, {
+        settings: factCheckSettings,
+        responseTemplate: result.metadata.template,
+      });
+      result.response = checked.response;
+      result.factCheck = checked.factCheck;
+      result.usage = [...result.usage, ...checked.usage];
+    }
+
+    // Two-host podcast version of the answer, for Phase 3 to read
+    if (dialogueSettings) {
+      const { dialogue, usage } = await writeDialogue(phase1Result, result.response, {
+        settings: dialogueSettings,
+        llm: settings,
+        responseTemplate: result.metadata.template,
+      });
+      result.dialogue = dialogue;
+      result.usage = [...result.usage, ...usage];
+    }
+
     console.log('Phase 2 complete');
 
     return result;
 
   } catch (error) {
     console.error('Phase 2 error:', error);
-    throw new Error(`Phase 2 response generation failed: ${error.message}`);
+    throw wrapPhaseError('Phase 2 response generation failed', error);
   }
 }
 
@@ -5,39 +5,108 @@
  * 1. User's original voice prompt (processed and normalized)
  * 2. AI response TTS audio
  *
- * Both files are saved to frontend public/audio directory.
+ * When the recording was split into several posts, the user audio is cut
+ * down to the time range of this post's question. Personal information
+ * that Phase 1 masked in the text is bleeped out of the user audio.
+ *
+ * The response is read in its own language (Phase 2 writes it in the
+ * recording's language). The voice is the job manifest's "voice" if set,
+ * otherwise the voice configured for that language:
+ *   TTS_VOICES  JSON map of language code to Gemini voice, e.g. {"de":"Kore"}
+ * The reading instructions are the "tts" prompt template that goes with the
+ * response's template (see templates.js), so an essay is read more slowly
+ * than a how-to.
+ *
+ * When Phase 2 wrote a two-host dialogue (see dialogue.js), that script is
+ * read instead of the response, with a voice per host: either by Gemini's
+ * multi-speaker TTS (the "dialogue" tts template) or turn by turn (the
+ * response's tts template), joined into one file. Its captions follow the
+ * script.
+ * A translated companion post passes the original post's Phase 3 result so
+ * the user audio is reused rather than processed again.
+ *
+ * Both files are saved to frontend public/audio directory, each with WebVTT
+ * and SRT captions next to it (prompt-....vtt / .srt). The prompt captions
+ * use Phase 1's timed segments; the response captions are estimated from
+ * the text and the TTS duration (see captions.js).
+ *
  * The blog post will display them separately with avatars for each speaker.
  *
  * Input: Phase 1 and Phase 2 results
  * Output: Two audio URLs (user prompt + AI response) and metadata
  */
 
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promisify } from 'util';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-
-const execAsync = promisify(exec);
+import { withProvider } from './providers.js';
+import { classifyError, wrapPhaseError, ERROR_CLASSES } from './retry.js';
+import { isOffline, generateFakeTTS } from './offline.js';
+import { recordUsage } from './costs.js';
+import { getFrontendPath } from './paths.js';
+import { estimateSegments, segmentsToCues, markdownToPlainText, toWebVTT, toSRT } from './captions.js';
+import { DEFAULT_LANGUAGE, getLanguageName } from './languages.js';
+import { getTemplate, getCompanionTemplate, renderTemplate } from './templates.js';
+import { formatScript } from './dialogue.js';
+import { createSlug } from './phase5-publish.js';
+import { getAudioDuration } from './audio-chunks.js';
+
+const execFileAsync = promisify(execFile);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Tone that replaces bleeped speech
+const BLEEP_FREQUENCY = 1000;
+
+/**
+ * ffmpeg expression that is true during any of the given time ranges
+ */
+function duringRanges(ranges) {
+  return ranges.map(({ start, end }) => `between(t,${start.toFixed(2)},${end.toFixed(2)})`).join('+');
+}
+
 /**
  * Process and normalize audio file
  * Apply noise reduction and loudness normalization
+ *
+ * @param {string} inputPath
+ * @param {string} outputFilename
+ * @param {Object} [range] - { start, end } in seconds, to keep only part of the input
+ * @param {Object[]} [bleeps] - { start, end } in seconds (after trimming) to silence under a tone
  */
-async function processAndNormalizeAudio(inputPath, outputFilename) {
+async function processAndNormalizeAudio(inputPath, outputFilename, range = null, bleeps = []) {
   console.log(`Processing audio: ${path.basename(inputPath)}`);
 
   try {
     // Create temporary output path
     const tempOutput = path.join(__dirname, '../temp-uploads', `temp-${outputFilename}`);
+    const trim = range
+      ? ['-ss', range.start.toFixed(2), ...(range.end !== null ? ['-to', range.end.toFixed(2)] : [])]
+      : [];
+
+    const cleanup = 'highpass=f=200,lowpass=f=3000,loudnorm=I=-16:TP=-1.5:LRA=11';
+
+    // Bleeps mute the voice and mix in a tone over the same ranges
+    const filter = bleeps.length > 0
+      ? [
+        '-filter_complex',
+        `[0:a]volume='if(${duringRanges(bleeps)},0,1)':eval=frame[voice];` +
+        `sine=frequency=${BLEEP_FREQUENCY}:sample_rate=44100,volume='if(${duringRanges(bleeps)},0.3,0)':eval=frame[tone];` +
+        `[voice][tone]amix=inputs=2:duration=first,${cleanup}`,
+      ]
+      : ['-af', cleanup];
 
     // Apply noise reduction and normalization in one pass
-    const { stdout, stderr } = await execAsync(
-      `ffmpeg -i "${inputPath}" -af "highpass=f=200,lowpass=f=3000,loudnorm=I=-16:TP=-1.5:LRA=11" -ar 44100 -b:a 128k "${tempOutput}"`
-    );
+    const { stderr } = await execFileAsync('ffmpeg', [
+      ...trim,
+      '-i', inputPath,
+      ...filter,
+      '-ar', '44100', '-b:a', '128k',
+      tempOutput,
+    ]);
 
     if (stderr && !stderr.includes('audio.c')) {
       console.warn('ffmpeg warnings:', stderr);
@@ -52,88 +121,291 @@ async function processAndNormalizeAudio(inputPath, outputFilename) {
   }
 }
 
+const DEFAULT_TTS_VOICE = 'Aoede'; // Professional female voice
+const TTS_MODEL = 'gemini-2.5-flash-preview-tts';
+
+// Multi-speaker requests are kept to a few minutes of speech each
+const MULTI_SPEAKER_BATCH_CHARS = 3000;
+
+// Pause between stitched dialogue pieces
+const TURN_GAP_SECONDS = 0.3;
+
+// Gemini's prebuilt voices speak every supported language, so languages
+// without an entry here (or in TTS_VOICES) use the default voice
+const LANGUAGE_VOICES = {
+  en: DEFAULT_TTS_VOICE,
+};
+
+/**
+ * Pick the TTS voice for a response language
+ *
+ * @param {string} language - Language code
+ * @returns {string} Gemini prebuilt voice name
+ */
+function getVoiceForLanguage(language) {
+  let configured = {};
+  try {
+    configured = JSON.parse(process.env.TTS_VOICES || '{}');
+  } catch {
+    console.warn('TTS_VOICES is not valid JSON - using the built-in voices');
+  }
+
+  return configured[language] || LANGUAGE_VOICES[language] || DEFAULT_TTS_VOICE;
+}
+
 /**
  * Generate TTS for AI response
  * Uses Google Gemini Text-to-Speech with podcast host persona
+ *
+ * @param {string} responseText - Text to read
+ * @param {Object} options
+ * @param {string} options.voiceName - Gemini prebuilt voice
+ * @param {string} options.language - Language the response is written in
+ * @param {Object} options.template - "tts" prompt template
+ * @param {string} options.job - Audio file name, for the cost ledger
+ * @returns {Object|null} { audioPath, usage }, or null if TTS is unavailable
  */
-async function generateResponseTTS(responseText) {
-  console.log('Generating TTS for AI response with Gemini...');
+async function generateResponseTTS(responseText, { voiceName = DEFAULT_TTS_VOICE, language = DEFAULT_LANGUAGE, template, job } = {}) {
+  if (isOffline()) {
+    console.log('Offline mode - generating sine-wave stand-in for TTS');
+    const outputPath = path.join(__dirname, '../temp-uploads', `tts-offline-${Date.now()}.wav`);
+    return { audioPath: await generateFakeTTS(responseText, outputPath), usage: null };
+  }
 
-  const apiKey = process.env.GEMINI_API_KEY;
+  console.log('Generating TTS for AI response with Gemini...');
 
-  if (!apiKey) {
+  if (!process.env.GEMINI_API_KEY) {
     console.warn('GEMINI_API_KEY not set - skipping TTS generation');
     return null;
   }
 
   try {
-    // Import Google Generative AI SDK
-    const { GoogleGenerativeAI } = await import('@google/generative-ai');
-    const genAI = new GoogleGenerativeAI(apiKey);
-
-    // Use Gemini 2.5 Flash Preview TTS model with audio generation capabilities
-    const model = genAI.getGenerativeModel({
-      model: 'gemini-2.5-flash-preview-tts',
-    });
-
     // Create prompt with stylistic instructions
-    const ttsPrompt = `You are a knowledgeable, friendly AI assistant with a warm, engaging voice. Read the following response in a conversational, professional style. Use natural intonation, slight pauses for emphasis, and maintain an informative yet approachable tone throughout.
-
-Response to read:
-${responseText}`;
+    const ttsPrompt = renderTemplate(template, { language: getLanguageName(language), text: responseText });
 
     console.log('Sending TTS request to Gemini...');
     console.log('Response length:', responseText.length, 'characters');
+    console.log('Voice:', voiceName);
 
-    // Generate audio with Gemini
-    const result = await model.generateContent({
-      contents: [{
-        role: 'user',
-        parts: [{ text: ttsPrompt }]
-      }],
-      generationConfig: {
-        responseModalities: ['AUDIO'],
-        speechConfig: {
-          voiceConfig: {
-            prebuiltVoiceConfig: {
-              voiceName: 'Aoede' // Professional female voice
-            }
-          }
+    return await synthesizeWithGemini(ttsPrompt, {
+      voiceConfig: {
+        prebuiltVoiceConfig: {
+          voiceName
         }
       }
-    });
+    }, { job });
+  } catch (error) {
+    console.error('Error generating TTS with Gemini:', error);
 
-    const response = await result.response;
+    // Outages and rate limits are worth another attempt later rather than
+    // publishing a post that is permanently missing its audio
+    if (classifyError(error) !== ERROR_CLASSES.PERMANENT) {
+      throw error;
+    }
 
-    // Extract audio data
-    let audioData = null;
-    for (const candidate of response.candidates || []) {
-      for (const part of candidate.content?.parts || []) {
-        if (part.inlineData?.mimeType?.startsWith('audio/')) {
-          audioData = part.inlineData.data;
-          break;
-        }
-      }
-      if (audioData) break;
+    console.warn('Falling back to text-only blog post (no audio)');
+    return null; // Gracefully degrade - blog post will be created without audio
+  }
+}
+
+/**
+ * Read one prompt with Gemini TTS and save the audio to temp-uploads
+ *
+ * @param {string} prompt - Reading instructions and the text to read
+ * @param {Object} speechConfig - Gemini speechConfig (one voice or several speakers)
+ * @param {Object} options
+ * @param {string} options.job - Audio file name, for the cost ledger
+ * @returns {Object} { audioPath, usage }
+ */
+async function synthesizeWithGemini(prompt, speechConfig, { job }) {
+  // Import Google Generative AI SDK
+  const { GoogleGenerativeAI } = await import('@google/generative-ai');
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+  // Use Gemini 2.5 Flash Preview TTS model with audio generation capabilities
+  const model = genAI.getGenerativeModel({
+    model: TTS_MODEL,
+  });
+
+  // Generate audio with Gemini
+  const result = await withProvider('gemini', () => model.generateContent({
+    contents: [{
+      role: 'user',
+      parts: [{ text: prompt }]
+    }],
+    generationConfig: {
+      responseModalities: ['AUDIO'],
+      speechConfig
     }
+  }));
 
-    if (!audioData) {
-      throw new Error('No audio data received from Gemini');
+  const response = await result.response;
+
+  // Extract audio data
+  let audioData = null;
+  for (const candidate of response.candidates || []) {
+    for (const part of candidate.content?.parts || []) {
+      if (part.inlineData?.mimeType?.startsWith('audio/')) {
+        audioData = part.inlineData.data;
+        break;
+      }
     }
+    if (audioData) break;
+  }
 
-    // Save audio to temp file
-    const buffer = Buffer.from(audioData, 'base64');
-    const outputPath = path.join(__dirname, '../temp-uploads', `tts-gemini-${Date.now()}.wav`);
-    await fs.writeFile(outputPath, buffer);
+  if (!audioData) {
+    throw new Error('No audio data received from Gemini');
+  }
+
+  // Save audio to temp file
+  const buffer = Buffer.from(audioData, 'base64');
+  const outputPath = path.join(__dirname, '../temp-uploads', `tts-gemini-${Date.now()}.wav`);
+  await fs.writeFile(outputPath, buffer);
+
+  console.log('Gemini TTS generated:', outputPath);
+  console.log('Audio size:', (buffer.length / 1024 / 1024).toFixed(2), 'MB');
 
-    console.log('Gemini TTS generated:', outputPath);
-    console.log('Audio size:', (buffer.length / 1024 / 1024).toFixed(2), 'MB');
+  const usage = await recordUsage({
+    job,
+    phase: 3,
+    provider: 'gemini',
+    model: TTS_MODEL,
+    inputTokens: response.usageMetadata?.promptTokenCount || 0,
+    outputTokens: response.usageMetadata?.candidatesTokenCount || 0,
+  });
 
+  return { audioPath: outputPath, usage };
+}
+
+/**
+ * Group consecutive turns into batches of about `maxChars` characters
+ */
+function batchTurns(turns, maxChars) {
+  const batches = [];
+  let current = [];
+  let length = 0;
+  for (const turn of turns) {
+    const turnLength = turn.speaker.length + turn.text.length + 3;
+    if (current.length > 0 && length + turnLength > maxChars) {
+      batches.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(turn);
+    length += turnLength;
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * Join audio files in order, with a short pause after each
+ *
+ * @param {string[]} inputPaths - Audio files in the order they are heard
+ * @param {string} outputPath - WAV file to write
+ */
+async function joinAudio(inputPaths, outputPath) {
+  if (inputPaths.length === 1) {
+    await fs.copyFile(inputPaths[0], outputPath);
     return outputPath;
+  }
+
+  // Pieces can differ in rate and layout, and concat needs them to match
+  const inputs = inputPaths.flatMap(inputPath => ['-i', inputPath]);
+  const pieces = inputPaths.map((inputPath, i) => (
+    `[${i}:a]aresample=24000,aformat=sample_fmts=s16:channel_layouts=mono,apad=pad_dur=${TURN_GAP_SECONDS}[a${i}]`
+  ));
+  const labels = inputPaths.map((inputPath, i) => `[a${i}]`).join('');
+
+  await execFileAsync('ffmpeg', [
+    '-y', ...inputs,
+    '-filter_complex', `${pieces.join(';')};${labels}concat=n=${inputPaths.length}:v=0:a=1[out]`,
+    '-map', '[out]',
+    outputPath,
+  ]);
+
+  return outputPath;
+}
+
+/**
+ * Generate TTS for a two-host dialogue (see dialogue.js)
+ *
+ * "multi-speaker" sends batches of turns to Gemini's multi-speaker TTS with
+ * a voice per host; "turns" reads every turn on its own in its host's voice.
+ * Either way the pieces are joined into one file in script order.
+ *
+ * @param {Object} dialogue - Phase 2's `dialogue` ({ hosts, voices, tts, turns })
+ * @param {Object} options
+ * @param {string} options.language - Language the script is written in
+ * @param {Object} options.template - "tts" prompt template ("dialogue" for multi-speaker)
+ * @param {string} options.job - Audio file name, for the cost ledger
+ * @returns {Object|null} { audioPath, usage } with a usage entry per request, or null if TTS is unavailable
+ */
+async function generateDialogueTTS(dialogue, { language = DEFAULT_LANGUAGE, template, job } = {}) {
+  const multiSpeaker = dialogue.tts === 'multi-speaker';
+  const batches = multiSpeaker
+    ? batchTurns(dialogue.turns, MULTI_SPEAKER_BATCH_CHARS)
+    : dialogue.turns.map(turn => [turn]);
+  const voices = Object.fromEntries(dialogue.hosts.map((host, i) => [host, dialogue.voices[i]]));
+  const outputPath = path.join(__dirname, '../temp-uploads', `tts-dialogue-${Date.now()}.wav`);
+
+  console.log(`Generating dialogue TTS (${dialogue.tts}): ${dialogue.turns.length} turns in ${batches.length} request(s)`);
+  console.log('Voices:', dialogue.hosts.map(host => `${host} = ${voices[host]}`).join(', '));
+
+  if (isOffline()) {
+    console.log('Offline mode - generating sine-wave stand-ins for TTS');
+    const piecePaths = [];
+    for (const [i, batch] of batches.entries()) {
+      const piecePath = path.join(__dirname, '../temp-uploads', `tts-offline-${Date.now()}-${i}.wav`);
+      piecePaths.push(await generateFakeTTS(formatScript(batch), piecePath));
+    }
+    await joinAudio(piecePaths, outputPath);
+    await Promise.all(piecePaths.map(piecePath => fs.unlink(piecePath).catch(() => {})));
+    return { audioPath: outputPath, usage: [] };
+  }
+
+  if (!process.env.GEMINI_API_KEY) {
+    console.warn('GEMINI_API_KEY not set - skipping TTS generation');
+    return null;
+  }
+
+  const pieces = [];
+  try {
+    const languageName = getLanguageName(language);
+    const speakerVoiceConfigs = dialogue.hosts.map(host => ({
+      speaker: host,
+      voiceConfig: { prebuiltVoiceConfig: { voiceName: voices[host] } },
+    }));
+
+    for (const [i, batch] of batches.entries()) {
+      console.log(`Sending TTS request ${i + 1}/${batches.length} to Gemini...`);
+      const piece = multiSpeaker
+        ? await synthesizeWithGemini(
+          renderTemplate(template, { language: languageName, hosts: dialogue.hosts.join(' and '), script: formatScript(batch) }),
+          { multiSpeakerVoiceConfig: { speakerVoiceConfigs } },
+          { job }
+        )
+        : await synthesizeWithGemini(
+          renderTemplate(template, { language: languageName, text: batch[0].text }),
+          { voiceConfig: { prebuiltVoiceConfig: { voiceName: voices[batch[0].speaker] } } },
+          { job }
+        );
+      pieces.push(piece);
+    }
+
+    await joinAudio(pieces.map(piece => piece.audioPath), outputPath);
+    return { audioPath: outputPath, usage: pieces.map(piece => piece.usage) };
   } catch (error) {
-    console.error('Error generating TTS with Gemini:', error);
+    console.error('Error generating dialogue TTS with Gemini:', error);
+
+    if (classifyError(error) !== ERROR_CLASSES.PERMANENT) {
+      throw error;
+    }
+
     console.warn('Falling back to text-only blog post (no audio)');
-    return null; // Gracefully degrade - blog post will be created without audio
+    return null;
+  } finally {
+    await Promise.all(pieces.map(piece => fs.unlink(piece.audioPath).catch(() => {})));
   }
 }
 
@@ -145,7 +417,7 @@ async function saveAudioToPublic(audioPath, filename) {
 
   try {
     // Determine the public audio directory in frontend
-    const publicAudioDir = path.join(__dirname, '../../frontend/public/audio');
+    const publicAudioDir = getFrontendPath('public/audio');
     await fs.mkdir(publicAudioDir, { recursive: true });
 
     const destPath = path.join(publicAudioDir, filename);
@@ -170,18 +442,28 @@ async function saveAudioToPublic(audioPath, filename) {
 }
 
 /**
- * Get audio duration using ffprobe
+ * Save WebVTT and SRT captions next to an audio file in public/audio
+ *
+ * @param {Object[]} segments - Timed text ({ start, end, text })
+ * @param {string} audioFilename - MP3 the captions belong to
+ * @returns {Object} { vttUrl, srtUrl }, or nulls if there is nothing to caption
  */
-async function getAudioDuration(audioPath) {
-  try {
-    const { stdout } = await execAsync(
-      `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${audioPath}"`
-    );
-    return parseFloat(stdout.trim());
-  } catch (error) {
-    console.error('Error getting audio duration:', error);
-    return 0;
+async function saveCaptionsToPublic(segments, audioFilename) {
+  const cues = segmentsToCues(segments);
+  if (cues.length === 0) {
+    return { vttUrl: null, srtUrl: null };
   }
+
+  const publicAudioDir = getFrontendPath('public/audio');
+  await fs.mkdir(publicAudioDir, { recursive: true });
+
+  const { name } = path.parse(audioFilename);
+  await fs.writeFile(path.join(publicAudioDir, `${name}.vtt`), toWebVTT(cues), 'utf-8');
+  await fs.writeFile(path.join(publicAudioDir, `${name}.srt`), toSRT(cues), 'utf-8');
+
+  console.log(`Captions saved: ${name}.vtt, ${name}.srt (${cues.length} cues)`);
+
+  return { vttUrl: `/audio/${name}.vtt`, srtUrl: `/audio/${name}.srt` };
 }
 
 /**
@@ -193,51 +475,113 @@ function formatDuration(seconds) {
   return `${minutes}:${secs.toString().padStart(2, '0')}`;
 }
 
+/**
+ * Process the user's voice prompt and save it, with captions, to public/audio
+ *
+ * @param {import('./schemas.js').Phase1Result} phase1Result
+ * @param {string} userFilename
+ * @returns {Object} { userAudioUrl, userDuration, userVttUrl, userSrtUrl }
+ */
+async function processUserAudio(phase1Result, userFilename) {
+  const { recording } = phase1Result;
+  const range = recording?.parts > 1 && recording.start !== null ? recording : null;
+  if (range) {
+    console.log(`Using ${range.start}s - ${range.end ?? 'end'}s of the recording (part ${recording.part}/${recording.parts})`);
+  }
+  const bleeps = phase1Result.redaction?.bleeps || [];
+  if (bleeps.length > 0) {
+    console.log(`Bleeping ${bleeps.length} range(s) of personal information`);
+  }
+  const processedUserVoice = await processAndNormalizeAudio(
+    phase1Result.originalAudioPath,
+    userFilename,
+    range,
+    bleeps
+  );
+
+  // Get user audio duration (0 if ffprobe can't read it; the post still publishes)
+  const userDuration = await getAudioDuration(processedUserVoice).catch(() => 0);
+
+  // Save user audio to public directory
+  const userAudioResult = await saveAudioToPublic(processedUserVoice, userFilename);
+
+  // Checkpoints from before timed transcripts have no segments
+  const userCaptions = await saveCaptionsToPublic(
+    phase1Result.segments || estimateSegments(phase1Result.transcript, userDuration),
+    userFilename
+  );
+
+  await fs.unlink(processedUserVoice).catch(() => {});
+
+  return {
+    userAudioUrl: userAudioResult.url,
+    userDuration,
+    userVttUrl: userCaptions.vttUrl,
+    userSrtUrl: userCaptions.srtUrl,
+  };
+}
+
 /**
  * Process Phase 3: Dual Audio Processing
  *
- * @param {Object} phase1Result - Results from Phase 1
+ * @param {import('./schemas.js').Phase1Result} phase1Result - Results from Phase 1
  * @param {Object} phase2Result - Results from Phase 2
+ * @param {Object} [options]
+ * @param {Object} [options.userAudio] - Phase 3 result whose user audio is reused (translated companion posts)
  * @returns {Object} Two audio URLs and metadata
  */
-export async function processPhase3(phase1Result, phase2Result) {
+export async function processPhase3(phase1Result, phase2Result, { userAudio = null } = {}) {
   console.log('Phase 3: Starting audio processing (dual audio mode)');
 
   try {
     const timestamp = Date.now();
-    const slug = phase1Result.title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
+    const slug = createSlug(phase1Result.title);
 
     // Step 1: Process user's voice prompt
-    console.log('\n--- Processing user voice prompt ---');
-    const userFilename = `prompt-${timestamp}-${slug}.mp3`;
-    const processedUserVoice = await processAndNormalizeAudio(
-      phase1Result.audioFilePath,
-      userFilename
-    );
-
-    // Get user audio duration
-    const userDuration = await getAudioDuration(processedUserVoice);
-
-    // Save user audio to public directory
-    const userAudioResult = await saveAudioToPublic(processedUserVoice, userFilename);
+    let user;
+    if (userAudio) {
+      console.log('\n--- Reusing user voice prompt ---');
+      user = {
+        userAudioUrl: userAudio.userAudioUrl,
+        userDuration: userAudio.userDuration,
+        userVttUrl: userAudio.userVttUrl,
+        userSrtUrl: userAudio.userSrtUrl,
+      };
+    } else {
+      console.log('\n--- Processing user voice prompt ---');
+      user = await processUserAudio(phase1Result, `prompt-${timestamp}-${slug}.mp3`);
+    }
+    const { userDuration } = user;
 
-    // Step 2: Generate TTS for AI response
+    // Step 2: Generate TTS for AI response, in the language it was written in
     console.log('\n--- Generating AI response audio ---');
-    const responseTTS = await generateResponseTTS(phase2Result.response);
+    const language = phase2Result.metadata?.language || phase1Result.language || DEFAULT_LANGUAGE;
+    // The manifest's voice was chosen for the recording's own language
+    const manifestVoice = language === (phase1Result.language || DEFAULT_LANGUAGE) ? phase1Result.manifest?.voice : null;
+    const voiceName = manifestVoice || getVoiceForLanguage(language);
+    const { dialogue } = phase2Result;
+    const ttsTemplate = dialogue?.tts === 'multi-speaker'
+      ? await getTemplate('tts', 'dialogue')
+      : await getCompanionTemplate('tts', phase2Result.metadata?.template);
+    const responseTTS = dialogue
+      ? await generateDialogueTTS(dialogue, {
+        language,
+        template: ttsTemplate,
+        job: phase1Result.originalAudioFileName,
+      })
+      : await generateResponseTTS(phase2Result.response, {
+        voiceName,
+        language,
+        template: ttsTemplate,
+        job: phase1Result.originalAudioFileName,
+      });
 
     // If TTS generation failed/skipped, return user audio only
     if (!responseTTS) {
       console.warn('Skipping AI response audio - TTS not available');
 
-      // Clean up temp file
-      await fs.unlink(processedUserVoice).catch(() => {});
-
       return {
-        userAudioUrl: userAudioResult.url,
-        userDuration: userDuration,
+        ...user,
         userDurationFormatted: formatDuration(userDuration),
         aiAudioUrl: null,
         aiDuration: null,
@@ -250,42 +594,53 @@ export async function processPhase3(phase1Result, phase2Result) {
 
     // Step 3: Process AI response audio
     const aiFilename = `response-${timestamp}-${slug}.mp3`;
-    const processedAIVoice = await processAndNormalizeAudio(responseTTS, aiFilename);
+    const processedAIVoice = await processAndNormalizeAudio(responseTTS.audioPath, aiFilename);
 
     // Get AI audio duration
-    const aiDuration = await getAudioDuration(processedAIVoice);
+    const aiDuration = await getAudioDuration(processedAIVoice).catch(() => 0);
 
     // Save AI audio to public directory
     const aiAudioResult = await saveAudioToPublic(processedAIVoice, aiFilename);
+    const aiCaptions = await saveCaptionsToPublic(
+      estimateSegments(dialogue ? formatScript(dialogue.turns) : markdownToPlainText(phase2Result.response), aiDuration),
+      aiFilename
+    );
 
     // Step 4: Clean up temporary files
-    await fs.unlink(processedUserVoice).catch(() => {});
-    await fs.unlink(responseTTS).catch(() => {});
+    await fs.unlink(responseTTS.audioPath).catch(() => {});
     await fs.unlink(processedAIVoice).catch(() => {});
 
     console.log('\nPhase 3 complete:', {
-      userAudio: userAudioResult.url,
+      userAudio: user.userAudioUrl,
       userDuration: formatDuration(userDuration),
       aiAudio: aiAudioResult.url,
       aiDuration: formatDuration(aiDuration),
     });
 
     return {
-      userAudioUrl: userAudioResult.url,
-      userDuration: userDuration,
+      ...user,
       userDurationFormatted: formatDuration(userDuration),
       aiAudioUrl: aiAudioResult.url,
       aiDuration: aiDuration,
       aiDurationFormatted: formatDuration(aiDuration),
+      aiVttUrl: aiCaptions.vttUrl,
+      aiSrtUrl: aiCaptions.srtUrl,
       totalDuration: userDuration + aiDuration,
       totalDurationFormatted: formatDuration(userDuration + aiDuration),
+      ttsModel: isOffline() ? 'offline-sine' : TTS_MODEL,
+      ttsTemplate: { id: ttsTemplate.id, version: ttsTemplate.version },
+      voice: dialogue ? null : voiceName,
+      // Hosts and voices when the response was read as a dialogue
+      dialogue: dialogue ? { hosts: dialogue.hosts, voices: dialogue.voices, tts: dialogue.tts } : null,
+      language,
+      usage: [].concat(responseTTS.usage ?? []),
       skipped: false,
       generatedAt: new Date().toISOString(),
     };
 
   } catch (error) {
     console.error('Phase 3 error:', error);
-    throw new Error(`Phase 3 audio processing failed: ${error.message}`);
+    throw wrapPhaseError('Phase 3 audio processing failed', error);
   }
 }
 
@@ -4,6 +4,10 @@
  * Generates a banner/cover image for the blog post.
  * Supports multiple image generation services.
  *
+ * The prompt is the "image" prompt template that goes with the response's
+ * template (see templates.js). A broken template fails the phase; any
+ * other error falls back to a placeholder image.
+ *
  * Input: Phase 1 and Phase 2 results
  * Output: Image URL and metadata
  */
@@ -12,10 +16,22 @@ import { v2 as cloudinary } from 'cloudinary';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { withProvider } from './providers.js';
+import { isOffline, renderFakeImage } from './offline.js';
+import { getFrontendPath } from './paths.js';
+import { recordUsage } from './costs.js';
+import { getCompanionTemplate, renderTemplate } from './templates.js';
+import { createSlug } from './phase5-publish.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Price-table keys (see costs.js) for the paid generators
+const IMAGE_MODELS = {
+  replicate: 'replicate:stability-ai/sdxl',
+  stability: 'stability:stable-diffusion-xl-1024-v1-0',
+};
+
 /**
  * Configure Cloudinary
  */
@@ -43,7 +59,7 @@ async function generateWithReplicate(prompt) {
 
     console.log('Generating image with Replicate...');
 
-    const output = await replicate.run(
+    const output = await withProvider('images', () => replicate.run(
       'stability-ai/sdxl:39ed52f2a78e934b3ba6e2a89f5b1c712de7dfea535525255b1aa35c5565e08b',
       {
         input: {
@@ -56,7 +72,7 @@ async function generateWithReplicate(prompt) {
           guidance_scale: 7.5,
         },
       }
-    );
+    ));
 
     // Handle FileOutput object from Replicate SDK
     const firstOutput = Array.isArray(output) ? output[0] : output;
@@ -86,33 +102,40 @@ async function generateWithStability(prompt) {
   }
 
   try {
-    const response = await fetch(
-      'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image',
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          text_prompts: [
-            {
-              text: prompt,
-              weight: 1,
-            },
-          ],
-          cfg_scale: 7,
-          height: 832,
-          width: 1216,
-          steps: 30,
-          samples: 1,
-        }),
+    const response = await withProvider('images', async () => {
+      const res = await fetch(
+        'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image',
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`,
+          },
+          body: JSON.stringify({
+            text_prompts: [
+              {
+                text: prompt,
+                weight: 1,
+              },
+            ],
+            cfg_scale: 7,
+            height: 832,
+            width: 1216,
+            steps: 30,
+            samples: 1,
+          }),
+        }
+      );
+
+      if (!res.ok) {
+        const error = new Error(`Stability API error: ${res.statusText}`);
+        error.status = res.status;
+        error.headers = res.headers;
+        throw error;
       }
-    );
 
-    if (!response.ok) {
-      throw new Error(`Stability API error: ${response.statusText}`);
-    }
+      return res;
+    });
 
     const data = await response.json();
     const imageBase64 = data.artifacts[0].base64;
@@ -139,21 +162,25 @@ async function generateWithLocalSD(prompt) {
   return null;
 }
 
+/**
+ * Render a local stand-in image (offline mode)
+ */
+async function generateWithOfflineRenderer(prompt) {
+  console.log('Offline mode - rendering gradient stand-in image');
+  const tempPath = path.join(__dirname, '../temp-uploads', `banner-offline-${Date.now()}.png`);
+  return renderFakeImage(prompt, tempPath);
+}
+
 /**
  * Create image prompt based on blog content
+ *
+ * @returns {Object} { prompt, template } with the template's id and version
  */
-function createImagePrompt(phase1Result, phase2Result) {
-  const title = phase1Result.title;
-  const tags = phase1Result.tags.join(', ');
-
-  // Create a concise, vivid prompt for image generation
-  const prompt = `Create an eye-catching, eccentric blog banner image for a post titled "${title}".
-Style: Modern, vibrant, slightly surreal, digital art aesthetic.
-Themes: ${tags}.
-The image should be visually interesting, abstract yet relatable, suitable for a tech/AI blog.
-High quality, 16:9 aspect ratio, professional but playful.`;
-
-  return prompt;
+async function createImagePrompt(phase1Result, phase2Result) {
+  const template = await getCompanionTemplate('image', phase2Result.metadata?.template);
+  const prompt = renderTemplate(template, { title: phase1Result.title, tags: phase1Result.tags });
+
+  return { prompt, template: { id: template.id, version: template.version } };
 }
 
 /**
@@ -165,14 +192,14 @@ async function uploadImageToCloudinary(imagePath, publicId) {
   configureCloudinary();
 
   try {
-    const result = await cloudinary.uploader.upload(imagePath, {
+    const result = await withProvider('cloudinary', () => cloudinary.uploader.upload(imagePath, {
       public_id: publicId,
       folder: 'my-weird-prompts/banners',
       transformation: [
         { width: 1200, height: 630, crop: 'fill', gravity: 'auto' }, // OG image size
         { quality: 'auto', fetch_format: 'auto' },
       ],
-    });
+    }));
 
     console.log('Image uploaded to Cloudinary:', result.secure_url);
 
@@ -210,37 +237,58 @@ async function generatePlaceholder(title, tags) {
 /**
  * Process Phase 4: Banner Image Generation
  *
- * @param {Object} phase1Result - Results from Phase 1
+ * @param {import('./schemas.js').Phase1Result} phase1Result - Results from Phase 1
  * @param {Object} phase2Result - Results from Phase 2
  * @returns {Object} Image URL and metadata
  */
 export async function processPhase4(phase1Result, phase2Result) {
   console.log('Phase 4: Starting banner image generation');
 
-  try {
-    // Create image generation prompt
-    const imagePrompt = createImagePrompt(phase1Result, phase2Result);
-    console.log('Image prompt:', imagePrompt);
+  // Create image generation prompt
+  const { prompt: imagePrompt, template } = await createImagePrompt(phase1Result, phase2Result);
+  console.log('Image prompt:', imagePrompt);
 
+  try {
     // Try different image generation services in order of preference
     let imagePath = null;
+    let generator = null;
+
+    // 0. Offline mode never calls out to an image service
+    if (isOffline()) {
+      imagePath = await generateWithOfflineRenderer(imagePrompt);
+      generator = 'offline';
+    }
 
     // 1. Try Replicate
-    if (process.env.REPLICATE_API_TOKEN) {
+    if (!imagePath && process.env.REPLICATE_API_TOKEN) {
       console.log('Attempting image generation with Replicate...');
       imagePath = await generateWithReplicate(imagePrompt);
+      generator = 'replicate';
     }
 
     // 2. Try Stability AI
     if (!imagePath && process.env.STABILITY_API_KEY) {
       console.log('Attempting image generation with Stability AI...');
       imagePath = await generateWithStability(imagePrompt);
+      generator = 'stability';
     }
 
     // 3. Try local Stable Diffusion
     if (!imagePath) {
       console.log('Attempting local Stable Diffusion...');
       imagePath = await generateWithLocalSD(imagePrompt);
+      generator = 'local-sd';
+    }
+
+    const usage = [];
+    if (imagePath && IMAGE_MODELS[generator]) {
+      usage.push(await recordUsage({
+        job: phase1Result.originalAudioFileName,
+        phase: 4,
+        provider: generator,
+        model: IMAGE_MODELS[generator],
+        images: 1,
+      }));
     }
 
     // 4. Fallback to placeholder
@@ -250,20 +298,19 @@ export async function processPhase4(phase1Result, phase2Result) {
 
       return {
         ...placeholder,
+        generator: 'placeholder',
+        usage,
         generatedAt: new Date().toISOString(),
       };
     }
 
     // Save image locally to frontend public directory
     const timestamp = Date.now();
-    const slug = phase1Result.title
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
+    const slug = createSlug(phase1Result.title);
     const filename = `banner-${timestamp}-${slug}.png`;
 
     // Path to frontend public/images directory
-    const publicImagesDir = path.join(__dirname, '../../frontend/public/images/banners');
+    const publicImagesDir = getFrontendPath('public/images/banners');
     await fs.mkdir(publicImagesDir, { recursive: true });
     const localImagePath = path.join(publicImagesDir, filename);
 
@@ -273,7 +320,16 @@ export async function processPhase4(phase1Result, phase2Result) {
     // If imagePath is a URL (from Replicate), download it
     if (imagePath.startsWith('http')) {
       console.log('Downloading image from Replicate...');
-      const response = await fetch(imagePath);
+      const response = await withProvider('images', async () => {
+        const res = await fetch(imagePath);
+        if (!res.ok) {
+          const error = new Error(`Image download failed: ${res.status} ${res.statusText}`);
+          error.status = res.status;
+          error.headers = res.headers;
+          throw error;
+        }
+        return res;
+      });
       const buffer = await response.arrayBuffer();
       await fs.writeFile(localImagePath, Buffer.from(buffer));
       savedImagePath = localImagePath;
@@ -303,8 +359,11 @@ export async function processPhase4(phase1Result, phase2Result) {
       localPath: savedImagePath,
       filename: filename,
       fileSize: fileSize,
+      generator,
+      usage,
       generatedAt: new Date().toISOString(),
       prompt: imagePrompt,
+      promptTemplate: template,
     };
 
   } catch (error) {
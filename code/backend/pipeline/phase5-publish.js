@@ -4,6 +4,29 @@
  * Assembles all components into a blog post and publishes to the Astro site.
  * Creates a markdown file in the Astro content directory.
  *
+ * Every post records its language. A translated companion post (Phase 6)
+ * is published through here too: it shares the original's translationKey
+ * and its slug is the original's with the language appended
+ * (why-is-the-sky-blue-de).
+ *
+ * A post that Phase 1 flagged for high-risk personal information is held:
+ * it is written with `draft: true` (hidden by the site) and never
+ * auto-committed. Publishing it is a manual step after review.
+ *
+ * When Phase 2 fact-checked the response, the claims it flagged or
+ * corrected and the references it named are listed under "Sources &
+ * caveats", and the frontmatter says `factChecked: true`.
+ *
+ * A dialogue job's two-host script is included under "Podcast Script",
+ * folded away, and its hosts are named in the frontmatter so the player can
+ * label the response audio.
+ *
+ * Earlier posts that Phase 2 was given as context are linked under
+ * "Related Prompts".
+ *
+ * The frontmatter's `template` names the response template (see
+ * templates.js) and every prompt template version the post went through.
+ *
  * Input: Results from all previous phases
  * Output: Published blog post URL
  */
@@ -11,6 +34,13 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { wrapPhaseError } from './retry.js';
+import { isOffline } from './offline.js';
+import { getFrontendPath } from './paths.js';
+import { totalCost } from './costs.js';
+import { DEFAULT_LANGUAGE, getLanguageName } from './languages.js';
+import { describeModel } from './llm.js';
+import { formatTemplateRef } from './templates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,26 +52,71 @@ function formatDate(date) {
   return new Date(date).toISOString().split('T')[0];
 }
 
+/**
+ * Format seconds as m:ss
+ */
+function formatTimestamp(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
 /**
  * Create slug from title
+ *
+ * Accents are folded to their base letter ("Über" -> "uber"); a title with
+ * no Latin letters at all falls back to "post".
  */
-function createSlug(title) {
-  return title
+export function createSlug(title) {
+  const slug = title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/^-+|-+$/g, '');
+  return slug || 'post';
+}
+
+/**
+ * Describe the prompt templates a post went through
+ *
+ * @returns {Object|undefined} { id, version, prompts: { kind: "id@version" } },
+ *   or undefined for checkpoints from before prompt templates
+ */
+function describeTemplates({ phase1, phase2, phase3, phase4 }) {
+  const response = phase2.metadata?.template;
+  if (!response?.id) return undefined;
+
+  const used = {
+    transcription: phase1.transcription?.template,
+    extraction: phase1.extractionTemplate,
+    response,
+    claims: phase2.factCheck?.templates?.claims,
+    critique: phase2.factCheck?.templates?.critique,
+    revision: phase2.factCheck?.templates?.revision,
+    dialogue: phase2.dialogue?.template,
+    tts: phase3.ttsTemplate,
+    image: phase4.promptTemplate,
+  };
+  const prompts = Object.fromEntries(
+    Object.entries(used).filter(([, template]) => template).map(([kind, template]) => [kind, formatTemplateRef(template)])
+  );
+
+  return { id: response.id, version: response.version, prompts };
 }
 
 /**
  * Generate frontmatter for Astro blog post
  */
 function generateFrontmatter(allPhases) {
-  const { phase1, phase2, phase3, phase4 } = allPhases;
+  const { phase1, phase2, phase3, phase4, translation } = allPhases;
+  const { recording } = phase1;
 
   const frontmatter = {
     title: phase1.title,
     description: phase1.excerpt,
-    pubDate: formatDate(new Date()),
+    // A job manifest can schedule the post for a later date
+    pubDate: formatDate(phase1.manifest?.publishAt || new Date()),
     heroImage: phase4.imageUrl,
     tags: phase1.tags,
     // Custom fields for My Weird Prompts
@@ -51,21 +126,98 @@ function generateFrontmatter(allPhases) {
     userAudioDuration: phase3.userDurationFormatted || null,
     aiAudioUrl: phase3.aiAudioUrl || null,
     aiAudioDuration: phase3.aiDurationFormatted || null,
+    // The response audio is a conversation between these hosts (see dialogue.js)
+    dialogueHosts: phase2.dialogue?.hosts,
+    // WebVTT and SRT captions next to each MP3 (see captions.js)
+    userVttUrl: phase3.userVttUrl || null,
+    userSrtUrl: phase3.userSrtUrl || null,
+    aiVttUrl: phase3.aiVttUrl || null,
+    aiSrtUrl: phase3.aiSrtUrl || null,
     aiGenerated: true,
     transcript: phase1.transcript,
+    // Timed transcript of the user audio, in seconds
+    transcriptSegments: phase1.segments,
+    // Provider spend for this post (see costs.js), including resumed phases
+    generationCostUsd: totalCost([phase1, phase2, phase3, phase4].flatMap(phase => phase.usage || [])),
+    // Who wrote the response; checkpoints from before llm.js have no provider
+    responseModel: phase2.metadata?.model
+      ? { provider: phase2.metadata.provider || 'anthropic', model: phase2.metadata.model }
+      : undefined,
+    // The response's claims were reviewed (see fact-check.js)
+    factChecked: phase2.factCheck ? true : undefined,
+    // Which prompt wording produced this post
+    template: describeTemplates(allPhases),
+    // Posts split from one recording point back at it, and at each other via its id
+    sourceRecording: recording?.parts > 1 ? recording : undefined,
+    // ISO 639-1; a post and its translations share a translationKey
+    lang: phase1.language || DEFAULT_LANGUAGE,
+    translationKey: recording ? `${recording.id}-${recording.part}` : undefined,
+    translatedFrom: translation?.from,
+    // Held for review (see redaction.js); remove after checking the post
+    draft: phase1.redaction?.hold ? true : undefined,
   };
 
   return frontmatter;
 }
 
+/**
+ * Format a reference: bare URLs become links
+ */
+function formatSource(source) {
+  return /^https?:\/\/\S+$/.test(source) ? `<${source}>` : source;
+}
+
+/**
+ * Generate the "Sources & caveats" section from Phase 2's fact check
+ */
+function generateSourcesSection(factCheck) {
+  const { claims } = factCheck;
+  const corrected = factCheck.revised ? claims.filter(claim => claim.verdict === 'incorrect') : [];
+  const caveats = claims.filter(claim => (
+    !corrected.includes(claim) && (claim.verdict !== 'supported' || claim.confidence === 'low')
+  ));
+  const sources = [...new Set(claims.flatMap(claim => claim.sources))];
+
+  const summary = [`${claims.length} claim${claims.length === 1 ? '' : 's'} checked`];
+  if (corrected.length > 0) summary.push(`${corrected.length} corrected`);
+  if (caveats.length > 0) summary.push(`${caveats.length} with caveats`);
+
+  let markdown = `## Sources & caveats\n\n`;
+  markdown += `*Fact-checked by ${describeModel(factCheck)}: ${summary.join(', ')}.*\n\n`;
+
+  for (const claim of corrected) {
+    markdown += `- **Corrected:** ${claim.correction || claim.note || claim.claim} (the first draft said: "${claim.claim}")\n`;
+  }
+  for (const claim of caveats) {
+    const label = { incorrect: 'Likely wrong', uncertain: 'Uncertain' }[claim.verdict] || 'Low confidence';
+    const details = [claim.note, claim.correction && `Correct: ${claim.correction}`].filter(Boolean).join(' ');
+    markdown += `- **${label}:** ${claim.claim}${details ? ` ${details}` : ''}\n`;
+  }
+  if (corrected.length > 0 || caveats.length > 0) markdown += `\n`;
+
+  if (sources.length > 0) {
+    markdown += `**Where to check:**\n\n`;
+    for (const source of sources) {
+      markdown += `- ${formatSource(source)}\n`;
+    }
+    markdown += `\n`;
+  }
+
+  return markdown;
+}
+
 /**
  * Generate markdown content for blog post
  */
 function generateMarkdown(allPhases) {
-  const { phase1, phase2, phase3, phase4 } = allPhases;
+  const { phase1, phase2, phase3, phase4, translation } = allPhases;
 
   let markdown = '';
 
+  if (translation) {
+    markdown += `*Translated from ${getLanguageName(translation.from)}. [Read the original](/blog/${translation.originalSlug}).*\n\n`;
+  }
+
   // Add prompt summary section
   markdown += `## The Prompt\n\n`;
   markdown += `${phase1.prompt_summary}\n\n`;
@@ -76,10 +228,49 @@ function generateMarkdown(allPhases) {
     markdown += `${phase1.context}\n\n`;
   }
 
+  // Note where this question sits in a recording that asked several
+  const { recording } = phase1;
+  if (recording?.parts > 1) {
+    const range = recording.start !== null
+      ? ` (${formatTimestamp(recording.start)}${recording.end !== null ? `–${formatTimestamp(recording.end)}` : ' onwards'})`
+      : '';
+    markdown += `*Question ${recording.part} of ${recording.parts} from the same voice note${range}.*\n\n`;
+  }
+
   // Add AI response
   markdown += `## Response\n\n`;
   markdown += `${phase2.response}\n\n`;
 
+  // Readers should know when an answer stops mid-sentence (see llm.js)
+  if (phase2.metadata?.truncated) {
+    markdown += `*This response reached its length limit and ends abruptly.*\n\n`;
+  }
+
+  // What the fact check found (see fact-check.js)
+  if (phase2.factCheck) {
+    markdown += generateSourcesSection(phase2.factCheck);
+  }
+
+  // The two-host script the response audio reads (see dialogue.js)
+  if (phase2.dialogue) {
+    const { hosts, turns } = phase2.dialogue;
+    markdown += `## Podcast Script\n\n`;
+    markdown += `<details>\n<summary>The conversation between ${hosts.join(' and ')}</summary>\n\n`;
+    for (const turn of turns) {
+      markdown += `**${turn.speaker}:** ${turn.text}\n\n`;
+    }
+    markdown += `</details>\n\n`;
+  }
+
+  // Earlier posts Phase 2 drew on (see post-index.js)
+  if (phase2.related?.length > 0) {
+    markdown += `## Related Prompts\n\n`;
+    for (const post of phase2.related) {
+      markdown += `- [${post.title.replace(/[[\]]/g, '\\$&')}](/blog/${post.slug})\n`;
+    }
+    markdown += `\n`;
+  }
+
   // Add audio player if available
   if (phase3.audioUrl && !phase3.skipped) {
     markdown += `---\n\n`;
@@ -92,7 +283,8 @@ function generateMarkdown(allPhases) {
 
   // Add disclaimer
   markdown += `---\n\n`;
-  markdown += `*This content was generated with AI assistance. The prompt was voiced by a human and transcribed, then processed through Claude Sonnet 4.5 for the response.*\n\n`;
+  const responseModel = phase2.metadata?.model ? describeModel(phase2.metadata) : 'a large language model';
+  markdown += `*This content was generated with AI assistance. The prompt was voiced by a human and transcribed, then processed through ${responseModel} for the response.*\n\n`;
 
   return markdown;
 }
@@ -105,12 +297,15 @@ async function createBlogPost(allPhases) {
   const markdown = generateMarkdown(allPhases);
 
   // Create slug for filename
-  const slug = createSlug(frontmatter.title);
+  const { translation } = allPhases;
+  const slug = translation
+    ? `${translation.originalSlug.replace(/^\d+-/, '')}-${frontmatter.lang}`
+    : createSlug(frontmatter.title);
   const timestamp = Date.now();
   const filename = `${timestamp}-${slug}.md`;
 
   // Determine content directory path
-  const contentDir = path.join(__dirname, '../../frontend/src/content/blog');
+  const contentDir = getFrontendPath('src/content/blog');
   await fs.mkdir(contentDir, { recursive: true });
 
   const filePath = path.join(contentDir, filename);
@@ -118,6 +313,8 @@ async function createBlogPost(allPhases) {
   // Build full blog post content
   let content = '---\n';
   content += Object.entries(frontmatter)
+    // Skipped phases leave some fields undefined (e.g. heroImage without Phase 4)
+    .filter(([, value]) => value !== undefined)
     .map(([key, value]) => {
       if (Array.isArray(value)) {
         return `${key}: ${JSON.stringify(value)}`;
@@ -184,6 +381,7 @@ async function commitAndPush(filePath) {
  * Process Phase 5: Assemble and Publish
  *
  * @param {Object} allPhases - Results from all previous phases
+ * @param {Object} [allPhases.translation] - { from, originalSlug } for a translated companion post, originalSlug being the original's file name without .md
  * @returns {Object} Publication result
  */
 export async function assembleAndPublish(allPhases) {
@@ -195,7 +393,8 @@ export async function assembleAndPublish(allPhases) {
 
     // Get site URL
     const siteUrl = process.env.PUBLIC_SITE_URL || 'http://localhost:4321';
-    const postUrl = `${siteUrl}/blog/${blogPost.slug}`;
+    // Posts are routed by file name, timestamp included
+    const postUrl = `${siteUrl}/blog/${path.basename(blogPost.filename, '.md')}`;
 
     console.log('Phase 5 complete:', {
       postUrl,
@@ -203,8 +402,11 @@ export async function assembleAndPublish(allPhases) {
     });
 
     // Optional: Auto-commit and push
-    const autoCommit = process.env.AUTO_COMMIT === 'true';
-    if (autoCommit) {
+    const held = allPhases.phase1.redaction?.hold || false;
+    const autoCommit = process.env.AUTO_COMMIT === 'true' && !isOffline();
+    if (held) {
+      console.warn(`Post held for review (${allPhases.phase1.redaction.holdReasons.join(', ')}) - written as a draft, not committed`);
+    } else if (autoCommit) {
       console.log('Auto-commit enabled, committing changes...');
       await commitAndPush(blogPost.filePath);
     } else {
@@ -217,13 +419,15 @@ export async function assembleAndPublish(allPhases) {
       filename: blogPost.filename,
       slug: blogPost.slug,
       filePath: blogPost.filePath,
+      held,
+      holdReasons: held ? allPhases.phase1.redaction.holdReasons : [],
       publishedAt: new Date().toISOString(),
     };
 
   } catch (error) {
     console.error('Phase 5 error:', error);
-    throw new Error(`Phase 5 publishing failed: ${error.message}`);
+    throw wrapPhaseError('Phase 5 publishing failed', error);
   }
 }
 
-export default { assembleAndPublish };
+export default { createSlug, assembleAndPublish };
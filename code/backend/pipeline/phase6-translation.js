@@ -0,0 +1,293 @@
+/**
+ * Phase 6: Translated Companion Post
+ *
+ * Publishes the finished post a second time in another language, when one
+ * is configured (TRANSLATION_LANGUAGE, or "translateTo" in a job manifest)
+ * and it differs from the language of the recording:
+ *
+ * 1. The job's response provider and model (see llm.js) translate the
+ *    post's metadata and the response (plus the fact check's notes, and the
+ *    podcast script of a dialogue job, keeping who says what)
+ * 2. Phase 3 reads the translated response (or script) with the voices for
+ *    that language; the user's own audio is reused as is
+ * 3. Phase 5 publishes it with the original's banner, linked to the
+ *    original through a shared translationKey
+ *
+ * Input: Results from Phases 1-5
+ * Output: The companion post's slug and URL
+ */
+
+import path from 'path';
+import { getResponseSettings, generateResponse } from './llm.js';
+import { permanentError, wrapPhaseError } from './retry.js';
+import { DEFAULT_LANGUAGE, getLanguageName, getTranslationLanguage } from './languages.js';
+import { processPhase3 } from './phase3-audio.js';
+import { assembleAndPublish } from './phase5-publish.js';
+import { PHASE1_RESULT_SCHEMA, assertSchema } from './schemas.js';
+import { parseDialogue, formatScript } from './dialogue.js';
+
+// Phase 1 fields shown to readers; tags stay in English on every post
+const TRANSLATED_FIELDS = ['title', 'prompt_summary', 'excerpt', 'context', 'prompt'];
+
+// What the fact check wrote about each claim
+const FACT_CHECK_FIELDS = ['claim', 'note', 'correction'];
+
+// Output limit for the short JSON translations (metadata, fact-check notes)
+const VALUES_MAX_TOKENS = 2048;
+
+// A translation can run longer than the original (German, French), so the
+// response and script get this much more than Phase 2's overall output limit
+const LENGTH_HEADROOM = 1.5;
+
+// Requests for a translation before giving up on a model that keeps breaking its format
+const FORMAT_ATTEMPTS = 3;
+
+/**
+ * Send one translation request to the job's response provider (see llm.js)
+ *
+ * @param {Object} settings - From getResponseSettings()
+ * @param {string} system - Translation instructions
+ * @param {string} content - Text to translate
+ * @param {Object} options
+ * @param {string} options.job - Audio file name, for the cost ledger
+ * @param {number} [options.maxTokens] - Output limit per request (default: the response's)
+ * @param {number} [options.maxTotalTokens] - Output limit over continued requests (default: maxTokens)
+ * @returns {Object} See generateResponse()
+ */
+function translate(settings, system, content, { job, maxTokens = settings.maxTokens, maxTotalTokens = maxTokens }) {
+  return generateResponse({
+    system,
+    messages: [{ role: 'user', content }],
+    model: settings.model,
+    temperature: 0,
+    maxTokens,
+  }, {
+    provider: settings.provider,
+    job,
+    phase: 6,
+    kind: 'translation',
+    maxTotalTokens,
+  });
+}
+
+/**
+ * Translate a long text (the response, a script), continuing it past the
+ * output limit the way Phase 2 continues the answer
+ */
+function translateLong(settings, system, content, { job }) {
+  return translate(settings, system, content, {
+    job,
+    maxTotalTokens: Math.ceil(settings.maxTotalTokens * LENGTH_HEADROOM),
+  });
+}
+
+/**
+ * Translate, asking again when the reply cannot be read back
+ *
+ * Failing the job would requeue it and pay for every translation again.
+ *
+ * @param {Function} request - () => generateResponse() result
+ * @param {Function} read - (text) => parsed value; throws when the format is wrong
+ * @returns {Object} { value, truncated, usage }
+ */
+async function translateChecked(request, read) {
+  const usage = [];
+  for (let attempt = 1; ; attempt++) {
+    const { text, truncated, usage: callUsage } = await request();
+    usage.push(...callUsage);
+    try {
+      return { value: read(text), truncated, usage };
+    } catch (error) {
+      if (attempt >= FORMAT_ATTEMPTS) {
+        throw permanentError(`${error.message}, after ${attempt} attempts`);
+      }
+      console.warn(`⚠️  ${error.message} - asking again (attempt ${attempt + 1}/${FORMAT_ATTEMPTS})`);
+    }
+  }
+}
+
+/**
+ * Translate the values of a flat JSON object of strings
+ *
+ * @returns {Object} { values, usage }, with anything the model dropped left as it was
+ */
+async function translateValues(settings, values, from, to, { job, label }) {
+  const system = `Translate the values of this JSON object from ${getLanguageName(from)} to ${getLanguageName(to)}. Return the same JSON object with the same keys and only the values translated. Leave empty values empty. Return only the JSON, no code blocks.`;
+
+  const { value: translated, usage } = await translateChecked(
+    () => translate(settings, system, JSON.stringify(values, null, 2), { job, maxTokens: VALUES_MAX_TOKENS }),
+    text => {
+      try {
+        return JSON.parse(text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+      } catch (parseError) {
+        throw new Error(`Invalid JSON in ${label} translation: ${parseError.message}`);
+      }
+    }
+  );
+
+  return {
+    values: Object.fromEntries(Object.keys(values).map(key => [key, translated[key] ?? values[key]])),
+    usage,
+  };
+}
+
+/**
+ * Translate the reader-facing Phase 1 fields
+ *
+ * @returns {Object} { fields, usage }
+ */
+async function translateMetadata(settings, phase1Result, from, to) {
+  const fields = Object.fromEntries(TRANSLATED_FIELDS.map(field => [field, phase1Result[field]]));
+  const { values, usage } = await translateValues(settings, fields, from, to, { job: phase1Result.originalAudioFileName, label: 'metadata' });
+  return { fields: values, usage };
+}
+
+/**
+ * Translate what the fact check says about each claim (see fact-check.js);
+ * the references keep their names
+ *
+ * @returns {Object} { factCheck, usage }
+ */
+async function translateFactCheck(settings, phase1Result, factCheck, from, to) {
+  const fields = {};
+  factCheck.claims.forEach((claim, i) => {
+    for (const field of FACT_CHECK_FIELDS) {
+      if (claim[field]) fields[`${i}.${field}`] = claim[field];
+    }
+  });
+
+  const { values, usage } = await translateValues(settings, fields, from, to, { job: phase1Result.originalAudioFileName, label: 'fact check' });
+  const claims = factCheck.claims.map((claim, i) => ({
+    ...claim,
+    ...Object.fromEntries(FACT_CHECK_FIELDS.filter(field => claim[field]).map(field => [field, values[`${i}.${field}`]])),
+  }));
+
+  return { factCheck: { ...factCheck, claims }, usage };
+}
+
+/**
+ * Translate the markdown response
+ *
+ * @returns {Object} { response, continuations, truncated, usage }
+ */
+async function translateResponse(settings, phase1Result, phase2Result, from, to) {
+  const { text, continuations, truncated, outputTokens, usage } = await translateLong(
+    settings,
+    `Translate the following markdown from ${getLanguageName(from)} to ${getLanguageName(to)}. Keep the markdown formatting, code blocks and links exactly as they are. Return only the translation.`,
+    phase2Result.response,
+    { job: phase1Result.originalAudioFileName }
+  );
+
+  if (truncated) {
+    console.warn(`⚠️  Translated response is cut off after ${outputTokens} tokens; the companion post says so`);
+  }
+
+  return { response: text, continuations, truncated, usage };
+}
+
+/**
+ * Translate a two-host script (see dialogue.js)
+ *
+ * @returns {Object} { dialogue, usage }
+ */
+async function translateDialogue(settings, phase1Result, dialogue, from, to) {
+  const system = `Translate this podcast script from ${getLanguageName(from)} to ${getLanguageName(to)}. Every line starts with a speaker's name and a colon; keep the names and colons exactly as they are and translate only what is said. Return only the translated script.`;
+
+  const { value: turns, truncated, usage } = await translateChecked(
+    () => translateLong(settings, system, formatScript(dialogue.turns), { job: phase1Result.originalAudioFileName }),
+    text => parseDialogue(text, dialogue.hosts)
+  );
+  if (truncated) {
+    console.warn('⚠️  Translated dialogue script is cut off; it ends mid-conversation');
+  }
+
+  return { dialogue: { ...dialogue, turns, truncated: dialogue.truncated || truncated }, usage };
+}
+
+/**
+ * Process Phase 6: Translated Companion Post
+ *
+ * @param {Object} allPhases - Results from Phases 1-5
+ * @returns {Object} Companion post details, or { skipped: true } when no translation applies
+ */
+export async function processTranslation(allPhases) {
+  const { phase1, phase2, phase3, phase4, phase5 } = allPhases;
+  const from = phase1.language || DEFAULT_LANGUAGE;
+  const to = getTranslationLanguage(phase1.manifest);
+
+  const skip = reason => {
+    console.log(`Phase 6: ${reason} - no companion post`);
+    return { skipped: true, reason, generatedAt: new Date().toISOString() };
+  };
+
+  if (!to) return skip('No translation language configured');
+  if (to === from) return skip(`Recording is already in ${getLanguageName(to)}`);
+  if (phase2.skipped || phase5.skipped) return skip('Original post was not published');
+
+  console.log(`Phase 6: Translating post from ${getLanguageName(from)} to ${getLanguageName(to)}`);
+
+  try {
+    // The provider and model that wrote the answer translate it
+    const settings = getResponseSettings(phase1.manifest);
+    console.log(`Translating with ${settings.provider} (${settings.model})`);
+
+    const metadata = await translateMetadata(settings, phase1, from, to);
+    const translatedResponse = await translateResponse(settings, phase1, phase2, from, to);
+    const translatedFactCheck = phase2.factCheck?.claims.length > 0 ? await translateFactCheck(settings, phase1, phase2.factCheck, from, to) : null;
+    const translatedDialogue = phase2.dialogue ? await translateDialogue(settings, phase1, phase2.dialogue, from, to) : null;
+
+    const translatedPhase1 = assertSchema(PHASE1_RESULT_SCHEMA, {
+      ...phase1,
+      ...metadata.fields,
+      language: to,
+      usage: [metadata, translatedResponse, translatedFactCheck, translatedDialogue].filter(Boolean).flatMap(translated => translated.usage),
+    }, 'Translated Phase 1 result');
+    const translatedPhase2 = {
+      ...phase2,
+      response: translatedResponse.response,
+      factCheck: translatedFactCheck?.factCheck ?? phase2.factCheck,
+      dialogue: translatedDialogue?.dialogue,
+      usage: [],
+      metadata: {
+        ...phase2.metadata,
+        language: to,
+        // A translation cut off at the output limit gets the same note as a cut-off answer
+        truncated: phase2.metadata.truncated || translatedResponse.truncated,
+        translation: { continuations: translatedResponse.continuations, truncated: translatedResponse.truncated },
+      },
+    };
+
+    const translatedPhase3 = await processPhase3(translatedPhase1, translatedPhase2, { userAudio: phase3 });
+
+    const published = await assembleAndPublish({
+      phase1: translatedPhase1,
+      phase2: translatedPhase2,
+      phase3: translatedPhase3,
+      // Same banner; its cost belongs to the original post
+      phase4: { ...phase4, usage: [] },
+      // The site routes posts by file name (<timestamp>-<slug>), not by the bare slug
+      translation: { from, originalSlug: path.basename(phase5.filename, '.md') },
+    });
+
+    return {
+      language: to,
+      translatedFrom: from,
+      title: translatedPhase1.title,
+      slug: published.slug,
+      url: published.url,
+      filename: published.filename,
+      aiAudioUrl: translatedPhase3.aiAudioUrl,
+      // Of the translated response, as in Phase 2's metadata
+      continuations: translatedResponse.continuations,
+      truncated: translatedResponse.truncated,
+      usage: [...translatedPhase1.usage, ...(translatedPhase3.usage || [])],
+      skipped: false,
+      generatedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    console.error('Phase 6 error:', error);
+    throw wrapPhaseError('Phase 6 translation failed', error);
+  }
+}
+
+export default { processTranslation };
@@ -0,0 +1,309 @@
+/**
+ * Post Index
+ *
+ * A local BM25 index over the posts already in src/content/blog, so Phase 2
+ * can build on earlier answers (a follow-up question gets the post it
+ * follows up on) and Phase 5 can link to them. It runs entirely offline.
+ *
+ * Each post is indexed by its title and tags (weighted highest), prompt
+ * summary, transcript and response text. The index is saved to
+ * code/backend/data/post-index.json (or POST_INDEX_PATH) and brought up to
+ * date on every lookup: posts added, changed or deleted since the last one
+ * are re-read, the rest come from the file. Deleting the file rebuilds it.
+ *
+ * A lookup only returns posts a reader can open: no drafts, no posts
+ * scheduled for later, and only posts in the language of the question.
+ * Posts from the same recording (other questions from it, translations)
+ * are left out.
+ *
+ *   RELATED_POSTS_LIMIT      Most posts returned (3; 0 turns retrieval off)
+ *   RELATED_POSTS_MIN_SCORE  Lowest BM25 score that still counts as related (4)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse as parseYaml } from 'yaml';
+import { getFrontendPath } from './paths.js';
+import { findFrontmatter } from './tags.js';
+import { markdownToPlainText } from './captions.js';
+import { DEFAULT_LANGUAGE } from './languages.js';
+import { readNumberEnv } from './retry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Bump when tokenizing or the stored fields change; older index files are rebuilt
+const INDEX_VERSION = 1;
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// How much a term counts for in each field of a post
+const FIELD_WEIGHTS = { title: 3, tags: 3, summary: 2, transcript: 1, response: 1 };
+
+// Length of the response excerpt kept for Phase 2
+const EXCERPT_CHARS = 1200;
+
+// Common words and filler that say nothing about a post's topic
+const STOPWORDS = new Set(`
+  a about above after again against all also am an and any are as at be because been before being below between
+  both but by can could did do does doing down during each few for from further get got had has have having he her
+  here hers him his how i if in into is it its itself just know like me more most my no nor not now of off on once
+  only or other our ours out over own really same she should so some something such than that the their theirs them
+  then there these they thing things think this those through to too uh um under until up us very want was way we
+  well were what when where which while who whom why will with would yeah you your yours
+`.trim().split(/\s+/));
+
+/**
+ * Get the index file path
+ */
+export function getPostIndexPath() {
+  return process.env.POST_INDEX_PATH || path.join(__dirname, '../data/post-index.json');
+}
+
+/**
+ * Get the retrieval limits
+ */
+export function getRelatedSettings() {
+  return {
+    limit: Math.max(0, Math.round(readNumberEnv('RELATED_POSTS_LIMIT', 3))),
+    minScore: readNumberEnv('RELATED_POSTS_MIN_SCORE', 4),
+  };
+}
+
+/**
+ * Split text into index terms ("Cameras" and "camera's" both become "camera")
+ */
+export function tokenize(text) {
+  return (String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOPWORDS.has(term))
+    // Plurals match their singular
+    .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+/**
+ * The response part of a published post's markdown
+ */
+function extractResponse(body) {
+  const start = /^## Response[ \t]*$/m.exec(body);
+  const text = start ? body.slice(start.index + start[0].length) : body;
+  const end = /^(?:## (?:Sources & caveats|Podcast Script|Related Prompts|Listen to This Post)|\*This content was generated with AI assistance)/m.exec(text);
+  return (end ? text.slice(0, end.index) : text).replace(/(?:\s*^---[ \t]*$)+\s*$/m, '').trim();
+}
+
+/**
+ * Shorten text to about `length` characters at a word boundary
+ */
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  return `${text.slice(0, length).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * Build the index entry for one post
+ *
+ * @returns {Object|null} Entry, or null if the file has no frontmatter
+ */
+function indexPost(file, content) {
+  const found = findFrontmatter(content);
+  if (!found) return null;
+
+  const data = parseYaml(found.frontmatter) || {};
+  const response = markdownToPlainText(extractResponse(content.slice(found.end).replace(/^\r?\n---\r?\n/, '')));
+  const tags = Array.isArray(data.tags) ? data.tags.map(String) : [];
+
+  const fields = {
+    title: data.title,
+    tags: tags.join(' '),
+    summary: data.prompt || data.description,
+    transcript: data.transcript,
+    response,
+  };
+  const terms = {};
+  let length = 0;
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    for (const term of tokenize(fields[field])) {
+      terms[term] = (terms[term] || 0) + weight;
+      length += weight;
+    }
+  }
+
+  return {
+    // The site routes posts by file name (see pages/blog/[...slug].astro)
+    slug: file.replace(/\.mdx?$/, ''),
+    title: String(data.title || ''),
+    tags,
+    lang: data.lang || DEFAULT_LANGUAGE,
+    pubDate: data.pubDate ? String(data.pubDate) : null,
+    draft: data.draft === true,
+    translationKey: data.translationKey || null,
+    summary: String(data.prompt || data.description || ''),
+    excerpt: truncate(response, EXCERPT_CHARS),
+    terms,
+    length,
+  };
+}
+
+/**
+ * Read the saved index, or null if it is missing, unreadable or out of date
+ */
+async function readIndexFile(contentDir) {
+  try {
+    const saved = JSON.parse(await fs.readFile(getPostIndexPath(), 'utf-8'));
+    return saved.version === INDEX_VERSION && saved.contentDir === contentDir ? saved : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Rebuilding post index: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Load the post index, re-reading posts that changed since it was saved
+ *
+ * @param {string} [contentDir] - Defaults to the frontend's src/content/blog
+ * @returns {Object} { contentDir, posts: { [file]: entry } }
+ */
+export async function loadPostIndex(contentDir = getFrontendPath('src/content/blog')) {
+  const saved = await readIndexFile(contentDir);
+
+  let files;
+  try {
+    files = (await fs.readdir(contentDir)).filter(name => /\.mdx?$/.test(name)).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    files = [];
+  }
+
+  const posts = {};
+  let changed = !saved;
+  for (const file of files) {
+    const filePath = path.join(contentDir, file);
+    const stats = await fs.stat(filePath);
+    const cached = saved?.posts[file];
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      posts[file] = cached;
+      continue;
+    }
+
+    changed = true;
+    try {
+      const entry = indexPost(file, await fs.readFile(filePath, 'utf-8'));
+      if (entry) posts[file] = { ...entry, size: stats.size, mtimeMs: stats.mtimeMs };
+    } catch (error) {
+      console.warn(`Post index: skipping ${file} (${error.message})`);
+    }
+  }
+  if (saved && Object.keys(saved.posts).some(file => !posts[file])) changed = true;
+
+  const index = { version: INDEX_VERSION, contentDir, posts };
+  if (changed) {
+    // Losing the saved index only costs a rebuild next time
+    try {
+      const indexPath = getPostIndexPath();
+      await fs.mkdir(path.dirname(indexPath), { recursive: true });
+      await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(index), 'utf-8');
+      await fs.rename(`${indexPath}.tmp`, indexPath);
+    } catch (error) {
+      console.warn(`Could not save post index: ${error.message}`);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Rank indexed posts against a query with BM25
+ *
+ * @param {Object} index - From loadPostIndex()
+ * @param {string} query - Free text
+ * @param {Object} [options]
+ * @param {string} [options.language] - Only posts in this language
+ * @param {string} [options.recordingId] - Leave out posts made from this recording
+ * @param {number} [options.limit] - Most results (default 3)
+ * @param {number} [options.minScore] - Lowest score returned (default 0)
+ * @param {Date} [options.now] - Posts dated later are not out yet
+ * @returns {Object[]} { slug, title, pubDate, summary, excerpt, score }, best first
+ */
+export function searchPosts(index, query, { language, recordingId, limit = 3, minScore = 0, now = new Date() } = {}) {
+  const today = now.toISOString().split('T')[0];
+  const candidates = Object.values(index.posts).filter(post => (
+    !post.draft &&
+    (!post.pubDate || post.pubDate <= today) &&
+    (!language || post.lang === language) &&
+    !(recordingId && post.translationKey?.startsWith(`${recordingId}-`))
+  ));
+  if (candidates.length === 0) return [];
+
+  const queryTerms = [...new Set(tokenize(query))];
+  const averageLength = candidates.reduce((total, post) => total + post.length, 0) / candidates.length || 1;
+
+  const idf = {};
+  for (const term of queryTerms) {
+    const documents = candidates.filter(post => post.terms[term]).length;
+    idf[term] = Math.log(1 + (candidates.length - documents + 0.5) / (documents + 0.5));
+  }
+
+  return candidates
+    .map(post => {
+      const norm = K1 * (1 - B + B * (post.length / averageLength));
+      const score = queryTerms.reduce((total, term) => {
+        const frequency = post.terms[term] || 0;
+        return total + (frequency ? idf[term] * (frequency * (K1 + 1)) / (frequency + norm) : 0);
+      }, 0);
+      return { post, score };
+    })
+    .filter(({ score }) => score > 0 && score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ post, score }) => ({
+      slug: post.slug,
+      title: post.title,
+      pubDate: post.pubDate,
+      summary: post.summary,
+      excerpt: post.excerpt,
+      score: Math.round(score * 100) / 100,
+    }));
+}
+
+/**
+ * Find earlier posts related to a Phase 1 result
+ *
+ * @param {import('./schemas.js').Phase1Result} phase1Result
+ * @returns {Object[]} See searchPosts(); empty when retrieval is turned off
+ */
+export async function findRelatedPosts(phase1Result) {
+  const { limit, minScore } = getRelatedSettings();
+  if (limit === 0) return [];
+
+  const index = await loadPostIndex();
+  const query = [
+    phase1Result.title,
+    phase1Result.tags.join(' '),
+    phase1Result.prompt,
+    phase1Result.context,
+  ].join('\n');
+
+  return searchPosts(index, query, {
+    language: phase1Result.language || DEFAULT_LANGUAGE,
+    recordingId: phase1Result.recording?.id,
+    limit,
+    minScore,
+  });
+}
+
+export default {
+  getPostIndexPath,
+  getRelatedSettings,
+  tokenize,
+  loadPostIndex,
+  searchPosts,
+  findRelatedPosts,
+};
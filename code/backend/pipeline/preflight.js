@@ -0,0 +1,256 @@
+/**
+ * Audio Preflight
+ *
+ * Checks a recording locally with ffprobe and ffmpeg before any paid API
+ * sees it. A recording is rejected with a permanent error (so the queue
+ * moves it to failed/ with the reason in its error log) when it:
+ *
+ * - is empty, corrupt or has no audio stream
+ * - is shorter than PREFLIGHT_MIN_SECONDS (1)
+ * - is silent: its RMS level is below PREFLIGHT_MIN_RMS_DB (-50 dBFS)
+ * - is mostly silence: over PREFLIGHT_MAX_SILENCE_RATIO (0.9) of its length
+ * - is clipped: over PREFLIGHT_MAX_CLIPPED_RATIO (0.001) of its samples sit
+ *   at full scale
+ *
+ * Formats Gemini does not accept as they are (m4a, webm, opus, ...) are
+ * converted to 16 kHz mono FLAC in temp-uploads. Phase 1 transcribes that
+ * copy and deletes it; Phase 3 still publishes the original recording.
+ *
+ * A manifest can turn the checks off for one recording with
+ * "skip": ["preflight"].
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ERROR_CLASSES, permanentError, readNumberEnv } from './retry.js';
+import { parseSilences } from './audio-chunks.js';
+
+const execFileAsync = promisify(execFile);
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMP_DIR = path.join(__dirname, '../temp-uploads');
+
+// Audio quieter than this for at least a second counts as silence
+const SILENCE_NOISE_DB = -50;
+const SILENCE_MIN_SECONDS = 1;
+
+// Samples this close to full scale count towards clipping
+const CLIPPING_PEAK_DB = -0.1;
+
+// Containers and codecs Gemini takes as they are, with the MIME type to send
+const SUPPORTED_FORMATS = [
+  { format: 'mp3', codec: /^mp3$/, mimeType: 'audio/mpeg' },
+  { format: 'wav', codec: /^pcm_/, mimeType: 'audio/wav' },
+  { format: 'flac', codec: /^flac$/, mimeType: 'audio/flac' },
+  { format: 'ogg', codec: /^vorbis$/, mimeType: 'audio/ogg' },
+  { format: 'aiff', codec: /^pcm_/, mimeType: 'audio/aiff' },
+  { format: 'aac', codec: /^aac$/, mimeType: 'audio/aac' },
+];
+
+// What everything else is converted to
+const CANONICAL_MIME_TYPE = 'audio/flac';
+
+/**
+ * Get the preflight limits
+ */
+export function getPreflightSettings() {
+  return {
+    minSeconds: readNumberEnv('PREFLIGHT_MIN_SECONDS', 1),
+    minRmsDb: readNumberEnv('PREFLIGHT_MIN_RMS_DB', -50),
+    maxSilenceRatio: readNumberEnv('PREFLIGHT_MAX_SILENCE_RATIO', 0.9),
+    maxClippedRatio: readNumberEnv('PREFLIGHT_MAX_CLIPPED_RATIO', 0.001),
+  };
+}
+
+/**
+ * Create the error for a recording that fails a check
+ */
+function rejection(audioFileName, reason) {
+  const error = new Error(`Preflight rejected ${audioFileName}: ${reason}`);
+  error.errorClass = ERROR_CLASSES.PERMANENT;
+  error.preflightReason = reason;
+  return error;
+}
+
+/**
+ * Run ffprobe or ffmpeg, turning a missing binary into a permanent error
+ */
+async function runTool(bin, args) {
+  try {
+    return await execFileAsync(bin, args, { maxBuffer: 10 * 1024 * 1024 });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw permanentError(`${bin} is not installed; the audio preflight needs it`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the container, codec and duration with ffprobe
+ *
+ * @returns {Object|null} { format, codec, duration, sampleRate, channels }, or null if ffprobe cannot read the file
+ */
+async function probe(audioFilePath) {
+  let stdout;
+  try {
+    ({ stdout } = await runTool('ffprobe', [
+      '-v', 'error',
+      '-show_entries', 'format=format_name,duration:stream=codec_type,codec_name,sample_rate,channels',
+      '-of', 'json',
+      audioFilePath,
+    ]));
+  } catch (error) {
+    if (error.errorClass) throw error;
+    return null;
+  }
+
+  const data = JSON.parse(stdout || '{}');
+  const stream = (data.streams || []).find(s => s.codec_type === 'audio');
+
+  return {
+    format: data.format?.format_name || 'unknown',
+    codec: stream?.codec_name || null,
+    duration: parseFloat(data.format?.duration),
+    sampleRate: stream ? parseInt(stream.sample_rate, 10) : null,
+    channels: stream?.channels ?? null,
+  };
+}
+
+/**
+ * Read a value from the "Overall" block of ffmpeg's astats output
+ */
+function readOverallStat(stderr, name) {
+  const overall = stderr.slice(stderr.lastIndexOf('Overall'));
+  const match = new RegExp(`${name}: (-?inf|-?[\\d.]+)`).exec(overall);
+  if (!match) return null;
+  return match[1].endsWith('inf') ? -Infinity : parseFloat(match[1]);
+}
+
+/**
+ * Format a level for logs ("-21.4 dB", "-inf dB")
+ */
+function formatDb(db) {
+  if (db === null) return '? dB';
+  return Number.isFinite(db) ? `${db.toFixed(1)} dB` : '-inf dB';
+}
+
+/**
+ * Measure level, silence and clipping in one decoding pass
+ *
+ * @returns {Object} { rmsDb, peakDb, silenceRatio, clippedRatio }
+ */
+async function measure(audioFilePath, { duration, channels }) {
+  const { stderr } = await runTool('ffmpeg', [
+    '-hide_banner', '-nostats',
+    '-i', audioFilePath,
+    '-af', `silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_SECONDS},astats`,
+    '-f', 'null', '-',
+  ]);
+
+  const silent = parseSilences(stderr, { duration })
+    .reduce((total, silence) => total + (Math.min(silence.end, duration) - silence.start), 0);
+
+  const peakDb = readOverallStat(stderr, 'Peak level dB');
+  const peakCount = readOverallStat(stderr, 'Peak count');
+  const samples = readOverallStat(stderr, 'Number of samples');
+  const clipped = peakDb !== null && peakDb >= CLIPPING_PEAK_DB && peakCount && samples;
+
+  return {
+    rmsDb: readOverallStat(stderr, 'RMS level dB'),
+    peakDb,
+    silenceRatio: duration > 0 ? Math.min(1, silent / duration) : 0,
+    clippedRatio: clipped ? peakCount / (samples * (channels || 1)) : 0,
+  };
+}
+
+/**
+ * Convert a recording to the canonical format in temp-uploads
+ *
+ * @returns {string} Path of the converted copy
+ */
+async function convertToCanonical(audioFilePath) {
+  await fs.mkdir(TEMP_DIR, { recursive: true });
+  const outputPath = path.join(TEMP_DIR, `preflight-${path.parse(audioFilePath).name}-${Date.now()}.flac`);
+  await runTool('ffmpeg', ['-y', '-loglevel', 'error', '-i', audioFilePath, '-vn', '-ac', '1', '-ar', '16000', '-c:a', 'flac', outputPath]);
+  return outputPath;
+}
+
+/**
+ * Check a recording before Phase 1, converting it if needed
+ *
+ * @param {Object} source - { audioFilePath, audioFileName }
+ * @returns {Object} Measurements plus `mimeType` to send to Gemini and,
+ *   when converted, `canonicalPath` (the copy Phase 1 should transcribe)
+ */
+export async function runPreflight({ audioFilePath, audioFileName = path.basename(audioFilePath) }) {
+  const settings = getPreflightSettings();
+
+  const stats = await fs.stat(audioFilePath);
+  if (stats.size === 0) {
+    throw rejection(audioFileName, 'the file is empty');
+  }
+
+  const info = await probe(audioFilePath);
+  if (!info) {
+    throw rejection(audioFileName, 'ffprobe cannot read it; the file is corrupt or not audio');
+  }
+  if (!info.codec) {
+    throw rejection(audioFileName, `it has no audio stream (${info.format})`);
+  }
+  if (Number.isNaN(info.duration) || info.duration < settings.minSeconds) {
+    const length = Number.isNaN(info.duration) ? 'unknown length' : `${info.duration.toFixed(1)}s`;
+    throw rejection(audioFileName, `it is too short (${length}, minimum ${settings.minSeconds}s)`);
+  }
+
+  const levels = await measure(audioFilePath, info);
+  console.log(
+    `Preflight: ${info.format}/${info.codec}, ${info.duration.toFixed(1)}s, ` +
+    `RMS ${formatDb(levels.rmsDb)}, ${Math.round(levels.silenceRatio * 100)}% silence, ` +
+    `${(levels.clippedRatio * 100).toFixed(2)}% clipped`
+  );
+
+  if (levels.rmsDb !== null && levels.rmsDb < settings.minRmsDb) {
+    const level = levels.rmsDb === -Infinity ? 'no signal' : `RMS ${formatDb(levels.rmsDb)}`;
+    throw rejection(audioFileName, `it is silent (${level}, minimum ${settings.minRmsDb} dB)`);
+  }
+  if (levels.silenceRatio > settings.maxSilenceRatio) {
+    throw rejection(
+      audioFileName,
+      `it is mostly silence (${Math.round(levels.silenceRatio * 100)}%, maximum ${Math.round(settings.maxSilenceRatio * 100)}%)`
+    );
+  }
+  if (levels.clippedRatio > settings.maxClippedRatio) {
+    throw rejection(
+      audioFileName,
+      `it is clipped (${(levels.clippedRatio * 100).toFixed(2)}% of samples at full scale, maximum ${(settings.maxClippedRatio * 100).toFixed(2)}%)`
+    );
+  }
+
+  const formats = info.format.split(',');
+  const supported = SUPPORTED_FORMATS.find(entry => formats.includes(entry.format) && entry.codec.test(info.codec));
+
+  let canonicalPath = null;
+  if (!supported) {
+    console.log(`Preflight: converting ${info.format}/${info.codec} to FLAC`);
+    canonicalPath = await convertToCanonical(audioFilePath);
+  }
+
+  return {
+    ...info,
+    ...levels,
+    // -Infinity does not survive the JSON checkpoint
+    rmsDb: Number.isFinite(levels.rmsDb) ? levels.rmsDb : null,
+    mimeType: supported ? supported.mimeType : CANONICAL_MIME_TYPE,
+    converted: !supported,
+    canonicalPath,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+export default { getPreflightSettings, runPreflight };
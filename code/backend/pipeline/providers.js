@@ -0,0 +1,116 @@
+/**
+ * External Provider Limits
+ *
+ * Every call to a paid external service goes through withProvider(), which
+ * applies a per-provider concurrency cap and a minimum interval between
+ * request starts. Limiters are shared across all jobs in the process, so
+ * several queue workers can overlap work on different providers (e.g. one
+ * job uploading a banner while another is being transcribed) without
+ * hammering any single API.
+ *
+ * Failed calls are retried with backoff (see retry.js). Each retry waits for
+ * a fresh slot, so a retry storm cannot exceed the provider's limits either.
+ *
+ * Limits can be tuned with environment variables, for example:
+ *   GEMINI_CONCURRENCY=2
+ *   GEMINI_MIN_INTERVAL_MS=1000
+ */
+
+import { readNumberEnv, withRetry } from './retry.js';
+
+const PROVIDER_DEFAULTS = {
+  gemini: { concurrency: 2, minIntervalMs: 1000 },
+  anthropic: { concurrency: 2, minIntervalMs: 1000 },
+  // OpenAI or a local OpenAI-compatible server (Ollama, llama.cpp)
+  openai: { concurrency: 1, minIntervalMs: 0 },
+  // Replicate and Stability AI share one limiter: both are image generation
+  images: { concurrency: 1, minIntervalMs: 2000 },
+  cloudinary: { concurrency: 3, minIntervalMs: 0 },
+};
+
+const limiters = new Map();
+
+/**
+ * Create a limiter that caps concurrency and spaces out task starts
+ *
+ * @param {Object} options
+ * @param {number} options.concurrency - Maximum tasks running at once
+ * @param {number} options.minIntervalMs - Minimum time between task starts
+ * @returns {Function} schedule(task) => Promise resolving with the task result
+ */
+export function createLimiter({ concurrency = 1, minIntervalMs = 0 } = {}) {
+  const maxActive = Math.max(1, concurrency);
+  const pending = [];
+  let active = 0;
+  let lastStart = 0;
+  let timer = null;
+
+  function next() {
+    if (timer || active >= maxActive || pending.length === 0) return;
+
+    const wait = lastStart + minIntervalMs - Date.now();
+    if (wait > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        next();
+      }, wait);
+      return;
+    }
+
+    const { task, resolve, reject } = pending.shift();
+    active++;
+    lastStart = Date.now();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+
+    next();
+  }
+
+  return function schedule(task) {
+    return new Promise((resolve, reject) => {
+      pending.push({ task, resolve, reject });
+      next();
+    });
+  };
+}
+
+/**
+ * Get the limits configured for a provider
+ */
+export function getProviderLimits(provider) {
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+
+  const prefix = provider.toUpperCase();
+  return {
+    // A limiter that allows no tasks at all would never start one
+    concurrency: Math.round(readNumberEnv(`${prefix}_CONCURRENCY`, defaults.concurrency, { min: 1 })),
+    minIntervalMs: Math.round(readNumberEnv(`${prefix}_MIN_INTERVAL_MS`, defaults.minIntervalMs, { min: 0 })),
+  };
+}
+
+/**
+ * Run a call against an external provider within its limits, with retries
+ *
+ * @param {string} provider - 'gemini' | 'anthropic' | 'openai' | 'images' | 'cloudinary'
+ * @param {Function} fn - async () => result
+ * @param {Object} retryOptions - Passed through to withRetry()
+ * @returns {Promise} Result of fn
+ */
+export function withProvider(provider, fn, retryOptions = {}) {
+  if (!limiters.has(provider)) {
+    limiters.set(provider, createLimiter(getProviderLimits(provider)));
+  }
+  const schedule = limiters.get(provider);
+  return withRetry(() => schedule(fn), { label: provider, ...retryOptions });
+}
+
+export default { createLimiter, getProviderLimits, withProvider };
@@ -0,0 +1,335 @@
+/**
+ * PII Redaction
+ *
+ * Voice notes are casual: they mention family members, addresses, phone
+ * numbers and employers. Phase 1 runs every result through here before any
+ * later phase sees it, so the response, captions, frontmatter transcript
+ * and checkpoints only ever hold the masked text. (A long recording's raw
+ * chunk transcripts are dropped from the checkpoint once Phase 1 is saved,
+ * see checkpoints.js.)
+ *
+ * 1. Rule-based detectors find emails, phone numbers, street addresses,
+ *    card and bank account numbers, IP addresses, and names and employers
+ *    introduced in common phrases ("my wife Sarah", "I work at Acme")
+ * 2. Optionally (PII_LLM_CHECK=true) Gemini reads the transcript and lists
+ *    anything the rules missed
+ * 3. Every finding is masked in the transcript, prompt, context, title,
+ *    summary, excerpt and timed segments ("call me on [phone number]")
+ * 4. Each finding is located in the timed segments, and Phase 3 bleeps
+ *    those time ranges in the published user audio
+ *
+ * Findings have a risk level. A post with a high-risk finding (contact
+ * details, account numbers), or one that could not be placed in the audio,
+ * is held: Phase 5 writes it as a draft and does not auto-commit it, so a
+ * person can check the text and the bleeps before it goes live.
+ *
+ * Results keep only the type and risk of each finding, never its text.
+ */
+
+import { GEMINI_MODEL, generateWithUsage } from './gemini.js';
+import { toGeminiSchema } from './schemas.js';
+
+export const RISK = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+};
+
+// How each finding type is masked in text, and how risky it is to publish
+const TYPES = {
+  email: { label: 'email address', risk: RISK.HIGH },
+  phone: { label: 'phone number', risk: RISK.HIGH },
+  address: { label: 'address', risk: RISK.HIGH },
+  card: { label: 'card number', risk: RISK.HIGH },
+  iban: { label: 'bank account', risk: RISK.HIGH },
+  id: { label: 'ID number', risk: RISK.HIGH },
+  ip: { label: 'IP address', risk: RISK.MEDIUM },
+  name: { label: 'name', risk: RISK.MEDIUM },
+  employer: { label: 'employer', risk: RISK.MEDIUM },
+};
+
+// Text fields of a Phase 1 result that are masked
+const TEXT_FIELDS = ['transcript', 'prompt', 'context', 'title', 'prompt_summary', 'excerpt'];
+
+// Seconds of audio bleeped either side of a finding, to cover timing error
+const BLEEP_PADDING = 0.3;
+
+const RELATIVES = 'wife|husband|partner|son|daughter|mother|father|mom|mum|dad|brother|sister|boss|friend|neighbou?r|colleague';
+const STREET_TYPES = 'Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Boulevard|Blvd|Court|Ct|Way|Place|Pl|Terrace|Close';
+
+// Dates have as many digits as a phone number: 2024-01-15, 15.01.2024, 1/15/2024
+const DATE_PATTERN = /(?:^|\D)(?:(?:19|20)\d\d([-./])\d{1,2}\1\d{1,2}|\d{1,2}([-./])\d{1,2}\2(?:19|20)\d\d)(?!\d)/;
+
+/**
+ * Luhn checksum, to tell card numbers from other long digit runs
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Each rule yields the matched text (or its first group) as a finding
+const RULES = [
+  { type: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  // As transcribed when read out: "jane dot doe at example dot com"
+  { type: 'email', pattern: /\b[\w-]+(?: dot [\w-]+)* at [\w-]+(?: dot [\w-]+)*(?: dot (?:com|org|net|io|co|uk|de|fr|edu|gov)\b)/gi },
+  { type: 'iban', pattern: /\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){2,7}(?:\s?[A-Z0-9]{1,3})?\b/g },
+  {
+    type: 'card',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: text => passesLuhn(text.replace(/\D/g, '')),
+  },
+  {
+    type: 'phone',
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}\b/g,
+    accept: text => {
+      const digits = text.replace(/\D/g, '').length;
+      // Years, prices and times are short; longer runs are left to the card rule
+      return digits >= 7 && digits <= 15 && !/^\d{4}$/.test(text) && !DATE_PATTERN.test(text);
+    },
+  },
+  { type: 'ip', pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g },
+  { type: 'address', pattern: new RegExp(`\\b\\d{1,5}\\s+(?:[A-Z][\\w'-]*\\s+){1,3}(?:${STREET_TYPES})\\b`, 'g') },
+  { type: 'name', pattern: new RegExp(`\\b[Mm]y (?:${RELATIVES}),? ([A-Z][a-z]+(?: [A-Z][a-z]+)?)`, 'g'), group: 1 },
+  { type: 'name', pattern: /\b[Mm]y name is ([A-Z][a-z]+(?: [A-Z][a-z]+)?)/g, group: 1 },
+  // Dots and dashes inside a name ("Booking.com", "T-Mobile"), not a full stop after it
+  { type: 'employer', pattern: /\bI work (?:at|for) ([A-Z](?:[\w&.-]*[\w&])?(?: [A-Z](?:[\w&.-]*[\w&])?){0,3})/g, group: 1 },
+];
+
+/**
+ * Find PII in text with the rule-based detectors
+ *
+ * @param {string} text
+ * @returns {Object[]} Findings: { type, text, source: 'rules' }
+ */
+export function detectPII(text) {
+  const findings = [];
+  // Digits already claimed by a more specific rule (a card number is not also a phone number)
+  const claimed = [];
+
+  for (const rule of RULES) {
+    for (const match of text.matchAll(rule.pattern)) {
+      const value = (rule.group ? match[rule.group] : match[0]).trim();
+      const start = match.index + match[0].indexOf(value);
+      const end = start + value.length;
+      if (rule.accept && !rule.accept(value)) continue;
+      if (claimed.some(range => start < range.end && end > range.start)) continue;
+
+      claimed.push({ start, end });
+      findings.push({ type: rule.type, text: value, source: 'rules' });
+    }
+  }
+
+  return findings;
+}
+
+// What the LLM check returns
+const LLM_FINDINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', description: `One of: ${Object.keys(TYPES).join(', ')}` },
+          text: { type: 'string', description: 'The exact words from the transcript' },
+        },
+        required: ['type', 'text'],
+      },
+    },
+  },
+  required: ['findings'],
+};
+
+/**
+ * Check whether the optional LLM check is enabled
+ */
+export function isLLMCheckEnabled() {
+  return process.env.PII_LLM_CHECK === 'true';
+}
+
+/**
+ * Ask Gemini for personal information the rules may have missed
+ *
+ * @param {Object} model - From genAI.getGenerativeModel()
+ * @param {string} transcript
+ * @param {Object} options
+ * @param {string} options.job - Audio file name, for the cost ledger
+ * @returns {Object} { findings, usage }
+ */
+export async function detectPIIWithLLM(model, transcript, { job }) {
+  const prompt = `The following transcript of a voice note will be published on a public blog.
+List every piece of personal information in it that identifies the speaker or other private people:
+names of private individuals (not public figures or companies in the news), home or street addresses,
+phone numbers, email addresses, the speaker's employer, account, card or ID numbers.
+
+Copy each one exactly as it appears in the transcript. Return {"findings": []} if there are none.
+
+Transcript:
+${transcript}`;
+
+  const { text, usage } = await generateWithUsage(model, {
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: { responseMimeType: 'application/json', responseSchema: toGeminiSchema(LLM_FINDINGS_SCHEMA) },
+  }, { job, phase: 1, modelName: GEMINI_MODEL });
+
+  let data;
+  try {
+    data = JSON.parse(text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+  } catch (parseError) {
+    throw new Error(`Invalid JSON from the PII check: ${parseError.message}`);
+  }
+
+  const findings = (data.findings || [])
+    .filter(finding => TYPES[finding.type] && finding.text?.trim())
+    .map(finding => ({ type: finding.type, text: finding.text.trim(), source: 'llm' }));
+
+  return { findings, usage };
+}
+
+/**
+ * Case-insensitive pattern for a literal finding, loose about whitespace
+ *
+ * Only whole words match, so the name "Al" leaves "also" and "total" alone.
+ */
+function findingPattern(text) {
+  const escaped = text.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Mask every finding in a piece of text
+ */
+function maskText(text, findings) {
+  return findings.reduce(
+    (masked, finding) => masked.replace(findingPattern(finding.text), `[${TYPES[finding.type].label}]`),
+    text
+  );
+}
+
+/**
+ * Mask findings in timed segments and work out where they are spoken
+ *
+ * The segments are joined into one string so a finding split across two
+ * segments is still found. Each occurrence is replaced by its label in the
+ * segment where it starts (and removed from the next), and placed in time
+ * by its character position within its segments. Bleeps are padded and
+ * overlapping ones merged.
+ *
+ * @returns {Object} { segments, bleeps: [{ start, end }], unplaced: findings not found in the segments }
+ */
+function redactSegments(segments, findings) {
+  const starts = [];
+  let joined = '';
+  for (const segment of segments) {
+    starts.push(joined.length);
+    joined += `${segment.text} `;
+  }
+
+  // Time at a character offset, proportionally within its segment
+  const timeAt = offset => {
+    let i = starts.length - 1;
+    while (i > 0 && starts[i] > offset) i--;
+    const segment = segments[i];
+    const length = segment.text.length || 1;
+    const within = Math.min(1, Math.max(0, (offset - starts[i]) / length));
+    return segment.start + within * (segment.end - segment.start);
+  };
+
+  // Occurrences in the joined text; longer findings were sorted first and win overlaps
+  const occurrences = [];
+  const unplaced = [];
+  for (const finding of findings) {
+    const matches = segments.length > 0 ? [...joined.matchAll(findingPattern(finding.text))] : [];
+    const found = matches
+      .map(match => ({ start: match.index, end: match.index + match[0].length, finding }))
+      .filter(range => !occurrences.some(other => range.start < other.end && range.end > other.start));
+    if (matches.length === 0) unplaced.push(finding);
+    occurrences.push(...found);
+  }
+  occurrences.sort((a, b) => a.start - b.start);
+
+  const masked = segments.map((segment, i) => {
+    const from = starts[i];
+    const to = from + segment.text.length;
+    let text = '';
+    let at = from;
+    for (const range of occurrences.filter(r => r.start < to && r.end > from)) {
+      text += joined.slice(at, Math.max(at, range.start));
+      if (range.start >= from) text += `[${TYPES[range.finding.type].label}]`;
+      at = Math.min(to, range.end);
+    }
+    text += joined.slice(at, to);
+    return { ...segment, text: text.replace(/\s{2,}/g, ' ').trim() };
+  });
+
+  const bleeps = [];
+  for (const range of occurrences) {
+    const start = Math.max(0, timeAt(range.start) - BLEEP_PADDING);
+    const end = timeAt(range.end) + BLEEP_PADDING;
+    const last = bleeps[bleeps.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      bleeps.push({ start, end });
+    }
+  }
+
+  return {
+    segments: masked,
+    bleeps: bleeps.map(range => ({ start: Math.round(range.start * 100) / 100, end: Math.round(range.end * 100) / 100 })),
+    unplaced,
+  };
+}
+
+/**
+ * Mask the findings that occur in a Phase 1 result
+ *
+ * @param {import('./schemas.js').Phase1Result} result - One post's Phase 1 result
+ * @param {Object[]} findings - From detectPII() / detectPIIWithLLM() for the whole recording
+ * @param {Object} options
+ * @param {boolean} options.llmChecked - Whether the LLM check ran
+ * @returns {import('./schemas.js').Phase1Result} Masked result with a `redaction` summary
+ */
+export function redactResult(result, findings, { llmChecked = false } = {}) {
+  // Longest first, so "Sarah Jones" is masked before "Sarah"
+  const relevant = [...findings]
+    .filter(finding => TEXT_FIELDS.some(field => result[field] && findingPattern(finding.text).test(result[field])))
+    .sort((a, b) => b.text.length - a.text.length);
+
+  const masked = { ...result };
+  for (const field of TEXT_FIELDS) {
+    if (typeof result[field] === 'string') masked[field] = maskText(result[field], relevant);
+  }
+
+  const { segments, bleeps, unplaced } = redactSegments(result.segments || [], relevant);
+  masked.segments = segments;
+
+  // Findings said aloud but not placed in the audio cannot be bleeped
+  const spokenUnplaced = unplaced.filter(finding => findingPattern(finding.text).test(result.transcript || ''));
+  const highRisk = [...new Set(relevant.filter(finding => TYPES[finding.type].risk === RISK.HIGH).map(finding => finding.type))];
+  const holdReasons = [
+    ...highRisk.map(type => `contains ${TYPES[type].label}`),
+    ...(spokenUnplaced.length > 0 ? ['some findings could not be located in the audio'] : []),
+  ];
+
+  masked.redaction = {
+    findings: relevant.map(finding => ({ type: finding.type, risk: TYPES[finding.type].risk, source: finding.source })),
+    bleeps,
+    llmChecked,
+    hold: holdReasons.length > 0,
+    holdReasons,
+  };
+
+  return masked;
+}
+
+export default { RISK, detectPII, isLLMCheckEnabled, detectPIIWithLLM, redactResult };
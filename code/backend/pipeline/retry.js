@@ -0,0 +1,202 @@
+/**
+ * Retry & Error Classification
+ *
+ * Shared retry layer for calls to external providers. Errors are sorted into
+ * three classes:
+ *
+ *   transient     - network failures, timeouts, 5xx responses, overloaded APIs
+ *   rate_limited  - 429 / quota exhausted responses
+ *   permanent     - everything else (bad keys, invalid input, 4xx, code bugs)
+ *
+ * Transient and rate-limited errors are retried with exponential backoff and
+ * full jitter. Permanent errors are thrown straight away. Whatever is thrown
+ * in the end carries `errorClass` and `attempts` so the queue can decide
+ * whether the job is worth running again.
+ */
+
+export const ERROR_CLASSES = {
+  TRANSIENT: 'transient',
+  RATE_LIMITED: 'rate_limited',
+  PERMANENT: 'permanent',
+};
+
+/**
+ * Create an error that retrying will not fix (bad configuration, invalid input)
+ */
+export function permanentError(message) {
+  const error = new Error(message);
+  error.errorClass = ERROR_CLASSES.PERMANENT;
+  return error;
+}
+
+const TRANSIENT_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+];
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  // Rate limits usually need a longer pause before the quota frees up
+  rateLimitBaseDelayMs: 5000,
+};
+
+/**
+ * Read a number from the environment
+ *
+ * @param {string} name - Variable name
+ * @param {number} fallback - Used when the variable is unset, not a number or below `min`
+ * @param {Object} [options]
+ * @param {number} [options.min] - Smallest accepted value
+ */
+export function readNumberEnv(name, fallback, { min = -Infinity } = {}) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) || value < min ? fallback : value;
+}
+
+/**
+ * Extract an HTTP status code from the various SDK error shapes
+ */
+function getStatusCode(error) {
+  const status = error.status ?? error.statusCode ?? error.response?.status ?? error.http_code ?? error.error?.http_code;
+  if (Number.isInteger(status)) {
+    return status;
+  }
+
+  // The Gemini SDK puts the status in the message, e.g. "[429 Too Many Requests]"
+  const match = /\[(\d{3})[ \]]/.exec(error.message || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Classify an error as transient, rate-limited or permanent
+ *
+ * @param {Error} error
+ * @returns {string} One of ERROR_CLASSES
+ */
+export function classifyError(error) {
+  if (!error) {
+    return ERROR_CLASSES.PERMANENT;
+  }
+  if (error.errorClass) {
+    return error.errorClass;
+  }
+
+  const status = getStatusCode(error);
+  if (status === 429) {
+    return ERROR_CLASSES.RATE_LIMITED;
+  }
+  if (status === 408 || status === 409 || (status >= 500 && status <= 599)) {
+    return ERROR_CLASSES.TRANSIENT;
+  }
+  if (status) {
+    return ERROR_CLASSES.PERMANENT;
+  }
+
+  const message = error.message || '';
+  if (/RESOURCE_EXHAUSTED|rate limit|quota/i.test(message)) {
+    return ERROR_CLASSES.RATE_LIMITED;
+  }
+
+  const code = error.code ?? error.cause?.code;
+  if (TRANSIENT_NETWORK_CODES.includes(code)) {
+    return ERROR_CLASSES.TRANSIENT;
+  }
+  // fetch() rejects with a bare TypeError when the network is unreachable
+  if (error.name === 'TypeError' && message === 'fetch failed') {
+    return ERROR_CLASSES.TRANSIENT;
+  }
+  if (/timed? ?out|overloaded|socket hang up/i.test(message)) {
+    return ERROR_CLASSES.TRANSIENT;
+  }
+
+  return ERROR_CLASSES.PERMANENT;
+}
+
+/**
+ * Read a Retry-After hint (in ms) from an error, if the provider sent one
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers ?? error.response?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+}
+
+/**
+ * Backoff delay for an attempt: exponential with full jitter
+ */
+function getBackoffDelay(attempt, errorClass, options) {
+  const base = errorClass === ERROR_CLASSES.RATE_LIMITED ? options.rateLimitBaseDelayMs : options.baseDelayMs;
+  const ceiling = Math.min(options.maxDelayMs, base * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run a function, retrying transient and rate-limited failures
+ *
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options
+ * @param {string} options.label - Name used in log messages
+ * @param {number} options.maxAttempts - Total attempts including the first (RETRY_MAX_ATTEMPTS)
+ * @param {number} options.baseDelayMs - First backoff ceiling for transient errors (RETRY_BASE_DELAY_MS)
+ * @param {number} options.maxDelayMs - Upper bound for any single delay (RETRY_MAX_DELAY_MS)
+ * @returns {Promise} Result of fn
+ */
+export async function withRetry(fn, options = {}) {
+  const settings = {
+    ...DEFAULT_RETRY_OPTIONS,
+    maxAttempts: Math.round(readNumberEnv('RETRY_MAX_ATTEMPTS', DEFAULT_RETRY_OPTIONS.maxAttempts, { min: 1 })),
+    baseDelayMs: Math.round(readNumberEnv('RETRY_BASE_DELAY_MS', DEFAULT_RETRY_OPTIONS.baseDelayMs, { min: 1 })),
+    maxDelayMs: Math.round(readNumberEnv('RETRY_MAX_DELAY_MS', DEFAULT_RETRY_OPTIONS.maxDelayMs, { min: 1 })),
+    ...options,
+  };
+  const label = settings.label || 'request';
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const errorClass = classifyError(error);
+
+      if (errorClass === ERROR_CLASSES.PERMANENT || attempt >= settings.maxAttempts) {
+        error.errorClass = errorClass;
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = Math.min(
+        settings.maxDelayMs,
+        getRetryAfterMs(error) ?? getBackoffDelay(attempt, errorClass, settings)
+      );
+      console.warn(
+        `${label} failed (${errorClass}, attempt ${attempt}/${settings.maxAttempts}): ${error.message}. ` +
+        `Retrying in ${(delay / 1000).toFixed(1)}s...`
+      );
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Wrap an error with a phase-level message, keeping its classification
+ *
+ * @param {string} message - e.g. 'Phase 1 transcription failed'
+ * @param {Error} error - Underlying error
+ * @returns {Error} New error with `cause`, `errorClass` and `attempts`
+ */
+export function wrapPhaseError(message, error) {
+  const wrapped = new Error(`${message}: ${error.message}`, { cause: error });
+  wrapped.errorClass = classifyError(error);
+  wrapped.attempts = error.attempts ?? 1;
+  return wrapped;
+}
+
+export default { ERROR_CLASSES, permanentError, readNumberEnv, classifyError, withRetry, wrapPhaseError };
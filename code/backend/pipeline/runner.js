@@ -0,0 +1,361 @@
+/**
+ * Pipeline Runner
+ *
+ * Single orchestrator for the voice prompt pipeline, shared by the folder
+ * queue (process-queue.js) and the webhook receiver.
+ *
+ * Phases are registered as named steps that declare which context values
+ * they read (inputs) and which value they produce (output):
+ *
+ *   source ─▶ preflight ─▶ preflight (checks the recording, converts it if needed)
+ *   source, preflight ─▶ transcription ─▶ phase1 ─▶ response ─▶ phase2 ─▶ audio ─▶ phase3
+ *                                                                     └─▶ images ─▶ phase4
+ *   phase1..phase4 ─▶ publish ─▶ phase5
+ *   phase1..phase5 ─▶ translation ─▶ phase6 (companion post in a second language)
+ *
+ * Steps whose output is already present in the context (e.g. restored from a
+ * checkpoint) are skipped. Before/after hooks let callers add behaviour such
+ * as checkpointing or logging without editing the orchestrator itself.
+ *
+ * A step can fan the rest of the pipeline out: when its `split` function
+ * returns more than one part (Phase 1 finding several questions in one
+ * recording), every later step runs once per part, in a child context of
+ * its own. The children are collected in `context.parts`; each has
+ * `partIndex` and `partCount` set so hooks can tell them apart.
+ */
+
+import { runPreflight } from './preflight.js';
+import { processPhase1 } from './phase1-transcription.js';
+import { processPhase2 } from './phase2-response.js';
+import { processPhase3 } from './phase3-audio.js';
+import { processPhase4 } from './phase4-images.js';
+import { assembleAndPublish } from './phase5-publish.js';
+import { processTranslation } from './phase6-translation.js';
+import { PHASE1_RESULT_SCHEMA, assertSchema } from './schemas.js';
+
+/**
+ * Check whether a hook registered for `target` applies to a step
+ */
+function hookMatches(target, step) {
+  return target === '*' || target === step.name;
+}
+
+/**
+ * Log heading for a step, e.g. "Phase 2: AI Response Generation [part 1/3]"
+ */
+function describeStep(step, context) {
+  const prefix = step.phase !== undefined ? `Phase ${step.phase}` : `Step ${step.name}`;
+  const part = context.partCount ? ` [part ${context.partIndex + 1}/${context.partCount}]` : '';
+  return `${prefix}: ${step.label || step.name}${part}`;
+}
+
+/**
+ * Create an empty pipeline
+ *
+ * @returns {Object} Pipeline with register/before/after/run methods
+ */
+export function createPipeline() {
+  const steps = [];
+  const hooks = { before: [], after: [] };
+
+  /**
+   * Register a step
+   *
+   * @param {Object} step
+   * @param {string} step.name - Unique step name
+   * @param {number} [step.phase] - Phase number used in logs and error reports
+   * @param {string} [step.label] - Human readable label for logs
+   * @param {string[]} step.inputs - Context keys the step reads
+   * @param {string} step.output - Context key the step writes
+   * @param {Object} [step.inputSchemas] - Schemas (see schemas.js) inputs must match, by context key
+   * @param {Function} step.run - async (inputs, context) => result
+   * @param {Function} [step.summarize] - (result) => object logged on completion
+   * @param {Function} [step.split] - (result) => array of per-part outputs, or null for one
+   * @param {Object} [position] - { before: 'stepName' } or { after: 'stepName' }
+   */
+  function register(step, position = {}) {
+    if (!step.name || !step.output || typeof step.run !== 'function') {
+      throw new Error('Pipeline steps need a name, an output and a run function');
+    }
+    if (steps.some(existing => existing.name === step.name)) {
+      throw new Error(`Pipeline step already registered: ${step.name}`);
+    }
+
+    const normalized = { inputs: [], ...step };
+    const anchorName = position.before || position.after;
+
+    if (!anchorName) {
+      steps.push(normalized);
+      return pipeline;
+    }
+
+    const anchorIndex = steps.findIndex(existing => existing.name === anchorName);
+    if (anchorIndex === -1) {
+      throw new Error(`Cannot position step ${step.name}: unknown step ${anchorName}`);
+    }
+
+    steps.splice(position.before ? anchorIndex : anchorIndex + 1, 0, normalized);
+    return pipeline;
+  }
+
+  /**
+   * Add a hook that runs before a step ('*' for every step)
+   *
+   * @param {string} target - Step name or '*'
+   * @param {Function} fn - async (step, context) => void
+   */
+  function before(target, fn) {
+    hooks.before.push({ target, fn });
+    return pipeline;
+  }
+
+  /**
+   * Add a hook that runs after a step ('*' for every step)
+   *
+   * @param {string} target - Step name or '*'
+   * @param {Function} fn - async (step, result, context) => void
+   */
+  function after(target, fn) {
+    hooks.after.push({ target, fn });
+    return pipeline;
+  }
+
+  /**
+   * Run the remaining steps once per part, each in its own child context
+   *
+   * Children start from the parent's values, then any results restored for
+   * that part (context.restoredParts[i]), then the part's own output.
+   */
+  async function runParts(remaining, context, step, parts, options) {
+    const { restoredParts = [], ...shared } = context;
+    context.parts = [];
+
+    for (const [i, part] of parts.entries()) {
+      console.log(`\n=== Part ${i + 1}/${parts.length} ===`);
+      const child = {
+        ...shared,
+        ...restoredParts[i],
+        [step.output]: part,
+        partIndex: i,
+        partCount: parts.length,
+      };
+      context.parts.push(child);
+      await runSteps(remaining, child, options);
+    }
+
+    return context;
+  }
+
+  /**
+   * Run a list of steps in order against a context
+   */
+  async function runSteps(list, context, options) {
+    for (const [index, step] of list.entries()) {
+      if (context[step.output] !== undefined) {
+        console.log(`\n--- ${describeStep(step, context)} (already complete, skipping) ---`);
+      } else if (options.skip?.includes(step.name)) {
+        console.log(`\n--- ${describeStep(step, context)} (skipped for this job) ---`);
+        const result = { skipped: true, reason: 'Skipped by job manifest', generatedAt: new Date().toISOString() };
+        context[step.output] = result;
+        if (options.after) await options.after(step, result, context);
+      } else {
+        await runStep(step, context, options);
+      }
+
+      const parts = step.split?.(context[step.output]);
+      if (parts && parts.length > 1) {
+        return runParts(list.slice(index + 1), context, step, parts, options);
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * Run a single step, with its hooks
+   */
+  async function runStep(step, context, options) {
+    const prefix = step.phase !== undefined ? `Phase ${step.phase}` : `Step ${step.name}`;
+
+    console.log(`\n--- ${describeStep(step, context)} ---`);
+
+    try {
+      const missing = step.inputs.filter(input => context[input] === undefined);
+      if (missing.length > 0) {
+        throw new Error(`Step ${step.name} is missing inputs: ${missing.join(', ')}`);
+      }
+
+      for (const [input, schema] of Object.entries(step.inputSchemas || {})) {
+        assertSchema(schema, context[input], `${input} (input to ${step.name})`);
+      }
+
+      const inputs = Object.fromEntries(step.inputs.map(input => [input, context[input]]));
+
+      for (const hook of hooks.before.filter(h => hookMatches(h.target, step))) {
+        await hook.fn(step, context);
+      }
+      if (options.before) await options.before(step, context);
+
+      const result = await step.run(inputs, context);
+      context[step.output] = result;
+
+      for (const hook of hooks.after.filter(h => hookMatches(h.target, step))) {
+        await hook.fn(step, result, context);
+      }
+      if (options.after) await options.after(step, result, context);
+
+      console.log(`${prefix} complete:`, step.summarize ? step.summarize(result) : step.output);
+    } catch (error) {
+      // Tag the error with where it happened so callers can report it
+      if (error.step === undefined) {
+        error.step = step.name;
+        error.phase = step.phase;
+        if (context.partCount) error.part = context.partIndex + 1;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run every registered step in order
+   *
+   * @param {Object} context - Initial context, must contain the first step's inputs
+   * @param {Object} options
+   * @param {Function} [options.before] - Per-run hook, same signature as before()
+   * @param {Function} [options.after] - Per-run hook, same signature as after()
+   * @param {string[]} [options.skip] - Names of steps to skip for this run
+   * @returns {Object} Context with every step output filled in (per part in
+   *   `context.parts` when a step split the run)
+   */
+  async function run(context, options = {}) {
+    return runSteps(steps, context, options);
+  }
+
+  const pipeline = {
+    register,
+    before,
+    after,
+    run,
+    // Read-only description of the registered steps, in run order
+    get steps() {
+      return steps.map(({ name, phase, label, inputs, output, summarize, split }) => ({
+        name, phase, label, inputs: [...inputs], output, summarize, split,
+      }));
+    },
+  };
+
+  return pipeline;
+}
+
+/**
+ * Create the standard pipeline (audio preflight, five phases and the
+ * translated companion post)
+ *
+ * The initial context must contain `source`: the audio file metadata passed
+ * to Phase 1 (audioFilePath, audioFileName, ...).
+ */
+export function createDefaultPipeline() {
+  return createPipeline()
+    .register({
+      name: 'preflight',
+      label: 'Audio Preflight',
+      inputs: ['source'],
+      output: 'preflight',
+      run: ({ source }) => runPreflight(source),
+      summarize: result => (result.skipped
+        ? { skipped: true }
+        : { format: `${result.format}/${result.codec}`, duration: result.duration, converted: result.converted }),
+    })
+    .register({
+      name: 'transcription',
+      phase: 1,
+      label: 'Transcription & Metadata',
+      inputs: ['source', 'preflight'],
+      output: 'phase1',
+      run: ({ source, preflight }) => processPhase1({ ...source, preflight }),
+      summarize: result => ({
+        title: result.title,
+        promptLength: result.prompt.length,
+        tags: result.tags,
+        prompts: result.prompts?.length ?? 1,
+      }),
+      // One post per question found in the recording
+      split: result => result.prompts,
+    })
+    .register({
+      name: 'response',
+      phase: 2,
+      label: 'AI Response Generation',
+      inputs: ['phase1'],
+      inputSchemas: { phase1: PHASE1_RESULT_SCHEMA },
+      output: 'phase2',
+      run: ({ phase1 }) => processPhase2(phase1),
+      summarize: result => ({
+        responseLength: result.response.length,
+        provider: result.metadata?.provider,
+        generatedBy: result.metadata?.model,
+        template: result.metadata?.template,
+        related: result.related?.length ?? 0,
+        factCheckClaims: result.factCheck?.claims.length,
+        factCheckRevised: result.factCheck?.revised,
+        dialogueTurns: result.dialogue?.turns.length,
+        continuations: result.metadata?.continuations,
+        truncated: result.metadata?.truncated,
+      }),
+    })
+    .register({
+      name: 'audio',
+      phase: 3,
+      label: 'Audio Assembly',
+      inputs: ['phase1', 'phase2'],
+      inputSchemas: { phase1: PHASE1_RESULT_SCHEMA },
+      output: 'phase3',
+      run: ({ phase1, phase2 }) => processPhase3(phase1, phase2),
+      summarize: result => ({
+        userAudioUrl: result.userAudioUrl,
+        aiAudioUrl: result.aiAudioUrl,
+        dialogue: result.dialogue?.tts,
+        skipped: result.skipped || false,
+      }),
+    })
+    .register({
+      name: 'images',
+      phase: 4,
+      label: 'Banner Image Generation',
+      inputs: ['phase1', 'phase2'],
+      inputSchemas: { phase1: PHASE1_RESULT_SCHEMA },
+      output: 'phase4',
+      run: ({ phase1, phase2 }) => processPhase4(phase1, phase2),
+      summarize: result => ({
+        imageUrl: result.imageUrl,
+        isPlaceholder: result.isPlaceholder || false,
+      }),
+    })
+    .register({
+      name: 'publish',
+      phase: 5,
+      label: 'Blog Post Publishing',
+      inputs: ['phase1', 'phase2', 'phase3', 'phase4'],
+      inputSchemas: { phase1: PHASE1_RESULT_SCHEMA },
+      output: 'phase5',
+      run: ({ phase1, phase2, phase3, phase4 }) => assembleAndPublish({ phase1, phase2, phase3, phase4 }),
+      summarize: result => ({
+        filename: result.filename,
+        slug: result.slug,
+      }),
+    })
+    .register({
+      name: 'translation',
+      phase: 6,
+      label: 'Translated Companion Post',
+      inputs: ['phase1', 'phase2', 'phase3', 'phase4', 'phase5'],
+      inputSchemas: { phase1: PHASE1_RESULT_SCHEMA },
+      output: 'phase6',
+      run: ({ phase1, phase2, phase3, phase4, phase5 }) => processTranslation({ phase1, phase2, phase3, phase4, phase5 }),
+      summarize: result => (result.skipped
+        ? { skipped: true, reason: result.reason }
+        : { language: result.language, slug: result.slug, continuations: result.continuations, truncated: result.truncated }),
+    });
+}
+
+export default { createPipeline, createDefaultPipeline };
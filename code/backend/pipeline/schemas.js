@@ -0,0 +1,261 @@
+/**
+ * Phase Output Schemas
+ *
+ * Phase 1's output is defined once here, as a small JSON-Schema subset:
+ *
+ * - Gemini is given the extraction schema as its structured-output
+ *   responseSchema, so it returns JSON of the right shape in the first place
+ * - The same schema validates what comes back; errors are sent back to the
+ *   model for a bounded number of repair attempts (see phase1-transcription.js)
+ * - The runner validates the full Phase 1 result again before any later
+ *   phase reads it, which also catches stale checkpoints from older versions
+ *
+ * Supported keywords: type, properties, required, items, minItems, maxItems,
+ * minLength, maxLength, description.
+ */
+
+import { ERROR_CLASSES } from './retry.js';
+
+export const TITLE_MAX_LENGTH = 100;
+export const TAGS_MIN = 1;
+export const TAGS_MAX = 5;
+export const PROMPTS_MAX = 5;
+
+/**
+ * @typedef {Object} Phase1Prompt
+ * @property {string} prompt - The question or task for the AI
+ * @property {string} context - Background information (may be empty)
+ * @property {string} title - Blog post title
+ * @property {string} prompt_summary - 1-2 sentence summary of the prompt
+ * @property {string[]} tags - Topic tags
+ * @property {string} excerpt - One sentence preview
+ * @property {string} start_quote - First words of the recording that belong to this prompt
+ */
+
+/**
+ * One post's worth of Phase 1 output. A recording with several distinct
+ * questions has one of these per question in `prompts`; the top-level
+ * result mirrors the first.
+ *
+ * @typedef {Phase1Prompt & {
+ *   transcript: string,
+ *   originalAudioPath: string,
+ *   originalAudioFileName: string,
+ *   manifest: Object|null,
+ *   recording: { id: string, file: string, part: number, parts: number, start: number|null, end: number|null },
+ *   segments: { start: number, end: number, text: string }[],
+ *   language: string,
+ *   redaction: { findings: { type: string, risk: string, source: string }[], bleeps: { start: number, end: number }[], llmChecked: boolean, hold: boolean, holdReasons: string[] },
+ *   usage: Object[],
+ *   prompts?: Phase1Result[],
+ * }} Phase1Result
+ */
+
+// One question found in the recording
+export const PHASE1_PROMPT_SCHEMA = {
+  type: 'object',
+  properties: {
+    prompt: { type: 'string', minLength: 1, description: 'The actual question or task for the AI' },
+    context: { type: 'string', description: 'Background information or context, empty if none' },
+    title: { type: 'string', minLength: 3, maxLength: TITLE_MAX_LENGTH, description: 'Catchy blog post title' },
+    prompt_summary: { type: 'string', minLength: 1, maxLength: 500, description: 'Brief 1-2 sentence summary' },
+    tags: {
+      type: 'array',
+      items: { type: 'string', minLength: 1, maxLength: 40 },
+      minItems: TAGS_MIN,
+      maxItems: TAGS_MAX,
+      description: 'Relevant topic tags',
+    },
+    excerpt: { type: 'string', minLength: 1, maxLength: 300, description: 'One sentence preview' },
+    start_quote: {
+      type: 'string',
+      minLength: 1,
+      description: 'The first 5-10 words of the transcript where this question begins, copied exactly',
+    },
+  },
+  required: ['prompt', 'context', 'title', 'prompt_summary', 'tags', 'excerpt', 'start_quote'],
+};
+
+// What the model returns when extracting metadata from a transcript
+export const PHASE1_EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    language: {
+      type: 'string',
+      minLength: 2,
+      maxLength: 10,
+      description: 'ISO 639-1 code of the language spoken in the recording, e.g. "en" or "de"',
+    },
+    prompts: {
+      type: 'array',
+      items: PHASE1_PROMPT_SCHEMA,
+      minItems: 1,
+      maxItems: PROMPTS_MAX,
+      description: 'Each distinct, unrelated question in the recording, in the order asked',
+    },
+  },
+  required: ['language', 'prompts'],
+};
+
+// The complete Phase 1 result that later phases consume
+export const PHASE1_RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...PHASE1_PROMPT_SCHEMA.properties,
+    transcript: { type: 'string', minLength: 1 },
+    language: { type: 'string', minLength: 2 },
+    originalAudioPath: { type: 'string', minLength: 1 },
+    segments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          start: { type: 'number' },
+          end: { type: 'number' },
+          text: { type: 'string' },
+        },
+        required: ['start', 'end', 'text'],
+      },
+    },
+    // Checkpoints from before redaction have none
+    redaction: {
+      type: 'object',
+      properties: {
+        bleeps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { start: { type: 'number' }, end: { type: 'number' } },
+            required: ['start', 'end'],
+          },
+        },
+        hold: { type: 'boolean' },
+      },
+      required: ['bleeps', 'hold'],
+    },
+    recording: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        part: { type: 'integer' },
+        parts: { type: 'integer' },
+      },
+      required: ['id', 'part', 'parts'],
+    },
+  },
+  required: [...PHASE1_PROMPT_SCHEMA.required, 'transcript', 'originalAudioPath', 'recording'],
+};
+
+/**
+ * Get the JSON type name of a value
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [at] - Path used in error messages
+ * @returns {string[]} Human readable errors (empty when valid)
+ */
+export function validateSchema(schema, value, at = '$') {
+  const actual = typeOf(value);
+  const typeMatches = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+  if (!typeMatches) {
+    return [`${at} should be ${schema.type}, got ${actual}`];
+  }
+
+  const errors = [];
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(propertySchema, value[key], `${at}.${key}`));
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at} should have at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${at} should have at most ${schema.maxItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${at}[${i}]`)));
+    }
+  }
+
+  if (schema.type === 'string') {
+    const length = value.trim().length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${at} should not be empty` : `${at} should be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push(`${at} should be at most ${schema.maxLength} characters, got ${length}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Throw a permanent error if a phase result does not match its schema
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} label - What is being checked, for the error message
+ */
+export function assertSchema(schema, value, label) {
+  const errors = validateSchema(schema, value);
+  if (errors.length > 0) {
+    const error = new Error(`${label} does not match its schema: ${errors.join('; ')}`);
+    error.errorClass = ERROR_CLASSES.PERMANENT;
+    error.validationErrors = errors;
+    throw error;
+  }
+  return value;
+}
+
+/**
+ * Convert a schema to Gemini's responseSchema format
+ *
+ * Gemini accepts an OpenAPI subset: string length limits are dropped here
+ * and enforced by validateSchema() instead.
+ */
+export function toGeminiSchema(schema) {
+  const { minLength, maxLength, ...rest } = schema;
+  const converted = { ...rest };
+
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+
+  return converted;
+}
+
+export default {
+  TITLE_MAX_LENGTH,
+  TAGS_MIN,
+  TAGS_MAX,
+  PROMPTS_MAX,
+  PHASE1_PROMPT_SCHEMA,
+  PHASE1_EXTRACTION_SCHEMA,
+  PHASE1_RESULT_SCHEMA,
+  validateSchema,
+  assertSchema,
+  toGeminiSchema,
+};
@@ -0,0 +1,247 @@
+/**
+ * Tag Vocabulary
+ *
+ * Keeps post tags from drifting into near-duplicates ("AI", "ai",
+ * "Artificial Intelligence", "LLMs"). The vocabulary maps each canonical tag
+ * to the other spellings that should become it:
+ *
+ *   {
+ *     "AI": ["Artificial Intelligence", "LLMs", "Large Language Models"],
+ *     "Smart Home": ["Home Automation"]
+ *   }
+ *
+ * It lives in code/backend/tag-vocabulary.json (or TAG_VOCABULARY_PATH).
+ * Tags are compared ignoring case, accents, spaces and punctuation, so
+ * "ai" and "A.I." need no entry of their own. A tag the vocabulary does not
+ * know takes the spelling most used on the blog so far, or is kept as is,
+ * so new topics can still appear.
+ *
+ * Phase 1 shows Gemini the known tags and normalizes the tags it returns.
+ * `node process-queue.js retag` rewrites the tags of existing posts after
+ * the vocabulary changes.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse as parseYaml } from 'yaml';
+import { permanentError } from './retry.js';
+import { getFrontendPath } from './paths.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Most tags listed in the Phase 1 prompt, most used first
+const MAX_KNOWN_TAGS = 150;
+
+/**
+ * Get the vocabulary file path
+ */
+export function getVocabularyPath() {
+  return process.env.TAG_VOCABULARY_PATH || path.join(__dirname, '../tag-vocabulary.json');
+}
+
+/**
+ * Comparison key for a tag ("A.I." -> "ai", "Home-Assistant" -> "homeassistant")
+ */
+export function tagKey(tag) {
+  return tag
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Create a vocabulary error (never worth retrying)
+ */
+function vocabularyError(message) {
+  return permanentError(`Invalid tag vocabulary ${getVocabularyPath()}: ${message}`);
+}
+
+/**
+ * Load the tag vocabulary
+ *
+ * @returns {Object} Canonical tag -> synonyms; empty if there is no vocabulary file
+ */
+export async function loadVocabulary() {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(getVocabularyPath(), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw vocabularyError(error.message);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw vocabularyError('expected an object of canonical tags');
+  }
+
+  // Every spelling may belong to one canonical tag only
+  const owners = new Map();
+  for (const [canonical, synonyms] of Object.entries(data)) {
+    if (!Array.isArray(synonyms) || synonyms.some(synonym => typeof synonym !== 'string' || !tagKey(synonym))) {
+      throw vocabularyError(`"${canonical}" must map to a list of tags`);
+    }
+    for (const spelling of [canonical, ...synonyms]) {
+      const owner = owners.get(tagKey(spelling));
+      if (owner && owner !== canonical) {
+        throw vocabularyError(`"${spelling}" is listed under both "${owner}" and "${canonical}"`);
+      }
+      owners.set(tagKey(spelling), canonical);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Split a markdown file into its frontmatter and the rest
+ *
+ * @returns {Object|null} { frontmatter, start, end } (offsets of the frontmatter text), or null if there is none
+ */
+export function findFrontmatter(content) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/.exec(content);
+  if (!match) return null;
+  const start = match[0].indexOf(match[1]);
+  return { frontmatter: match[1], start, end: start + match[1].length };
+}
+
+/**
+ * Read the tags of every blog post
+ *
+ * @param {string} [contentDir] - Defaults to the frontend's src/content/blog
+ * @returns {Object[]} { filePath, tags } per post that has a tags list
+ */
+export async function readPostTags(contentDir = getFrontendPath('src/content/blog')) {
+  let files;
+  try {
+    files = await fs.readdir(contentDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const posts = [];
+  for (const file of files.filter(name => /\.mdx?$/.test(name)).sort()) {
+    const filePath = path.join(contentDir, file);
+    const found = findFrontmatter(await fs.readFile(filePath, 'utf-8'));
+    if (!found) continue;
+
+    try {
+      const { tags } = parseYaml(found.frontmatter) || {};
+      if (Array.isArray(tags)) {
+        posts.push({ filePath, tags: tags.map(String) });
+      }
+    } catch (error) {
+      console.warn(`Skipping ${file}: unreadable frontmatter (${error.message})`);
+    }
+  }
+
+  return posts;
+}
+
+/**
+ * Build a tag normalizer from the vocabulary and the tags already in use
+ *
+ * @param {Object} vocabulary - Canonical tag -> synonyms (see loadVocabulary)
+ * @param {Object[]} posts - { tags } per existing post (see readPostTags)
+ * @returns {Object} { normalize(tags) -> tags, knownTags }
+ */
+export function createTagNormalizer(vocabulary, posts = []) {
+  const counts = new Map();
+  for (const tag of posts.flatMap(post => post.tags)) {
+    counts.set(tag.trim(), (counts.get(tag.trim()) || 0) + 1);
+  }
+
+  // Unknown tags take their most used spelling; the vocabulary overrides that
+  const spellings = new Map();
+  for (const [tag] of [...counts].sort(([, a], [, b]) => b - a)) {
+    if (!spellings.has(tagKey(tag))) spellings.set(tagKey(tag), tag);
+  }
+  for (const [canonical, synonyms] of Object.entries(vocabulary)) {
+    for (const spelling of [canonical, ...synonyms]) {
+      spellings.set(tagKey(spelling), canonical);
+    }
+  }
+
+  /**
+   * Map tags to their canonical spelling, dropping duplicates
+   */
+  function normalize(tags) {
+    const seen = new Set();
+    const normalized = [];
+    for (const tag of tags.map(t => t.trim()).filter(t => tagKey(t))) {
+      const canonical = spellings.get(tagKey(tag)) || tag;
+      if (!seen.has(tagKey(canonical))) {
+        seen.add(tagKey(canonical));
+        normalized.push(canonical);
+      }
+    }
+    return normalized;
+  }
+
+  // Canonical tags with their total use, vocabulary entries included even if unused
+  const usage = new Map(Object.keys(vocabulary).map(tag => [tag, 0]));
+  for (const [tag, count] of counts) {
+    const canonical = normalize([tag])[0];
+    if (canonical) usage.set(canonical, (usage.get(canonical) || 0) + count);
+  }
+  const knownTags = [...usage]
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .slice(0, MAX_KNOWN_TAGS)
+    .map(([tag]) => tag);
+
+  return { normalize, knownTags };
+}
+
+/**
+ * Load the vocabulary and the blog's current tags into a normalizer
+ */
+export async function loadTagNormalizer() {
+  const [vocabulary, posts] = await Promise.all([loadVocabulary(), readPostTags()]);
+  return createTagNormalizer(vocabulary, posts);
+}
+
+/**
+ * Rewrite the tags of existing posts against the vocabulary
+ *
+ * Only the tags entry of each post's frontmatter is replaced; the rest of
+ * the file is left byte for byte.
+ *
+ * @param {Object} options
+ * @param {boolean} [options.write] - Save the changes (otherwise only report them)
+ * @returns {Object[]} { filePath, before, after } for every post whose tags change
+ */
+export async function retagPosts({ write = false } = {}) {
+  const posts = await readPostTags();
+  const { normalize } = createTagNormalizer(await loadVocabulary(), posts);
+  const changes = [];
+
+  for (const post of posts) {
+    const after = normalize(post.tags);
+    if (JSON.stringify(after) === JSON.stringify(post.tags)) continue;
+    changes.push({ filePath: post.filePath, before: post.tags, after });
+
+    if (write) {
+      const content = await fs.readFile(post.filePath, 'utf-8');
+      const { frontmatter, start, end } = findFrontmatter(content);
+      // A flow list on one line, or a block list on the lines below
+      const updated = frontmatter.replace(/^tags:[^\n]*(?:\n[ \t]*-[^\n]*)*/m, `tags: ${JSON.stringify(after)}`);
+      await fs.writeFile(post.filePath, content.slice(0, start) + updated + content.slice(end), 'utf-8');
+    }
+  }
+
+  return changes;
+}
+
+export default {
+  getVocabularyPath,
+  tagKey,
+  findFrontmatter,
+  loadVocabulary,
+  readPostTags,
+  createTagNormalizer,
+  loadTagNormalizer,
+  retagPosts,
+};
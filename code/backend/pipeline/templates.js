@@ -0,0 +1,296 @@
+/**
+ * Prompt Templates
+ *
+ * The wording sent to the models lives in versioned files under
+ * code/backend/templates (or PROMPT_TEMPLATES_DIR), one directory per kind:
+ *
+ *   transcription/  Phase 1, Gemini transcription
+ *   extraction/     Phase 1, prompt/context/metadata extraction
+ *   response/       Phase 2 system prompt
+ *   claims/         Phase 2 fact-check, listing the answer's claims
+ *   critique/       Phase 2 fact-check, reviewing them (see fact-check.js)
+ *   revision/       Phase 2 fact-check, correcting the answer
+ *   dialogue/       Phase 2 two-host script (see dialogue.js)
+ *   tts/            Phase 3 reading instructions ("dialogue" reads a script
+ *                   with Gemini's multi-speaker voices)
+ *   image/          Phase 4 banner prompt
+ *
+ * A file is named <id>.v<version>.md and holds YAML frontmatter followed by
+ * the prompt text:
+ *
+ *   ---
+ *   description: Technical deep-dive
+ *   match:
+ *     tags: [Home Assistant, Networking]
+ *   variables:
+ *     language: Language to answer in
+ *   ---
+ *   You are ... Write your entire response in {{language}}.
+ *
+ * {{name}} inserts a variable. {{#name}}...{{/name}} is kept only when the
+ * variable is set (non-empty, true or non-zero) and {{^name}}...{{/name}}
+ * only when it is not. Every variable a template uses must be listed under
+ * `variables`, and the code must supply all of them, so a typo fails loudly
+ * instead of leaving a placeholder in a prompt.
+ *
+ * New wording goes in a new version file; the old one stays, so older posts
+ * can be reproduced and a manifest can pin it ("template": "technical@1").
+ * The latest version is used otherwise.
+ *
+ * Phase 2 picks the response template: the manifest's "template" if set,
+ * otherwise the one whose `match.tags` share the most tags with the post,
+ * otherwise "default". The other kinds use the template with the same id
+ * when there is one, and their "default" when there is not. Every phase
+ * records the id and version it used, and Phase 5 writes them to the post's
+ * frontmatter.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parse as parseYaml } from 'yaml';
+import { permanentError } from './retry.js';
+import { tagKey } from './tags.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TEMPLATE_KINDS = ['transcription', 'extraction', 'response', 'claims', 'critique', 'revision', 'dialogue', 'tts', 'image'];
+
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+const FILE_PATTERN = /^([a-z0-9][a-z0-9-]*)\.v(\d+)\.md$/;
+const SECTION_PATTERN = /{{([#^])(\w+)}}([\s\S]*?){{\/\2}}/g;
+const PLACEHOLDER_PATTERN = /{{[#^/]?(\w+)}}/g;
+const VARIABLE_PATTERN = /{{(\w+)}}/g;
+
+/**
+ * Get the templates directory
+ */
+export function getTemplatesDir() {
+  return process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, '../templates');
+}
+
+/**
+ * Create a template error (never worth retrying)
+ */
+function templateError(message) {
+  return permanentError(message);
+}
+
+/**
+ * Parse one template file
+ *
+ * @returns {Object} { kind, id, version, description, match, variables, body, file }
+ */
+function parseTemplate(kind, file, content) {
+  const [, id, version] = FILE_PATTERN.exec(file);
+  const invalid = message => templateError(`Invalid prompt template ${kind}/${file}: ${message}`);
+
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/.exec(content);
+  if (!match) throw invalid('expected YAML frontmatter between --- lines');
+
+  let meta;
+  try {
+    meta = parseYaml(match[1]) || {};
+  } catch (error) {
+    throw invalid(error.message);
+  }
+
+  const body = match[2].trim();
+  if (!body) throw invalid('the prompt text is empty');
+
+  const variables = meta.variables || {};
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw invalid('"variables" must map each variable name to a description');
+  }
+  const matchTags = meta.match?.tags || [];
+  if (!Array.isArray(matchTags) || matchTags.some(tag => typeof tag !== 'string')) {
+    throw invalid('"match.tags" must be a list of tags');
+  }
+
+  const undeclared = [...new Set([...body.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]))]
+    .filter(name => !(name in variables));
+  if (undeclared.length > 0) {
+    throw invalid(`undeclared variable(s) ${undeclared.join(', ')}`);
+  }
+
+  return {
+    kind,
+    id,
+    version: parseInt(version, 10),
+    description: meta.description || '',
+    match: { tags: matchTags },
+    variables,
+    body,
+    file: path.join(kind, file),
+  };
+}
+
+/**
+ * Load every template of one kind
+ *
+ * Files are read on every call, so edited wording is picked up by the next
+ * job without restarting the queue.
+ *
+ * @param {string} kind - One of TEMPLATE_KINDS
+ * @returns {Object[]} All versions of all templates, latest version of each id first
+ */
+export async function loadTemplates(kind) {
+  if (!TEMPLATE_KINDS.includes(kind)) {
+    throw templateError(`Unknown prompt template kind "${kind}" (available: ${TEMPLATE_KINDS.join(', ')})`);
+  }
+
+  const dir = path.join(getTemplatesDir(), kind);
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const templates = [];
+  for (const file of files.filter(name => FILE_PATTERN.test(name))) {
+    templates.push(parseTemplate(kind, file, await fs.readFile(path.join(dir, file), 'utf-8')));
+  }
+
+  return templates.sort((a, b) => a.id.localeCompare(b.id) || b.version - a.version);
+}
+
+/**
+ * Split a template reference ("technical", "technical@2") into id and version
+ */
+export function parseTemplateRef(ref) {
+  const [id, version] = String(ref).split('@');
+  return { id, version: version === undefined ? null : parseInt(version.replace(/^v/, ''), 10) };
+}
+
+/**
+ * Format a template as "id@version" for logs and frontmatter
+ */
+export function formatTemplateRef({ id, version }) {
+  return `${id}@${version}`;
+}
+
+/**
+ * Get a template by reference
+ *
+ * @param {string} kind - One of TEMPLATE_KINDS
+ * @param {string} [ref] - "id" for its latest version or "id@version" (default: "default")
+ * @param {Object} [options]
+ * @param {boolean} [options.fallback] - Use the kind's default template when there is no template with this id
+ * @returns {Object} The template (see parseTemplate)
+ */
+export async function getTemplate(kind, ref = DEFAULT_TEMPLATE_ID, { fallback = false } = {}) {
+  const templates = await loadTemplates(kind);
+  const { id, version } = parseTemplateRef(ref);
+
+  const versions = templates.filter(template => template.id === id);
+  if (versions.length === 0 && fallback && id !== DEFAULT_TEMPLATE_ID) {
+    return getTemplate(kind, DEFAULT_TEMPLATE_ID);
+  }
+
+  const template = version === null ? versions[0] : versions.find(candidate => candidate.version === version);
+  if (!template) {
+    const available = [...new Set(templates.map(candidate => candidate.id))];
+    throw templateError(
+      `Unknown ${kind} prompt template "${ref}" in ${getTemplatesDir()}` +
+      (available.length > 0 ? ` (available: ${available.join(', ')})` : '')
+    );
+  }
+
+  return template;
+}
+
+/**
+ * Get the template of another kind that goes with a chosen template: the
+ * one with the same id (latest version), or the kind's default
+ *
+ * @param {string} kind - One of TEMPLATE_KINDS
+ * @param {string|Object} [ref] - Id, "id@version" or { id, version } of the chosen template
+ */
+export async function getCompanionTemplate(kind, ref) {
+  const id = ref?.id || parseTemplateRef(ref || DEFAULT_TEMPLATE_ID).id;
+  return getTemplate(kind, id, { fallback: true });
+}
+
+/**
+ * Pick the template for a post
+ *
+ * @param {string} kind - One of TEMPLATE_KINDS
+ * @param {Object} [options]
+ * @param {Object} [options.manifest] - Job manifest; its "template" wins
+ * @param {string[]} [options.tags] - Post tags, matched against each template's match.tags
+ * @returns {Object} The template (see parseTemplate)
+ */
+export async function selectTemplate(kind, { manifest, tags = [] } = {}) {
+  if (manifest?.template) {
+    return getTemplate(kind, manifest.template);
+  }
+
+  const postTags = new Set(tags.map(tagKey));
+  const latest = (await loadTemplates(kind)).filter((template, i, all) => all.findIndex(t => t.id === template.id) === i);
+
+  let best = null;
+  let bestScore = 0;
+  for (const template of latest) {
+    const score = template.match.tags.filter(tag => postTags.has(tagKey(tag))).length;
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  }
+
+  return best || getTemplate(kind, DEFAULT_TEMPLATE_ID);
+}
+
+/**
+ * Whether a section's variable counts as set
+ */
+function isSet(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Fill in a template's variables
+ *
+ * @param {Object} template - From getTemplate() or selectTemplate()
+ * @param {Object} values - A value for every variable the template declares
+ * @returns {string} The prompt text
+ */
+export function renderTemplate(template, values = {}) {
+  const missing = Object.keys(template.variables).filter(name => values[name] === undefined);
+  if (missing.length > 0) {
+    throw templateError(`Prompt template ${template.file} needs variable(s) ${missing.join(', ')}`);
+  }
+
+  // Sections may contain other sections, so resolve until none are left
+  let text = template.body;
+  for (let previous = null; previous !== text;) {
+    previous = text;
+    text = text.replace(SECTION_PATTERN, (match, type, name, content) => (
+      isSet(values[name]) === (type === '#') ? content : ''
+    ));
+  }
+
+  // One pass, so values that contain braces are never expanded
+  return text.replace(VARIABLE_PATTERN, (match, name) => {
+    const value = values[name];
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+export default {
+  TEMPLATE_KINDS,
+  DEFAULT_TEMPLATE_ID,
+  getTemplatesDir,
+  loadTemplates,
+  parseTemplateRef,
+  formatTemplateRef,
+  getTemplate,
+  getCompanionTemplate,
+  selectTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,269 @@
+/**
+ * Transcription Backends
+ *
+ * Phase 1 turns the recording into plain text with one of these backends,
+ * then extracts the prompt, context, title and tags from that text.
+ *
+ *   gemini          Gemini audio understanding (default). Long recordings are
+ *                   split at silences and sent chunk by chunk.
+ *   whisper-cpp     Local whisper.cpp CLI - audio never leaves the machine.
+ *                   WHISPER_CPP_BIN (whisper-cli), WHISPER_CPP_MODEL (path to a ggml model)
+ *   faster-whisper  Local faster-whisper via the whisper-ctranslate2 CLI.
+ *                   FASTER_WHISPER_BIN (whisper-ctranslate2), FASTER_WHISPER_MODEL (small)
+ *
+ * The backend is chosen per job with the manifest's "transcriber" field, or
+ * for everything with TRANSCRIPTION_BACKEND.
+ *
+ * Every backend implements:
+ *   transcribe({ audioFilePath, audioFileName, mimeType }) => { text, segments, model, usage, chunks }
+ *
+ * `segments` are timed pieces of the transcript ({ start, end, text } in
+ * seconds, see captions.js). Gemini is asked to timestamp its transcript;
+ * the whisper backends report segment times themselves. Its instructions
+ * come from the "transcription" prompt template (see templates.js), which
+ * the result names as `template`.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { permanentError } from './retry.js';
+import { GEMINI_MODEL, getGeminiClient, generateWithUsage } from './gemini.js';
+import { TRANSCRIPT_CHUNKS_KEY, loadCheckpoint, saveCheckpoint, getCheckpointResult } from './checkpoints.js';
+import { shouldChunk, chunkAudio, mergeTranscripts } from './audio-chunks.js';
+import { parseTimestampedText, stripTimestamps } from './captions.js';
+import { getCompanionTemplate, renderTemplate } from './templates.js';
+
+const execFileAsync = promisify(execFile);
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMP_DIR = path.join(__dirname, '../temp-uploads');
+
+const DEFAULT_BACKEND = 'gemini';
+
+/**
+ * Transcribe a long recording with Gemini, chunk by chunk
+ *
+ * Finished chunk transcripts are kept in the job checkpoint until Phase 1
+ * completes, so a retry only re-sends the chunks that have not been
+ * transcribed yet.
+ */
+async function transcribeInChunks(model, template, { audioFilePath, audioFileName, checkpointPath = audioFilePath }, duration) {
+  const chunkDir = path.join(TEMP_DIR, `${path.parse(audioFilePath).name}-chunks-${Date.now()}`);
+  const chunks = await chunkAudio(audioFilePath, chunkDir, duration);
+  const plan = JSON.stringify(chunks.map(({ start, end }) => [start, end]));
+
+  const saved = getCheckpointResult(await loadCheckpoint(checkpointPath), TRANSCRIPT_CHUNKS_KEY);
+  const cached = saved?.plan === plan ? saved.texts : [];
+
+  const texts = [];
+  const usage = [];
+
+  try {
+    for (const chunk of chunks) {
+      if (cached[chunk.index] !== undefined) {
+        console.log(`Chunk ${chunk.index + 1}/${chunks.length}: reusing saved transcript`);
+        texts.push(cached[chunk.index]);
+        continue;
+      }
+
+      console.log(`Transcribing chunk ${chunk.index + 1}/${chunks.length} (${chunk.start.toFixed(1)}s - ${chunk.end.toFixed(1)}s)`);
+
+      const previousTail = texts.length > 0 ? stripTimestamps(texts[texts.length - 1]).split(/\s+/).slice(-30).join(' ') : '';
+      const audioBase64 = (await fs.readFile(chunk.path)).toString('base64');
+      const { text, usage: chunkUsage } = await generateWithUsage(model, [
+        { inlineData: { mimeType: 'audio/mpeg', data: audioBase64 } },
+        { text: renderTemplate(template, { part: chunk.index + 1, of: chunks.length, previousTail }) },
+      ], { job: audioFileName, phase: 1 });
+
+      usage.push(chunkUsage);
+      texts.push(text.trim());
+
+      await saveCheckpoint(checkpointPath, TRANSCRIPT_CHUNKS_KEY, { plan, texts });
+    }
+  } finally {
+    await fs.rm(chunkDir, { recursive: true, force: true });
+  }
+
+  const text = mergeTranscripts(chunks.map((chunk, i) => ({ text: stripTimestamps(texts[i]), hardCut: chunk.hardCut })));
+
+  // Chunk timestamps are relative to the chunk; a hard cut's overlap is trimmed
+  const segments = [];
+  chunks.forEach((chunk, i) => {
+    for (const segment of parseTimestampedText(texts[i], { offset: chunk.start, duration: chunk.end - chunk.start })) {
+      const previousEnd = segments[segments.length - 1]?.end ?? 0;
+      if (segment.end <= previousEnd) continue;
+      segments.push({ ...segment, start: Math.max(segment.start, previousEnd) });
+    }
+  });
+
+  return { text, segments, usage, chunks: chunks.length };
+}
+
+/**
+ * Gemini backend
+ */
+async function transcribeWithGemini({ audioFilePath, audioFileName, mimeType, checkpointPath, manifest }) {
+  const genAI = getGeminiClient({ audioFileName, kind: 'transcription' });
+  const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
+  const template = await getCompanionTemplate('transcription', manifest?.template);
+  const templateRef = { id: template.id, version: template.version };
+
+  // Without ffprobe the length is unknown; fall back to a single request
+  const sizing = await shouldChunk(audioFilePath).catch(error => {
+    console.warn(`Could not measure ${path.basename(audioFilePath)}, sending it in one request: ${error.message}`);
+    return { chunk: false, duration: null };
+  });
+
+  if (sizing.chunk) {
+    console.log(`Long recording (${sizing.reason}) - transcribing in chunks`);
+    const chunked = await transcribeInChunks(model, template, { audioFilePath, audioFileName, checkpointPath }, sizing.duration);
+    return { ...chunked, model: GEMINI_MODEL, duration: sizing.duration, template: templateRef };
+  }
+
+  const audioBase64 = (await fs.readFile(audioFilePath)).toString('base64');
+  const { text, usage } = await generateWithUsage(model, [
+    { inlineData: { mimeType, data: audioBase64 } },
+    { text: renderTemplate(template, { part: 0, of: 1, previousTail: '' }) },
+  ], { job: audioFileName, phase: 1 });
+
+  return {
+    text: stripTimestamps(text),
+    segments: parseTimestampedText(text, { duration: sizing.duration }),
+    usage: [usage],
+    chunks: 1,
+    model: GEMINI_MODEL,
+    duration: sizing.duration,
+    template: templateRef,
+  };
+}
+
+/**
+ * Run a local CLI, turning "not installed" into a clear permanent error
+ */
+async function runLocalTool(bin, args, installHint) {
+  try {
+    return await execFileAsync(bin, args, { maxBuffer: 50 * 1024 * 1024 });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw permanentError(`${bin} not found. ${installHint}`);
+    }
+    throw permanentError(`${bin} failed: ${error.stderr?.trim() || error.message}`);
+  }
+}
+
+/**
+ * Build the transcript and segments from a local tool's segment list
+ *
+ * @param {Object[]} rawSegments - [{ start, end, text }] in seconds
+ */
+function fromSegments(rawSegments) {
+  const segments = rawSegments
+    .map(segment => ({ start: segment.start, end: segment.end, text: segment.text.trim() }))
+    .filter(segment => segment.text);
+  return { text: segments.map(segment => segment.text).join(' '), segments };
+}
+
+/**
+ * whisper.cpp backend (needs 16 kHz mono WAV input)
+ */
+async function transcribeWithWhisperCpp({ audioFilePath }) {
+  const bin = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+  const modelPath = process.env.WHISPER_CPP_MODEL;
+  if (!modelPath) {
+    throw permanentError('WHISPER_CPP_MODEL is not set (path to a ggml model, e.g. models/ggml-base.en.bin)');
+  }
+
+  const base = path.join(TEMP_DIR, `whisper-${Date.now()}`);
+  const wavPath = `${base}.wav`;
+
+  try {
+    await runLocalTool('ffmpeg', ['-y', '-loglevel', 'error', '-i', audioFilePath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath],
+      'Install ffmpeg to convert recordings for whisper.cpp.');
+    await runLocalTool(bin, ['-m', modelPath, '-f', wavPath, '-l', 'auto', '-np', '-oj', '-of', base],
+      'Build whisper.cpp and set WHISPER_CPP_BIN to the whisper-cli binary.');
+
+    // whisper.cpp reports segment offsets in milliseconds
+    const output = JSON.parse(await fs.readFile(`${base}.json`, 'utf-8'));
+    const transcript = fromSegments((output.transcription || []).map(segment => ({
+      start: segment.offsets.from / 1000,
+      end: segment.offsets.to / 1000,
+      text: segment.text,
+    })));
+    return { ...transcript, usage: [], chunks: 1, model: `whisper.cpp:${path.basename(modelPath)}` };
+  } finally {
+    await fs.unlink(wavPath).catch(() => {});
+    await fs.unlink(`${base}.json`).catch(() => {});
+  }
+}
+
+/**
+ * faster-whisper backend (whisper-ctranslate2 CLI)
+ */
+async function transcribeWithFasterWhisper({ audioFilePath }) {
+  const bin = process.env.FASTER_WHISPER_BIN || 'whisper-ctranslate2';
+  const modelName = process.env.FASTER_WHISPER_MODEL || 'small';
+  const outputDir = path.join(TEMP_DIR, `faster-whisper-${Date.now()}`);
+
+  try {
+    await fs.mkdir(outputDir, { recursive: true });
+    await runLocalTool(bin, [audioFilePath, '--model', modelName, '--output_format', 'json', '--output_dir', outputDir],
+      'Install it with `pip install whisper-ctranslate2` or set FASTER_WHISPER_BIN.');
+
+    const jsonPath = path.join(outputDir, `${path.parse(audioFilePath).name}.json`);
+    const output = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+    return { ...fromSegments(output.segments || []), usage: [], chunks: 1, model: `faster-whisper:${modelName}` };
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+}
+
+export const TRANSCRIPTION_BACKENDS = {
+  gemini: transcribeWithGemini,
+  'whisper-cpp': transcribeWithWhisperCpp,
+  'faster-whisper': transcribeWithFasterWhisper,
+};
+
+/**
+ * Resolve which backend a job uses
+ *
+ * @param {Object} [manifest] - Job manifest ("transcriber" field)
+ * @returns {string} Backend name
+ */
+export function getTranscriptionBackend(manifest) {
+  const name = manifest?.transcriber || process.env.TRANSCRIPTION_BACKEND || DEFAULT_BACKEND;
+  if (!TRANSCRIPTION_BACKENDS[name]) {
+    throw permanentError(`Unknown transcription backend "${name}" (available: ${Object.keys(TRANSCRIPTION_BACKENDS).join(', ')})`);
+  }
+  return name;
+}
+
+/**
+ * Transcribe a recording to plain text
+ *
+ * @param {Object} source
+ * @param {string} source.audioFilePath
+ * @param {string} source.audioFileName
+ * @param {string} source.mimeType
+ * @param {string} [source.checkpointPath] - Audio file whose checkpoint keeps chunk progress
+ *   (defaults to audioFilePath; differs when transcribing a converted copy)
+ * @param {Object} [source.manifest] - Job manifest, may select the backend and prompt template
+ * @returns {Object} { text, segments, backend, model, usage, chunks, template } (no template for the whisper backends)
+ */
+export async function transcribe(source) {
+  const backend = getTranscriptionBackend(source.manifest);
+  console.log(`Transcribing with ${backend}`);
+
+  const result = await TRANSCRIPTION_BACKENDS[backend](source);
+  if (!result.text) {
+    throw new Error(`${backend} returned an empty transcript`);
+  }
+
+  return { ...result, backend };
+}
+
+export default { TRANSCRIPTION_BACKENDS, getTranscriptionBackend, transcribe };
@@ -0,0 +1,76 @@
+/**
+ * Chunk planning
+ *
+ * Where long recordings are cut before they are transcribed piece by piece.
+ * Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getChunkSettings, parseSilences, planChunks } from '../pipeline/audio-chunks.js';
+
+const settings = { targetSeconds: 300, maxSeconds: 420 };
+const bounds = chunks => chunks.map(({ start, end, hardCut }) => [start, end, hardCut]);
+
+test('keeps a recording within the hard limit in one chunk', () => {
+  assert.deepEqual(bounds(planChunks(400, [], settings)), [[0, 400, false]]);
+});
+
+test('cuts in the middle of the silence closest to the preferred length', () => {
+  const silences = [{ start: 200, end: 202 }, { start: 290, end: 292 }, { start: 410, end: 412 }];
+  assert.deepEqual(bounds(planChunks(700, silences, settings)), [
+    [0, 291, false],
+    [291, 700, false],
+  ]);
+});
+
+test('ignores silences too early or too late to cut at', () => {
+  // 100 is under half the preferred length, 430 is past the hard limit
+  const silences = [{ start: 99, end: 101 }, { start: 429, end: 431 }];
+  assert.deepEqual(bounds(planChunks(500, silences, settings)), [
+    [0, 420, true],
+    [418, 500, false],
+  ]);
+});
+
+test('overlaps hard cuts so the words around them appear twice', () => {
+  assert.deepEqual(bounds(planChunks(900, [], settings)), [
+    [0, 420, true],
+    [418, 838, true],
+    [836, 900, false],
+  ]);
+});
+
+test('always moves past a hard cut, however short the chunks', () => {
+  const chunks = planChunks(10, [], { targetSeconds: 1, maxSeconds: 1 });
+  assert.equal(chunks[chunks.length - 1].end, 10);
+  chunks.slice(1).forEach((chunk, i) => assert.ok(chunk.start > chunks[i].start));
+});
+
+test('falls back to consistent settings', (t) => {
+  t.after(() => {
+    delete process.env.PHASE1_CHUNK_SECONDS;
+    delete process.env.PHASE1_CHUNK_MAX_SECONDS;
+  });
+
+  // A hard limit no longer than the overlap would never get anywhere
+  process.env.PHASE1_CHUNK_MAX_SECONDS = '2';
+  assert.equal(getChunkSettings().maxSeconds, 420);
+
+  process.env.PHASE1_CHUNK_MAX_SECONDS = '60';
+  process.env.PHASE1_CHUNK_SECONDS = '90';
+  assert.deepEqual(getChunkSettings(), { thresholdSeconds: 600, targetSeconds: 60, maxSeconds: 60 });
+});
+
+test('reads silences from silencedetect output', () => {
+  const stderr = [
+    '[silencedetect @ 0x1] silence_start: -0.02',
+    '[silencedetect @ 0x1] silence_end: 1.5 | silence_duration: 1.52',
+    'size=N/A time=00:00:10.00 bitrate=N/A',
+    '[silencedetect @ 0x1] silence_start: 8.25',
+  ].join('\n');
+
+  assert.deepEqual(parseSilences(stderr), [{ start: 0, end: 1.5 }]);
+  // A silence still open at the end closes with the recording
+  assert.deepEqual(parseSilences(stderr, { duration: 10 }), [{ start: 0, end: 1.5 }, { start: 8.25, end: 10 }]);
+});
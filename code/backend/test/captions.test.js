@@ -0,0 +1,72 @@
+/**
+ * Transcript segments and captions
+ *
+ * Timed transcripts as the models write them, and the caption files made
+ * from them. Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimestampedText, sliceSegments, stripTimestamps, toSRT, toWebVTT } from '../pipeline/captions.js';
+
+test('reads timestamped lines into segments that end where the next begins', () => {
+  const text = '[00:00] So I have been wondering\n[00:04] about cameras.\nAnd lenses.\n[01:02.5] Thanks!';
+  assert.deepEqual(parseTimestampedText(text, { duration: 70 }), [
+    { start: 0, end: 4, text: 'So I have been wondering' },
+    { start: 4, end: 62.5, text: 'about cameras. And lenses.' },
+    { start: 62.5, end: 70, text: 'Thanks!' },
+  ]);
+  assert.equal(stripTimestamps(text), 'So I have been wondering about cameras. And lenses. Thanks!');
+});
+
+test('shifts chunk timestamps by the chunk start', () => {
+  assert.deepEqual(parseTimestampedText('[00:00] One\n[00:02] Two', { offset: 300, duration: 5 }), [
+    { start: 300, end: 302, text: 'One' },
+    { start: 302, end: 305, text: 'Two' },
+  ]);
+});
+
+test('keeps segments inside the recording', () => {
+  // The model timestamped past the end of a 6.356s recording
+  assert.deepEqual(parseTimestampedText('[00:00] One\n[00:04] Two\n[00:08] Three', { duration: 6.356 }), [
+    { start: 0, end: 4, text: 'One' },
+    { start: 4, end: 6.356, text: 'Two' },
+  ]);
+
+  // Out of order: no segment may end before it starts
+  const segments = parseTimestampedText('[00:03] One\n[00:01] Two\n[00:02] Three', { offset: 10, duration: 5 });
+  assert.deepEqual(segments, [
+    { start: 11, end: 12, text: 'Two' },
+    { start: 12, end: 15, text: 'Three' },
+  ]);
+});
+
+test('keeps the last segment without a duration', () => {
+  assert.deepEqual(parseTimestampedText('[00:00] One\n[00:04] Two'), [
+    { start: 0, end: 4, text: 'One' },
+    { start: 4, end: 4, text: 'Two' },
+  ]);
+  assert.deepEqual(parseTimestampedText('No timestamps here'), []);
+});
+
+test('slices segments to a part of the recording, starting at zero', () => {
+  const segments = [
+    { start: 0, end: 4, text: 'One' },
+    { start: 4, end: 9, text: 'Two' },
+    { start: 9, end: 12, text: 'Three' },
+  ];
+
+  assert.deepEqual(sliceSegments(segments, 5, 10), [
+    { start: 0, end: 4, text: 'Two' },
+    { start: 4, end: 5, text: 'Three' },
+  ]);
+  assert.deepEqual(sliceSegments(segments, 9, null), [{ start: 0, end: 3, text: 'Three' }]);
+  // An empty or inverted range keeps nothing
+  assert.deepEqual(sliceSegments(segments, 8, 6), []);
+});
+
+test('renders WebVTT and SRT cues', () => {
+  const cues = [{ start: 0, end: 1.5, text: 'Hello' }, { start: 61.25, end: 3725.004, text: 'Bye' }];
+  assert.equal(toWebVTT(cues), 'WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nHello\n\n00:01:01.250 --> 01:02:05.004\nBye\n');
+  assert.equal(toSRT(cues), '1\n00:00:00,000 --> 00:00:01,500\nHello\n\n2\n00:01:01,250 --> 01:02:05,004\nBye\n');
+});
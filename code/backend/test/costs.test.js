@@ -0,0 +1,50 @@
+/**
+ * Cost ledger and budget
+ *
+ * Pricing provider calls, writing them to the ledger and checking the
+ * month's spend. Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { checkBudget, getMonthlySpend, priceUsage, recordUsage, totalCost } from '../pipeline/costs.js';
+
+test('prices tokens per million and images per image', () => {
+  assert.equal(totalCost([{ costUsd: priceUsage({ model: 'gpt-4o-mini', inputTokens: 1_000_000, outputTokens: 500_000 }) }]), 0.45);
+  assert.equal(priceUsage({ model: 'stability:stable-diffusion-xl-1024-v1-0', images: 2 }), 0.02);
+  assert.equal(priceUsage({ model: 'unknown-model', inputTokens: 100 }), null);
+});
+
+test('totals usage entries to the micro-dollar', () => {
+  assert.equal(totalCost([{ costUsd: 0.1 }, { costUsd: 0.2 }, null, {}]), 0.3);
+  assert.equal(totalCost(), 0);
+});
+
+test('records usage in the ledger and stops at the monthly budget', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'costs-test-'));
+  t.after(async () => {
+    delete process.env.COST_LEDGER_PATH;
+    delete process.env.MONTHLY_BUDGET_USD;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+  process.env.COST_LEDGER_PATH = path.join(dir, 'cost-ledger.jsonl');
+
+  assert.equal(await getMonthlySpend(), 0);
+
+  const entry = await recordUsage({ job: 'note.mp3', phase: 2, provider: 'openai', model: 'gpt-4o-mini', inputTokens: 2_000_000, outputTokens: 0 });
+  assert.equal(entry.costUsd, 0.3);
+  assert.equal(entry.job, 'note.mp3');
+
+  // Spend from another month does not count
+  await fs.appendFile(process.env.COST_LEDGER_PATH, JSON.stringify({ at: '2020-01-15T00:00:00.000Z', costUsd: 50 }) + '\n');
+  assert.equal(await getMonthlySpend(), 0.3);
+  assert.equal(await getMonthlySpend(new Date('2020-01-31')), 50);
+
+  process.env.MONTHLY_BUDGET_USD = '1';
+  assert.equal((await checkBudget()).exceeded, false);
+  process.env.MONTHLY_BUDGET_USD = '0.25';
+  assert.equal((await checkBudget()).exceeded, true);
+});
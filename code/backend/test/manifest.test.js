@@ -0,0 +1,77 @@
+/**
+ * Job manifests
+ *
+ * What a sidecar manifest may contain, and how its values are cleaned up.
+ * Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getManifestPaths, normalizeManifest } from '../pipeline/manifest.js';
+
+const MANIFEST_PATH = '/queue/incoming/note.json';
+const normalize = data => normalizeManifest(data, MANIFEST_PATH);
+const rejects = (data, message) => assert.throws(
+  () => normalize(data),
+  error => error.errorClass === 'permanent' && error.message.startsWith('Invalid manifest note.json:') && message.test(error.message)
+);
+
+test('normalizes every known field', () => {
+  assert.deepEqual(normalize({
+    title: '  Why Do Cats Knock Things Over?  ',
+    tags: [' cats ', 'behaviour'],
+    skip: ['phase4', 'images', 'translation'],
+    language: 'DE',
+    translateTo: 'en',
+    split: false,
+    llm: { provider: ' openai ', temperature: 0.7, maxTokens: 2048 },
+    factCheck: { mode: 'notes' },
+    dialogue: { hosts: ['Alex ', 'Sam'] },
+    publishAt: '2025-12-01',
+  }), {
+    title: 'Why Do Cats Knock Things Over?',
+    tags: ['cats', 'behaviour'],
+    skip: ['images', 'translation'],
+    language: 'de',
+    translateTo: 'en',
+    split: false,
+    llm: { provider: 'openai', temperature: 0.7, maxTokens: 2048 },
+    factCheck: { mode: 'notes' },
+    dialogue: { hosts: ['Alex', 'Sam'] },
+    publishAt: '2025-12-01T00:00:00.000Z',
+  });
+});
+
+test('accepts switches and YAML dates', () => {
+  assert.deepEqual(normalize({ factCheck: false, dialogue: true, skip: 'audio' }), { factCheck: false, dialogue: true, skip: ['audio'] });
+  assert.deepEqual(normalize({ publishAt: new Date('2025-12-01T09:30:00Z') }), { publishAt: '2025-12-01T09:30:00.000Z' });
+});
+
+test('ignores unknown fields with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(normalize({ title: 'Cats', colour: 'blue' }), { title: 'Cats' });
+  assert.match(warn.mock.calls[0].arguments[0], /colour/);
+});
+
+test('rejects invalid values', () => {
+  rejects(['title'], /expected an object/);
+  rejects({ title: '  ' }, /"title" must be a non-empty string/);
+  rejects({ tags: 'cats' }, /"tags" must be a list of strings/);
+  rejects({ skip: ['publish'] }, /cannot skip publish/);
+  rejects({ language: 'klingon' }, /"language" must be a language code/);
+  rejects({ split: 'no' }, /"split" must be true or false/);
+  rejects({ llm: { temperature: 3 } }, /"llm.temperature" must be a number from 0 to 2/);
+  rejects({ llm: { maxTokens: 1.5 } }, /"llm.maxTokens" must be a positive whole number/);
+  rejects({ llm: { seed: 1 } }, /unknown "llm" fields: seed/);
+  rejects({ factCheck: 'yes' }, /"factCheck" must be true, false or an object/);
+  rejects({ dialogue: { hosts: ['Alex'] } }, /"dialogue.hosts" must be a list of two names/);
+  rejects({ publishAt: 'next Tuesday' }, /"publishAt" is not a valid date/);
+});
+
+test('looks for the manifest next to the audio', () => {
+  assert.deepEqual(getManifestPaths('/queue/incoming/note.mp3'), [
+    '/queue/incoming/note.json',
+    '/queue/incoming/note.yaml',
+    '/queue/incoming/note.yml',
+  ]);
+});
@@ -0,0 +1,93 @@
+/**
+ * Post index
+ *
+ * Which earlier posts count as related to a new question, ranked with BM25
+ * over a throwaway content directory. Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadPostIndex, searchPosts, tokenize } from '../pipeline/post-index.js';
+
+/**
+ * Markdown for a post, with the frontmatter fields the index reads
+ */
+function post({ title, tags, lang = 'en', pubDate = '2025-01-01', draft = false, translationKey, response }) {
+  const frontmatter = [
+    `title: "${title}"`,
+    `tags: [${tags.join(', ')}]`,
+    `lang: ${lang}`,
+    `pubDate: ${pubDate}`,
+    draft ? 'draft: true' : null,
+    translationKey ? `translationKey: ${translationKey}` : null,
+  ].filter(Boolean).join('\n');
+  return `---\n${frontmatter}\n---\n\n## Response\n\n${response}\n`;
+}
+
+const POSTS = {
+  'cats.md': post({ title: 'Why Do Cats Knock Things Over?', tags: ['cats', 'behaviour'], response: 'Cats push objects off tables to test them.' }),
+  'cat-food.md': post({ title: 'Choosing Cat Food', tags: ['cats', 'nutrition'], response: 'Read the label for protein content.' }),
+  'lenses.md': post({ title: 'Picking a Camera Lens', tags: ['photography'], response: 'Prime lenses are sharp and bright.' }),
+  'katzen.md': post({ title: 'Warum werfen Katzen Dinge um?', tags: ['cats'], lang: 'de', response: 'Cats in German.' }),
+  'draft.md': post({ title: 'Cats Draft', tags: ['cats'], draft: true, response: 'Cats cats cats.' }),
+  'later.md': post({ title: 'Cats Next Year', tags: ['cats'], pubDate: '2099-01-01', response: 'Cats cats cats.' }),
+  'sibling.md': post({ title: 'Cats Sibling', tags: ['cats'], translationKey: 'rec-abc-2', response: 'Cats cats cats.' }),
+};
+
+async function createIndex(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'post-index-test-'));
+  t.after(async () => {
+    delete process.env.POST_INDEX_PATH;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const contentDir = path.join(dir, 'blog');
+  await fs.mkdir(contentDir);
+  for (const [file, content] of Object.entries(POSTS)) {
+    await fs.writeFile(path.join(contentDir, file), content);
+  }
+  process.env.POST_INDEX_PATH = path.join(dir, 'post-index.json');
+
+  return loadPostIndex(contentDir);
+}
+
+test('turns text into index terms', () => {
+  assert.deepEqual(tokenize("My cat's Cameras, the café and glass"), ['cat', 'camera', 'cafe', 'glass']);
+});
+
+test('ranks the posts on the same topic first', async (t) => {
+  const index = await createIndex(t);
+  const results = searchPosts(index, 'Why does my cat knock cups off the table?', { language: 'en', recordingId: 'rec-abc' });
+
+  assert.deepEqual(results.map(result => result.slug), ['cats', 'cat-food']);
+  assert.ok(results[0].score > results[1].score);
+  assert.equal(results[0].title, 'Why Do Cats Knock Things Over?');
+  assert.equal(results[0].excerpt, 'Cats push objects off tables to test them.');
+});
+
+test('returns only posts a reader can open, in the question\'s language', async (t) => {
+  const index = await createIndex(t);
+  const slugs = options => searchPosts(index, 'cats', { limit: 10, ...options }).map(result => result.slug).sort();
+
+  // No drafts, nothing scheduled for later, no other questions from the same recording
+  assert.deepEqual(slugs({ language: 'en', recordingId: 'rec-abc' }), ['cat-food', 'cats']);
+  assert.deepEqual(slugs({ language: 'de' }), ['katzen']);
+  assert.deepEqual(slugs({ language: 'en', now: new Date('2100-01-01') }), ['cat-food', 'cats', 'later', 'sibling']);
+  assert.deepEqual(searchPosts(index, 'cats', { language: 'en', minScore: 100 }), []);
+  assert.deepEqual(searchPosts(index, 'submarines', { language: 'en' }), []);
+});
+
+test('brings the saved index up to date', async (t) => {
+  const index = await createIndex(t);
+  const contentDir = index.contentDir;
+
+  await fs.rm(path.join(contentDir, 'lenses.md'));
+  await fs.writeFile(path.join(contentDir, 'tripods.md'), post({ title: 'Travel Tripods', tags: ['photography'], response: 'Carbon fibre is light.' }));
+
+  const updated = await loadPostIndex(contentDir);
+  assert.equal(updated.posts['lenses.md'], undefined);
+  assert.deepEqual(searchPosts(updated, 'photography tripod').map(result => result.slug), ['tripods']);
+});
@@ -0,0 +1,68 @@
+/**
+ * Provider limiters
+ *
+ * How many calls run at once against each provider, and how far apart they
+ * start. Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLimiter, getProviderLimits } from '../pipeline/providers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('never runs more tasks at once than allowed', async () => {
+  const schedule = createLimiter({ concurrency: 2 });
+  let active = 0;
+  let peak = 0;
+
+  const results = await Promise.all([1, 2, 3, 4, 5].map(n => schedule(async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(10);
+    active--;
+    return n * 10;
+  })));
+
+  assert.deepEqual(results, [10, 20, 30, 40, 50]);
+  assert.equal(peak, 2);
+});
+
+test('spaces out task starts', async () => {
+  const schedule = createLimiter({ concurrency: 3, minIntervalMs: 30 });
+  const starts = [];
+
+  await Promise.all([1, 2, 3].map(() => schedule(async () => starts.push(Date.now()))));
+
+  // Timers may fire a millisecond early
+  assert.ok(starts[1] - starts[0] >= 29, `${starts[1] - starts[0]}ms apart`);
+  assert.ok(starts[2] - starts[1] >= 29, `${starts[2] - starts[1]}ms apart`);
+});
+
+test('passes failures through and keeps going', async () => {
+  const schedule = createLimiter({ concurrency: 1 });
+  const failed = schedule(async () => { throw new Error('Provider down'); });
+  const next = schedule(async () => 'ok');
+
+  await assert.rejects(failed, /Provider down/);
+  assert.equal(await next, 'ok');
+});
+
+test('reads provider limits from the environment', (t) => {
+  t.after(() => {
+    delete process.env.GEMINI_CONCURRENCY;
+    delete process.env.GEMINI_MIN_INTERVAL_MS;
+  });
+
+  assert.deepEqual(getProviderLimits('images'), { concurrency: 1, minIntervalMs: 2000 });
+
+  process.env.GEMINI_CONCURRENCY = '4';
+  process.env.GEMINI_MIN_INTERVAL_MS = '0';
+  assert.deepEqual(getProviderLimits('gemini'), { concurrency: 4, minIntervalMs: 0 });
+
+  // A limiter that runs nothing would hang every job
+  process.env.GEMINI_CONCURRENCY = '0';
+  assert.equal(getProviderLimits('gemini').concurrency, 2);
+
+  assert.throws(() => getProviderLimits('carrier-pigeon'), /Unknown provider: carrier-pigeon/);
+});
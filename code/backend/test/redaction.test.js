@@ -0,0 +1,48 @@
+/**
+ * PII detector fixtures
+ *
+ * Sentences the rule-based detectors and the masking must get right.
+ * Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPII, redactResult } from '../pipeline/redaction.js';
+
+const found = text => detectPII(text).map(({ type, text: value }) => `${type}: ${value}`);
+
+test('finds contact details, accounts and introduced names', () => {
+  assert.deepEqual(found('Call me on 555-123-4567 or +49 30 1234 5678.'), [
+    'phone: 555-123-4567',
+    'phone: +49 30 1234 5678',
+  ]);
+  assert.deepEqual(found('Write to jane.doe@example.com or jane dot doe at example dot com.'), [
+    'email: jane.doe@example.com',
+    'email: jane dot doe at example dot com',
+  ]);
+  assert.deepEqual(found('My card is 4111 1111 1111 1111.'), ['card: 4111 1111 1111 1111']);
+  assert.deepEqual(found('The router is at 192.168.1.20.'), ['ip: 192.168.1.20']);
+  assert.deepEqual(found('We live at 42 Baker Street.'), ['address: 42 Baker Street']);
+  assert.deepEqual(found('My wife Sarah and I work at Acme Labs.'), ['name: Sarah', 'employer: Acme Labs']);
+});
+
+test('does not take dates, years or prices for phone numbers', () => {
+  assert.deepEqual(found('On 2024-01-15 I upgraded to version 2.4.1 for $1,299.'), []);
+  assert.deepEqual(found('It shipped 15.01.2024, or 1/15/2024 in the US, at 10:30.'), []);
+  assert.deepEqual(found('Back in 1998 it cost 2000 dollars.'), []);
+});
+
+test('masks whole words only', () => {
+  const transcript = 'My friend Al said I should also ask about Alpine Linux, and Al agreed on the total.';
+  const result = redactResult({
+    transcript,
+    title: 'Al on Alpine Linux',
+    segments: [{ start: 0, end: 6, text: transcript }],
+  }, detectPII(transcript));
+
+  assert.equal(result.transcript, 'My friend [name] said I should also ask about Alpine Linux, and [name] agreed on the total.');
+  assert.equal(result.title, '[name] on Alpine Linux');
+  assert.equal(result.segments[0].text, result.transcript);
+  assert.equal(result.redaction.bleeps.length, 2);
+  assert.equal(result.redaction.hold, false);
+});
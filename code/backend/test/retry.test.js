@@ -0,0 +1,94 @@
+/**
+ * Error classification and retries
+ *
+ * Which provider failures are worth another attempt, and how often.
+ * Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ERROR_CLASSES, classifyError, permanentError, readNumberEnv, withRetry, wrapPhaseError } from '../pipeline/retry.js';
+
+const { TRANSIENT, RATE_LIMITED, PERMANENT } = ERROR_CLASSES;
+
+const withStatus = (status, message = 'Request failed') => Object.assign(new Error(message), { status });
+const withCode = code => Object.assign(new Error('Network error'), { code });
+
+test('classifies HTTP status codes', () => {
+  assert.equal(classifyError(withStatus(429)), RATE_LIMITED);
+  assert.equal(classifyError(withStatus(503)), TRANSIENT);
+  assert.equal(classifyError(withStatus(408)), TRANSIENT);
+  assert.equal(classifyError(withStatus(400)), PERMANENT);
+  assert.equal(classifyError(withStatus(401)), PERMANENT);
+  // The status decides, whatever the message says
+  assert.equal(classifyError(withStatus(400, 'quota exceeded')), PERMANENT);
+});
+
+test('finds the status in the other SDK error shapes', () => {
+  assert.equal(classifyError(Object.assign(new Error('x'), { response: { status: 502 } })), TRANSIENT);
+  assert.equal(classifyError(Object.assign(new Error('x'), { error: { http_code: 429 } })), RATE_LIMITED);
+  assert.equal(classifyError(new Error('[GoogleGenerativeAI Error]: [429 Too Many Requests] Resource exhausted')), RATE_LIMITED);
+  assert.equal(classifyError(new Error('[GoogleGenerativeAI Error]: [500 ] Internal error')), TRANSIENT);
+});
+
+test('classifies network failures and messages without a status', () => {
+  assert.equal(classifyError(withCode('ECONNRESET')), TRANSIENT);
+  assert.equal(classifyError(new TypeError('fetch failed', { cause: { code: 'ENOTFOUND' } })), TRANSIENT);
+  assert.equal(classifyError(new Error('RESOURCE_EXHAUSTED')), RATE_LIMITED);
+  assert.equal(classifyError(new Error('Request timed out')), TRANSIENT);
+  assert.equal(classifyError(new Error('Model is overloaded')), TRANSIENT);
+  assert.equal(classifyError(new Error('Invalid JSON in response')), PERMANENT);
+  assert.equal(classifyError(null), PERMANENT);
+});
+
+test('keeps a class set by the code that threw', () => {
+  assert.equal(classifyError(permanentError('Bad manifest')), PERMANENT);
+  assert.equal(classifyError(Object.assign(new Error('Try later'), { errorClass: TRANSIENT })), TRANSIENT);
+
+  const wrapped = wrapPhaseError('Phase 2 failed', Object.assign(withStatus(503), { attempts: 3 }));
+  assert.equal(wrapped.message, 'Phase 2 failed: Request failed');
+  assert.equal(wrapped.errorClass, TRANSIENT);
+  assert.equal(wrapped.attempts, 3);
+});
+
+test('retries transient failures until one succeeds', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let calls = 0;
+  const result = await withRetry(async (attempt) => {
+    calls++;
+    if (attempt < 3) throw withStatus(503);
+    return 'done';
+  }, { baseDelayMs: 1, maxDelayMs: 1 });
+
+  assert.equal(result, 'done');
+  assert.equal(calls, 3);
+});
+
+test('gives up on permanent failures and after the last attempt', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => { calls++; throw withStatus(400); }, { baseDelayMs: 1, maxDelayMs: 1 }),
+    error => error.errorClass === PERMANENT && error.attempts === 1
+  );
+  assert.equal(calls, 1);
+
+  await assert.rejects(
+    withRetry(async () => { throw withStatus(429); }, { maxAttempts: 2, rateLimitBaseDelayMs: 1, maxDelayMs: 1 }),
+    error => error.errorClass === RATE_LIMITED && error.attempts === 2
+  );
+});
+
+test('reads numbers from the environment', (t) => {
+  t.after(() => delete process.env.TEST_NUMBER);
+
+  assert.equal(readNumberEnv('TEST_NUMBER', 5), 5);
+  process.env.TEST_NUMBER = '2.5';
+  assert.equal(readNumberEnv('TEST_NUMBER', 5), 2.5);
+  process.env.TEST_NUMBER = 'lots';
+  assert.equal(readNumberEnv('TEST_NUMBER', 5), 5);
+  process.env.TEST_NUMBER = '0';
+  assert.equal(readNumberEnv('TEST_NUMBER', 5, { min: 1 }), 5);
+  assert.equal(readNumberEnv('TEST_NUMBER', 5, { min: 0 }), 0);
+});
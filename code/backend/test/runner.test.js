@@ -0,0 +1,122 @@
+/**
+ * Pipeline runner
+ *
+ * Step order, skipping, hooks and fanning out per question, with stand-in
+ * steps instead of the real phases. Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDefaultPipeline, createPipeline } from '../pipeline/runner.js';
+
+/**
+ * Pipeline of steps that record each run and return "<name>:<input>"
+ */
+function createTestPipeline(calls, { split } = {}) {
+  const step = (name, input) => ({
+    name,
+    inputs: [input],
+    output: name,
+    run: async (inputs, context) => {
+      calls.push(context.partCount ? `${name}#${context.partIndex + 1}` : name);
+      return `${name}:${inputs[input]}`;
+    },
+  });
+
+  return createPipeline()
+    .register(step('first', 'source'))
+    .register({ ...step('second', 'first'), split })
+    .register(step('third', 'second'));
+}
+
+test('runs steps in order, each on the one before', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const calls = [];
+  const context = await createTestPipeline(calls).run({ source: 'audio' });
+
+  assert.deepEqual(calls, ['first', 'second', 'third']);
+  assert.equal(context.third, 'third:second:first:audio');
+});
+
+test('skips finished steps and steps the job leaves out', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const calls = [];
+  const after = [];
+  const context = await createTestPipeline(calls).run(
+    { source: 'audio', first: 'restored' },
+    { skip: ['third'], after: async (step, result) => after.push([step.name, result.skipped ?? false]) }
+  );
+
+  assert.deepEqual(calls, ['second']);
+  assert.equal(context.second, 'second:restored');
+  assert.equal(context.third.skipped, true);
+  // Skips are reported too, so they are checkpointed like any result
+  assert.deepEqual(after, [['second', false], ['third', true]]);
+});
+
+test('positions steps and runs hooks around them', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const calls = [];
+  const pipeline = createTestPipeline(calls)
+    .register({ name: 'check', inputs: ['first'], output: 'check', run: async () => calls.push('check') }, { after: 'first' })
+    .before('*', async step => calls.push(`before ${step.name}`))
+    .after('third', async (step, result) => calls.push(`after ${result}`));
+
+  assert.deepEqual(pipeline.steps.map(step => step.name), ['first', 'check', 'second', 'third']);
+  assert.throws(() => pipeline.register({ name: 'first', output: 'x', run: async () => {} }), /already registered: first/);
+
+  await pipeline.run({ source: 'audio' });
+  assert.deepEqual(calls, [
+    'before first', 'first',
+    'before check', 'check',
+    'before second', 'second',
+    'before third', 'third', 'after third:second:first:audio',
+  ]);
+});
+
+test('runs the later steps once per part after a split', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const calls = [];
+  const split = result => [`${result}/a`, `${result}/b`];
+  const context = await createTestPipeline(calls, { split }).run({
+    source: 'audio',
+    // Part 2 already finished before an earlier attempt failed
+    restoredParts: [undefined, { third: 'restored' }],
+  });
+
+  assert.deepEqual(calls, ['first', 'second', 'third#1']);
+  assert.deepEqual(context.parts.map(part => [part.second, part.third, part.partIndex, part.partCount]), [
+    ['second:first:audio/a', 'third:second:first:audio/a', 0, 2],
+    ['second:first:audio/b', 'restored', 1, 2],
+  ]);
+});
+
+test('tags errors with the step and part they came from', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const split = result => [result, result];
+  const pipeline = createTestPipeline([], { split });
+  pipeline.register({
+    name: 'fourth',
+    phase: 4,
+    inputs: ['third'],
+    output: 'fourth',
+    run: async (inputs, context) => {
+      if (context.partIndex === 1) throw new Error('Image provider down');
+      return 'ok';
+    },
+  });
+
+  await assert.rejects(
+    pipeline.run({ source: 'audio' }),
+    error => error.step === 'fourth' && error.phase === 4 && error.part === 2
+  );
+  await assert.rejects(createTestPipeline([]).run({}), /Step first is missing inputs: source/);
+});
+
+test('the standard pipeline runs the preflight, then the six phases', () => {
+  const steps = createDefaultPipeline().steps;
+  assert.deepEqual(steps.map(step => step.name), ['preflight', 'transcription', 'response', 'audio', 'images', 'publish', 'translation']);
+  assert.deepEqual(steps.map(step => step.output), ['preflight', 'phase1', 'phase2', 'phase3', 'phase4', 'phase5', 'phase6']);
+  // Phase 1 fans out one post per question
+  assert.equal(steps.findIndex(step => step.split), 1);
+});
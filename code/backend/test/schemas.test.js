@@ -0,0 +1,62 @@
+/**
+ * Phase 1 schemas
+ *
+ * What counts as a valid extraction, and the errors sent back to the model
+ * when it is not. Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PHASE1_EXTRACTION_SCHEMA, assertSchema, toGeminiSchema, validateSchema } from '../pipeline/schemas.js';
+
+const prompt = {
+  prompt: 'Why do cats knock things over?',
+  context: '',
+  title: 'Why Do Cats Knock Things Over?',
+  prompt_summary: 'A question about cat behaviour.',
+  tags: ['cats'],
+  excerpt: 'Gravity, curiosity and attention.',
+  start_quote: 'So my cat keeps knocking',
+};
+
+test('accepts a valid extraction', () => {
+  assert.deepEqual(validateSchema(PHASE1_EXTRACTION_SCHEMA, { language: 'en', prompts: [prompt] }), []);
+});
+
+test('lists every problem with its path', () => {
+  const errors = validateSchema(PHASE1_EXTRACTION_SCHEMA, {
+    prompts: [
+      { ...prompt, title: 'x'.repeat(101), tags: [], excerpt: '   ' },
+      { ...prompt, start_quote: undefined, tags: 'cats' },
+    ],
+  });
+
+  assert.deepEqual(errors, [
+    '$.language is required',
+    '$.prompts[0].title should be at most 100 characters, got 101',
+    '$.prompts[0].tags should have at least 1 item(s), got 0',
+    '$.prompts[0].excerpt should not be empty',
+    '$.prompts[1].start_quote is required',
+    '$.prompts[1].tags should be array, got string',
+  ]);
+});
+
+test('throws a permanent error naming what was checked', () => {
+  assert.throws(
+    () => assertSchema(PHASE1_EXTRACTION_SCHEMA, { language: 'en', prompts: [] }, 'Phase 1 extraction'),
+    error => error.errorClass === 'permanent' &&
+      error.message === 'Phase 1 extraction does not match its schema: $.prompts should have at least 1 item(s), got 0' &&
+      error.validationErrors.length === 1
+  );
+});
+
+test('leaves string lengths out of the schema sent to Gemini', () => {
+  const converted = toGeminiSchema(PHASE1_EXTRACTION_SCHEMA);
+  const title = converted.properties.prompts.items.properties.title;
+
+  assert.equal(title.maxLength, undefined);
+  assert.equal(title.minLength, undefined);
+  assert.equal(title.type, 'string');
+  // Array limits are kept
+  assert.equal(converted.properties.prompts.maxItems, PHASE1_EXTRACTION_SCHEMA.properties.prompts.maxItems);
+});
@@ -0,0 +1,64 @@
+/**
+ * Prompt templates
+ *
+ * Filling in variables and sections, and loading the shipped template files.
+ * Run with `npm test` in code/backend.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TEMPLATE_KINDS, getCompanionTemplate, getTemplate, loadTemplates, parseTemplateRef, renderTemplate } from '../pipeline/templates.js';
+
+const template = (body, variables) => ({
+  file: 'response/test.v1.md',
+  body,
+  variables: Object.fromEntries(variables.map(name => [name, name])),
+});
+
+test('fills in variables', () => {
+  const greeting = template('Answer in {{language}} about {{topics}}.', ['language', 'topics']);
+  assert.equal(renderTemplate(greeting, { language: 'German', topics: ['cats', 'dogs'] }), 'Answer in German about cats, dogs.');
+});
+
+test('keeps sections by whether their variable is set', () => {
+  const body = '{{#context}}Context: {{context}}{{/context}}{{^context}}No context.{{/context}}';
+  const withContext = template(body, ['context']);
+  assert.equal(renderTemplate(withContext, { context: 'From last week' }), 'Context: From last week');
+  assert.equal(renderTemplate(withContext, { context: '' }), 'No context.');
+
+  // Sections nest, and zero, false and empty lists count as unset
+  const nested = template('{{#part}}Part {{part}}{{#previousTail}} after "{{previousTail}}"{{/previousTail}}.{{/part}}', ['part', 'previousTail']);
+  assert.equal(renderTemplate(nested, { part: 2, previousTail: 'and so' }), 'Part 2 after "and so".');
+  assert.equal(renderTemplate(nested, { part: 2, previousTail: '' }), 'Part 2.');
+  assert.equal(renderTemplate(nested, { part: 0, previousTail: 'and so' }), '');
+});
+
+test('never expands braces inside values', () => {
+  const echo = template('Transcript: {{transcript}}', ['transcript']);
+  assert.equal(renderTemplate(echo, { transcript: 'I typed {{language}} by accident' }), 'Transcript: I typed {{language}} by accident');
+});
+
+test('fails loudly on a missing variable', () => {
+  assert.throws(
+    () => renderTemplate(template('Answer in {{language}}.', ['language']), {}),
+    error => error.errorClass === 'permanent' && /needs variable\(s\) language/.test(error.message)
+  );
+});
+
+test('parses template references', () => {
+  assert.deepEqual(parseTemplateRef('technical'), { id: 'technical', version: null });
+  assert.deepEqual(parseTemplateRef('technical@2'), { id: 'technical', version: 2 });
+  assert.deepEqual(parseTemplateRef('technical@v3'), { id: 'technical', version: 3 });
+});
+
+test('every shipped template loads, and every kind has a default', async () => {
+  for (const kind of TEMPLATE_KINDS) {
+    const templates = await loadTemplates(kind);
+    assert.ok(templates.some(candidate => candidate.id === 'default'), `${kind} has no default template`);
+  }
+
+  assert.equal((await getTemplate('response', 'technical@1')).id, 'technical');
+  // Kinds without a "technical" template use their default
+  assert.equal((await getCompanionTemplate('image', 'technical')).id, 'default');
+  await assert.rejects(getTemplate('response', 'nonexistent'), /Unknown response prompt template "nonexistent"/);
+});
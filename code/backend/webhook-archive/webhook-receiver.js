@@ -194,45 +194,31 @@ async function processVoicePrompt(metadata) {
   console.log('Starting voice prompt processing pipeline...');
   console.log('Metadata:', metadata);
 
+  // Import the shared pipeline runner and job history
+  const { createDefaultPipeline } = await import('../pipeline/runner.js');
+  const { createJobRecord } = await import('../pipeline/history.js');
+
+  const pipeline = createDefaultPipeline();
+  const job = createJobRecord({ source: 'webhook', file: metadata.audioFileName });
+  const context = { source: metadata };
+
   try {
-    // Import pipeline modules
-    const { processPhase1 } = await import('./pipeline/phase1-transcription.js');
-    const { processPhase2 } = await import('./pipeline/phase2-response.js');
-    const { processPhase3 } = await import('./pipeline/phase3-audio.js');
-    const { processPhase4 } = await import('./pipeline/phase4-images.js');
-    const { assembleAndPublish } = await import('./pipeline/phase5-publish.js');
-
-    // Phase 1: Transcription & Metadata Extraction (Gemini)
-    console.log('Phase 1: Transcribing audio and extracting metadata...');
-    const phase1Result = await processPhase1(metadata);
-    console.log('Phase 1 complete:', phase1Result);
-
-    // Phase 2: Response Generation (Claude)
-    console.log('Phase 2: Generating AI response...');
-    const phase2Result = await processPhase2(phase1Result);
-    console.log('Phase 2 complete');
-
-    // Phase 3: Audio Assembly (TTS + Concatenation)
-    console.log('Phase 3: Assembling podcast audio...');
-    const phase3Result = await processPhase3(phase1Result, phase2Result);
-    console.log('Phase 3 complete');
-
-    // Phase 4: Banner Image Generation
-    console.log('Phase 4: Generating banner image...');
-    const phase4Result = await processPhase4(phase1Result, phase2Result);
-    console.log('Phase 4 complete');
-
-    // Phase 5: Assemble Blog Post & Publish
-    console.log('Phase 5: Assembling blog post and publishing...');
-    const publishResult = await assembleAndPublish({
-      phase1: phase1Result,
-      phase2: phase2Result,
-      phase3: phase3Result,
-      phase4: phase4Result
+    await pipeline.run(context, {
+      before: (step, stepContext) => job.before(step, stepContext),
+      after: (step, result, stepContext) => job.after(step, result, stepContext),
     });
-    console.log('Phase 5 complete');
-
-    console.log('Pipeline complete! Blog post published:', publishResult.url);
+    await job.finish({ status: 'published', context, steps: pipeline.steps });
+
+    // A recording with several questions publishes one post per question
+    for (const post of context.parts || [context]) {
+      console.log('Pipeline complete! Blog post published:', post.phase5.url);
+      if (post.phase5.held) {
+        console.warn(`Held for review as a draft: ${post.phase5.holdReasons.join(', ')}`);
+      }
+      if (post.phase6?.url) {
+        console.log('Translated companion post published:', post.phase6.url);
+      }
+    }
 
     // Clean up temporary audio file
     await fs.unlink(metadata.audioFilePath);
@@ -240,6 +226,10 @@ async function processVoicePrompt(metadata) {
 
   } catch (error) {
     console.error('Pipeline error:', error);
+    if (error.preflightReason) {
+      console.warn(`Recording rejected before transcription: ${error.preflightReason}`);
+    }
+    await job.finish({ status: 'failed', context, error, steps: pipeline.steps });
     // TODO: Implement error handling/retry logic
     // For now, just log the error
   }
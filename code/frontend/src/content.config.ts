@@ -16,10 +16,53 @@ const blog = defineCollection({
 			// Audio fields for podcast episodes
 			audioUrl: z.string().url().optional().nullable(),
 			audioDuration: z.number().optional().nullable(),
+			// Dual audio: the user's prompt and the AI response, durations as m:ss
+			userAudioUrl: z.string().optional().nullable(),
+			userAudioDuration: z.string().optional().nullable(),
+			aiAudioUrl: z.string().optional().nullable(),
+			aiAudioDuration: z.string().optional().nullable(),
+			// The AI audio is a conversation between these two podcast hosts
+			dialogueHosts: z.array(z.string()).optional(),
+			// WebVTT and SRT captions saved next to each MP3
+			userVttUrl: z.string().optional().nullable(),
+			userSrtUrl: z.string().optional().nullable(),
+			aiVttUrl: z.string().optional().nullable(),
+			aiSrtUrl: z.string().optional().nullable(),
+			transcript: z.string().optional(),
+			// Timed transcript of the user audio, in seconds
+			transcriptSegments: z
+				.array(z.object({ start: z.number(), end: z.number(), text: z.string() }))
+				.optional(),
 			// My Weird Prompts specific fields
 			prompt: z.string().optional(),
 			tags: z.array(z.string()).optional(),
 			aiGenerated: z.boolean().optional(),
+			generationCostUsd: z.number().optional(),
+			// Provider and model that wrote the response, as the provider reported it
+			responseModel: z.object({ provider: z.string(), model: z.string() }).optional(),
+			// The pipeline reviewed the response's factual claims; see its "Sources & caveats"
+			factChecked: z.boolean().optional(),
+			// Response prompt template, and the id@version of every prompt template used
+			template: z
+				.object({ id: z.string(), version: z.number(), prompts: z.record(z.string(), z.string()).optional() })
+				.optional(),
+			// Set when one recording was split into several posts, one per question
+			sourceRecording: z
+				.object({
+					id: z.string(),
+					file: z.string(),
+					part: z.number(),
+					parts: z.number(),
+					start: z.number().nullable(),
+					end: z.number().nullable(),
+				})
+				.optional(),
+			// ISO 639-1 language of the post; translations of a post share its translationKey
+			lang: z.string().default('en'),
+			translationKey: z.string().optional(),
+			translatedFrom: z.string().optional(),
+			// Held back by the pipeline's PII check until someone has reviewed it
+			draft: z.boolean().optional(),
 		}),
 });
 
@@ -3,7 +3,7 @@ import rss from '@astrojs/rss';
 import { SITE_DESCRIPTION, SITE_TITLE } from '../consts';
 
 export async function GET(context) {
-	const posts = await getCollection('blog');
+	const posts = await getCollection('blog', ({ data }) => !data.draft && data.pubDate <= new Date());
 	return rss({
 		title: SITE_TITLE,
 		description: SITE_DESCRIPTION,
@@ -8,6 +8,21 @@
  * Usage:
  *   node process-queue.js           # Process all files in queue once
  *   node process-queue.js --watch   # Watch folder and process new files automatically
+ *   node process-queue.js --resume  # Retry failed files, reusing saved phase checkpoints
+ *
+ * Queue management:
+ *   node process-queue.js status                    # File counts per directory + jobs in progress
+ *   node process-queue.js list [failed|incoming|processing|processed]
+ *   node process-queue.js retry <file> | --all      # Move failed jobs back to incoming/
+ *   node process-queue.js inspect <file> [--full]   # Saved phase outputs and error details
+ *   node process-queue.js purge --older-than 30d    # Delete old processed/failed jobs
+ *   node process-queue.js history [--since 7d] [--status published|failed|requeued] [--source queue|webhook]
+ *   node process-queue.js retag [--check]           # Rewrite post tags after a tag vocabulary change
+ *
+ * Options:
+ *   --concurrency N   Number of files processed in parallel (default: QUEUE_CONCURRENCY or 2)
+ *   --dry-run         Offline mode: local stand-ins replace every paid provider, and the
+ *                     queue and output live under audio-queue/dry-run/ (alias: --offline)
  *
  * Directory Structure:
  *   audio-queue/incoming/    - Drop MP3/audio files here
@@ -15,34 +30,89 @@
  *   audio-queue/processed/   - Successfully processed files
  *   audio-queue/failed/      - Failed processing attempts
  *
+ * Each phase result is checkpointed to <name>.checkpoint.json next to the
+ * audio file, so a resumed job only re-runs the phases that did not finish.
+ * Jobs an interrupted run left in processing/ are moved back to incoming/ on
+ * the next start, unless the process that owns them (audio-queue/queue.pid)
+ * is still running.
+ *
+ * An optional <name>.json / <name>.yaml manifest next to the audio overrides
+ * title, tags, TTS voice, prompt template or publish date, adds context, or
+ * skips phases (see code/backend/pipeline/manifest.js).
+ *
+ * Files are processed by a pool of workers. Calls to each external provider
+ * are rate limited separately (see code/backend/pipeline/providers.js), and
+ * posts are still published in queue order.
+ *
+ * Provider calls are retried with backoff. If a job still fails with a
+ * transient or rate-limited error it goes back to incoming/ (with its
+ * checkpoint) for the next run; only permanent errors end up in failed/.
+ *
+ * Provider usage is priced into a cost ledger (code/backend/pipeline/costs.js).
+ * When MONTHLY_BUDGET_USD is set and reached, no new jobs are started.
+ *
+ * Every run is appended to the job history (code/backend/pipeline/history.js)
+ * with per-phase timings, models, token counts and the outcome.
+ *
  * Workflow:
  *   1. Drop voice recording into audio-queue/incoming/
  *   2. Run this script (or it auto-detects if watching)
- *   3. Script processes through phases 1-5
+ *   3. Script processes through phases 1-5 (and 6, if a translation language is set)
  *   4. Blog post published, audio moved to processed/
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { watch } from 'fs';
+import { unlinkSync, watch } from 'fs';
 
-// Import pipeline phases
-import { processPhase1 } from './code/backend/pipeline/phase1-transcription.js';
-import { processPhase2 } from './code/backend/pipeline/phase2-response.js';
-import { processPhase3 } from './code/backend/pipeline/phase3-audio.js';
-import { processPhase4 } from './code/backend/pipeline/phase4-images.js';
-import { processPhase5 } from './code/backend/pipeline/phase5-publish.js';
+// Import the shared pipeline runner
+import { createDefaultPipeline } from './code/backend/pipeline/runner.js';
+import { classifyError, ERROR_CLASSES, readNumberEnv } from './code/backend/pipeline/retry.js';
+import {
+  getCheckpointPath,
+  loadCheckpoint,
+  saveCheckpoint,
+  getPhaseKey,
+  restoreCheckpoint,
+} from './code/backend/pipeline/checkpoints.js';
+import { getManifestPaths, loadManifest, MANIFEST_EXTENSIONS } from './code/backend/pipeline/manifest.js';
+import { createJobRecord, readHistory } from './code/backend/pipeline/history.js';
+import { checkBudget } from './code/backend/pipeline/costs.js';
+import { getVocabularyPath, retagPosts } from './code/backend/pipeline/tags.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const QUEUE_DIR = path.join(__dirname, 'audio-queue');
+// Dry runs use their own queue and output directories so they never touch real posts
+const DRY_RUN = process.argv.includes('--dry-run') || process.argv.includes('--offline');
+
+const QUEUE_DIR = DRY_RUN
+  ? path.join(__dirname, 'audio-queue', 'dry-run')
+  : path.join(__dirname, 'audio-queue');
 const INCOMING_DIR = path.join(QUEUE_DIR, 'incoming');
 const PROCESSING_DIR = path.join(QUEUE_DIR, 'processing');
 const PROCESSED_DIR = path.join(QUEUE_DIR, 'processed');
 const FAILED_DIR = path.join(QUEUE_DIR, 'failed');
 
+// Holds the pid of the queue process that owns processing/ (see acquireQueueLock)
+const LOCK_PATH = path.join(QUEUE_DIR, 'queue.pid');
+
+const pipeline = createDefaultPipeline();
+
+const DEFAULT_CONCURRENCY = 2;
+
+const AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.ogg', '.webm', '.flac'];
+
+// Watch mode tuning (milliseconds)
+const WATCH_DEBOUNCE_MS = Math.round(readNumberEnv('WATCH_DEBOUNCE_MS', 1000, { min: 1 }));
+const WATCH_STABLE_INTERVAL_MS = Math.round(readNumberEnv('WATCH_STABLE_INTERVAL_MS', 2000, { min: 1 }));
+const WATCH_STABLE_CHECKS = Math.round(readNumberEnv('WATCH_STABLE_CHECKS', 2, { min: 1 }));
+const WATCH_RETRY_DELAY_MS = Math.round(readNumberEnv('WATCH_RETRY_DELAY_MS', 5 * 60 * 1000, { min: 1 }));
+
+// Set on Ctrl+C: workers finish their current file but start no new ones
+let shutdownRequested = false;
+
 /**
  * Ensure queue directories exist
  */
@@ -54,22 +124,29 @@ async function ensureDirectories() {
 }
 
 /**
- * Get all audio files in incoming directory
+ * Get all audio files in a queue directory
  */
-async function getIncomingFiles() {
+async function getAudioFiles(dir) {
   try {
-    const files = await fs.readdir(INCOMING_DIR);
+    const files = await fs.readdir(dir);
     const audioFiles = files.filter(file => {
       const ext = path.extname(file).toLowerCase();
-      return ['.mp3', '.wav', '.m4a', '.ogg', '.webm', '.flac'].includes(ext);
+      return AUDIO_EXTENSIONS.includes(ext);
     });
     return audioFiles;
   } catch (error) {
-    console.error('Error reading incoming directory:', error);
+    console.error(`Error reading ${path.basename(dir)} directory:`, error);
     return [];
   }
 }
 
+/**
+ * Get all audio files in incoming directory
+ */
+async function getIncomingFiles() {
+  return getAudioFiles(INCOMING_DIR);
+}
+
 /**
  * Move file between queue directories
  */
@@ -79,6 +156,15 @@ async function moveFile(filename, fromDir, toDir) {
 
   try {
     await fs.rename(sourcePath, destPath);
+
+    // Keep the checkpoint and manifest next to their audio file
+    const sidecars = [getCheckpointPath(sourcePath), ...getManifestPaths(sourcePath)];
+    for (const sidecar of sidecars) {
+      await fs.rename(sidecar, path.join(toDir, path.basename(sidecar))).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+
     console.log(`Moved ${filename} from ${path.basename(fromDir)} to ${path.basename(toDir)}`);
     return destPath;
   } catch (error) {
@@ -87,17 +173,26 @@ async function moveFile(filename, fromDir, toDir) {
   }
 }
 
+/**
+ * Get the error log path for an audio file in a queue directory
+ */
+function getErrorLogPath(filename, dir) {
+  return path.join(dir, `${path.parse(filename).name}-error.log`);
+}
+
 /**
  * Save error log for failed processing
  */
-async function saveErrorLog(filename, error, phaseNumber) {
-  const logFilename = `${path.parse(filename).name}-error.log`;
-  const logPath = path.join(FAILED_DIR, logFilename);
+async function saveErrorLog(filename, error, phaseNumber, dir = FAILED_DIR) {
+  const logPath = getErrorLogPath(filename, dir);
 
   const errorLog = {
     filename,
     failedAt: new Date().toISOString(),
     phase: phaseNumber,
+    part: error.part,
+    errorClass: classifyError(error),
+    attempts: error.attempts ?? 1,
     error: {
       message: error.message,
       stack: error.stack,
@@ -110,202 +205,941 @@ async function saveErrorLog(filename, error, phaseNumber) {
 
 /**
  * Process a single audio file through the entire pipeline
+ *
+ * @param {string} filename - Audio file name
+ * @param {Object} options
+ * @param {string} options.fromDir - Queue directory the file is taken from
+ * @param {Function} options.beforePublish - Awaited before Phase 5 runs
  */
-async function processAudioFile(filename) {
+async function processAudioFile(filename, { fromDir = INCOMING_DIR, beforePublish } = {}) {
   console.log('\n' + '='.repeat(60));
   console.log(`Starting to process: ${filename}`);
   console.log('='.repeat(60) + '\n');
 
   let currentPhase = 0;
   let processingPath = null;
+  let context = {};
+  const job = createJobRecord({ source: 'queue', file: filename });
 
   try {
     // Move to processing directory
     currentPhase = 0;
-    processingPath = await moveFile(filename, INCOMING_DIR, PROCESSING_DIR);
-
-    // Phase 1: Transcription and metadata extraction
-    currentPhase = 1;
-    console.log('\n--- Phase 1: Transcription & Metadata ---');
-    const phase1Result = await processPhase1({
-      audioFilePath: processingPath,
-      audioFileName: filename,
-    });
-    console.log('Phase 1 complete:', {
-      title: phase1Result.title,
-      promptLength: phase1Result.prompt.length,
-      tags: phase1Result.tags,
-    });
+    processingPath = await moveFile(filename, fromDir, PROCESSING_DIR);
 
-    // Phase 2: Response generation
-    currentPhase = 2;
-    console.log('\n--- Phase 2: AI Response Generation ---');
-    const phase2Result = await processPhase2(phase1Result);
-    console.log('Phase 2 complete:', {
-      responseLength: phase2Result.response.length,
-      generatedBy: phase2Result.model,
-    });
+    // Any error log from an earlier attempt is superseded by this one
+    await fs.unlink(getErrorLogPath(filename, fromDir)).catch(() => {});
 
-    // Phase 3: Audio assembly
-    currentPhase = 3;
-    console.log('\n--- Phase 3: Audio Assembly ---');
-    const phase3Result = await processPhase3(phase1Result, phase2Result);
-    console.log('Phase 3 complete:', {
-      audioUrl: phase3Result.audioUrl,
-      duration: phase3Result.durationFormatted,
-      skipped: phase3Result.skipped || false,
-    });
+    const manifest = await loadManifest(processingPath);
 
-    // Phase 4: Image generation
-    currentPhase = 4;
-    console.log('\n--- Phase 4: Banner Image Generation ---');
-    const phase4Result = await processPhase4(phase1Result, phase2Result);
-    console.log('Phase 4 complete:', {
-      imageUrl: phase4Result.imageUrl,
-      skipped: phase4Result.skipped || false,
-    });
+    context = {
+      source: {
+        audioFilePath: processingPath,
+        audioFileName: filename,
+        manifest,
+      },
+    };
 
-    // Phase 5: Blog post assembly and publishing
-    currentPhase = 5;
-    console.log('\n--- Phase 5: Blog Post Publishing ---');
-    const phase5Result = await processPhase5({
-      phase1: phase1Result,
-      phase2: phase2Result,
-      phase3: phase3Result,
-      phase4: phase4Result,
-    });
-    console.log('Phase 5 complete:', {
-      filename: phase5Result.filename,
-      slug: phase5Result.slug,
+    // Restore results of phases that completed in an earlier attempt
+    const checkpoint = await loadCheckpoint(processingPath);
+    if (checkpoint) {
+      console.log(`Found checkpoint with completed phases: ${Object.keys(checkpoint.phases).join(', ')}`);
+      restoreCheckpoint(checkpoint, context);
+      if (!context.phase1) {
+        // Phase 1 deletes the preflight's converted copy even when it fails,
+        // so the (cheap) checks run again
+        delete context.preflight;
+      }
+      if (context.phase1) {
+        // The audio has moved since the checkpoint was written, and the
+        // manifest may have been edited before resuming
+        for (const phase1 of [context.phase1, ...(context.phase1.prompts || [])]) {
+          phase1.originalAudioPath = processingPath;
+          phase1.manifest = manifest;
+        }
+      }
+    }
+
+    await pipeline.run(context, {
+      before: async (step, stepContext) => {
+        if (step.name === 'publish' && beforePublish) {
+          await beforePublish();
+        }
+        currentPhase = step.phase ?? step.name;
+        job.before(step, stepContext);
+      },
+      after: async (step, result, stepContext) => {
+        job.after(step, result, stepContext);
+        await saveCheckpoint(processingPath, getPhaseKey(step.output, stepContext), result);
+      },
+      skip: manifest?.skip,
     });
 
     // Move to processed directory
     await moveFile(filename, PROCESSING_DIR, PROCESSED_DIR);
+    await job.finish({ status: 'published', context, steps: pipeline.steps });
+
+    // A recording with several questions publishes one post per question,
+    // each followed by its translated companion post if there is one
+    const posts = context.parts || [context];
+    const slugs = posts
+      .flatMap(part => [part.phase5.slug, part.phase6?.slug])
+      .filter(Boolean);
+    // Posts with high-risk personal information are written as drafts (see redaction.js)
+    const heldSlugs = posts
+      .filter(part => part.phase5.held)
+      .flatMap(part => [part.phase5.slug, part.phase6?.slug])
+      .filter(Boolean);
 
     console.log('\n' + '='.repeat(60));
     console.log(`✅ SUCCESS: ${filename} processed completely!`);
-    console.log(`Blog post: /blog/${phase5Result.slug}`);
+    for (const slug of slugs) {
+      console.log(`Blog post: /blog/${slug}${heldSlugs.includes(slug) ? '  ⚠️  held for review (draft)' : ''}`);
+    }
     console.log('='.repeat(60) + '\n');
 
     return {
       success: true,
       filename,
-      slug: phase5Result.slug,
+      slug: slugs[0],
+      slugs,
+      heldSlugs,
     };
 
   } catch (error) {
+    const errorClass = classifyError(error);
+    const requeue = errorClass !== ERROR_CLASSES.PERMANENT;
+
+    // The runner tags errors with their phase, even ones raised before a step's hooks ran
+    currentPhase = error.phase ?? error.step ?? currentPhase;
+
     console.error('\n' + '='.repeat(60));
-    console.error(`❌ FAILED: ${filename} at phase ${currentPhase}`);
+    const part = error.part ? ` (part ${error.part})` : '';
+    console.error(`❌ FAILED: ${filename} at phase ${currentPhase}${part} (${errorClass}, ${error.attempts ?? 1} attempt(s))`);
     console.error('Error:', error.message);
+    if (requeue) {
+      console.error('Returning to incoming/ to be retried on the next run');
+    }
     console.error('='.repeat(60) + '\n');
 
-    // Move to failed directory
+    // Permanent failures go to failed/, anything else back to incoming/
     if (processingPath) {
+      const targetDir = requeue ? INCOMING_DIR : FAILED_DIR;
       try {
-        await moveFile(filename, PROCESSING_DIR, FAILED_DIR);
-        await saveErrorLog(filename, error, currentPhase);
+        await moveFile(filename, PROCESSING_DIR, targetDir);
+        await saveErrorLog(filename, error, currentPhase, targetDir);
       } catch (moveError) {
         console.error('Error moving failed file:', moveError);
       }
     }
 
+    await job.finish({ status: requeue ? 'requeued' : 'failed', context, error, steps: pipeline.steps });
+
     return {
       success: false,
+      requeued: requeue,
       filename,
       phase: currentPhase,
+      errorClass,
       error: error.message,
     };
   }
 }
 
+/**
+ * Process files with a pool of concurrent workers
+ *
+ * Workers take files in order. Phase 5 of each file waits until the file
+ * before it has finished, so posts are published in queue order even when
+ * the earlier phases overlap.
+ *
+ * After a shutdown request, workers finish the file they are on but do not
+ * start new ones; unstarted files stay in their queue directory.
+ *
+ * @param {string[]} files - Audio file names
+ * @param {Object} options
+ * @param {string} options.fromDir - Queue directory the files are taken from
+ * @param {number} options.concurrency - Number of workers
+ * @returns {Object[]} Results in the same order as files (unstarted files omitted)
+ */
+async function runWorkerPool(files, { fromDir, concurrency }) {
+  const results = new Array(files.length);
+
+  // One "finished" promise per file, used to keep publishing in order
+  const finished = files.map(() => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+  });
+
+  let nextIndex = 0;
+  let budgetReached = false;
+
+  // Checked before every job so a batch stops as soon as the month's budget is spent
+  async function withinBudget() {
+    if (budgetReached) return false;
+
+    const { budget, spent, exceeded } = await checkBudget();
+    if (exceeded && !budgetReached) {
+      budgetReached = true;
+      console.warn('\n' + '!'.repeat(60));
+      console.warn(`💸 MONTHLY BUDGET REACHED: $${spent.toFixed(2)} of $${budget.toFixed(2)} spent this month`);
+      console.warn('Queue paused - no new jobs will start. Jobs already running will finish.');
+      console.warn('Remaining files stay in incoming/ until next month or MONTHLY_BUDGET_USD is raised.');
+      console.warn('!'.repeat(60) + '\n');
+    }
+    return !exceeded;
+  }
+
+  async function worker() {
+    while (nextIndex < files.length && !shutdownRequested && await withinBudget()) {
+      const index = nextIndex++;
+      const file = files[index];
+
+      try {
+        results[index] = await processAudioFile(file, {
+          fromDir,
+          beforePublish: index > 0 ? () => finished[index - 1].promise : undefined,
+        });
+      } finally {
+        finished[index].resolve();
+      }
+    }
+  }
+
+  const workerCount = Math.min(concurrency, files.length);
+  console.log(`Processing with ${workerCount} worker(s)\n`);
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+  // Files never started (shutdown or budget) have no result and never resolve their
+  // "finished" promise, but nothing waits on them once the workers are done
+  return results.filter(Boolean);
+}
+
+/**
+ * Print the summary report for a batch of results
+ */
+function printSummary(heading, results) {
+  console.log('\n' + '='.repeat(60));
+  console.log(heading);
+  console.log('='.repeat(60));
+  for (const result of results) {
+    const status = result.success
+      ? `✅ ${result.slugs.map(slug => `/blog/${slug}${result.heldSlugs?.includes(slug) ? ' (held)' : ''}`).join(', ')}`
+      : `${result.requeued ? '🔁' : '❌'} phase ${result.phase} (${result.errorClass}): ${result.error}`;
+    console.log(`${result.filename}: ${status}`);
+  }
+  console.log('-'.repeat(60));
+  console.log(`Total files: ${results.length}`);
+  console.log(`Successful: ${results.filter(r => r.success).length}`);
+  console.log(`Requeued (transient): ${results.filter(r => r.requeued).length}`);
+  console.log(`Failed: ${results.filter(r => !r.success && !r.requeued).length}`);
+  console.log('='.repeat(60) + '\n');
+}
+
 /**
  * Process all files in the incoming queue
+ *
+ * @param {Object} options
+ * @param {number} options.concurrency - Number of workers
+ * @param {string[]} options.files - Process only these files (default: everything in incoming/)
+ * @returns {Object[]} Results per file
  */
-async function processQueue() {
-  const files = await getIncomingFiles();
+async function processQueue({ concurrency = DEFAULT_CONCURRENCY, files } = {}) {
+  files = (files || await getIncomingFiles()).sort();
 
   if (files.length === 0) {
     console.log('📭 Queue is empty - no files to process');
-    return;
+    return [];
   }
 
   console.log(`\n📬 Found ${files.length} file(s) in queue`);
 
-  const results = [];
+  const results = await runWorkerPool(files, { fromDir: INCOMING_DIR, concurrency });
+
+  printSummary('QUEUE PROCESSING SUMMARY', results);
+  return results;
+}
+
+/**
+ * Check whether a process is still running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists, but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Claim the queue for this process with a pid file
+ *
+ * A pid file left behind by a process that is no longer running is taken
+ * over. The file is removed again when this process exits.
+ *
+ * @returns {number|null} null once claimed, or the pid of the queue process already running
+ */
+async function acquireQueueLock() {
+  for (;;) {
+    try {
+      await fs.writeFile(LOCK_PATH, `${process.pid}\n`, { flag: 'wx' });
+      process.on('exit', () => {
+        try {
+          unlinkSync(LOCK_PATH);
+        } catch {
+          // Already gone
+        }
+      });
+      return null;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const pid = parseInt(await fs.readFile(LOCK_PATH, 'utf-8').catch(() => ''), 10);
+    if (pid && isProcessAlive(pid)) {
+      return pid;
+    }
+
+    console.log(`Removing stale queue lock${pid ? ` (pid ${pid} is not running)` : ''}`);
+    await fs.unlink(LOCK_PATH).catch(() => {});
+  }
+}
+
+/**
+ * Move files left in processing/ by an interrupted run back to incoming/
+ *
+ * Their checkpoints move with them, so finished phases are not repeated.
+ */
+async function recoverInterrupted() {
+  const files = await getAudioFiles(PROCESSING_DIR);
 
   for (const file of files) {
-    const result = await processAudioFile(file);
-    results.push(result);
+    console.log(`♻️  Recovering interrupted job: ${file}`);
+    await moveFile(file, PROCESSING_DIR, INCOMING_DIR);
+  }
+}
+
+/**
+ * Wait until a file has finished being written
+ *
+ * The file counts as complete once its size and mtime have stayed the same
+ * for WATCH_STABLE_CHECKS consecutive polls. Slow copies (Syncthing, network
+ * shares) keep growing between polls and are simply waited out.
+ *
+ * @returns {boolean} true when stable, false if the file disappeared
+ */
+async function waitForStableFile(filePath) {
+  let previous = null;
+  let stableCount = 0;
+
+  while (stableCount < WATCH_STABLE_CHECKS) {
+    if (shutdownRequested) return false;
 
-    // Small delay between files to avoid rate limiting
-    if (files.indexOf(file) < files.length - 1) {
-      console.log('\nWaiting 5 seconds before next file...\n');
-      await new Promise(resolve => setTimeout(resolve, 5000));
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch {
+      return false;
+    }
+
+    const unchanged = previous
+      && stats.size === previous.size
+      && stats.mtimeMs === previous.mtimeMs
+      && stats.size > 0;
+    stableCount = unchanged ? stableCount + 1 : 0;
+    previous = stats;
+
+    if (stableCount < WATCH_STABLE_CHECKS) {
+      await new Promise(resolve => setTimeout(resolve, WATCH_STABLE_INTERVAL_MS));
     }
   }
 
-  // Summary
-  console.log('\n' + '='.repeat(60));
-  console.log('QUEUE PROCESSING SUMMARY');
-  console.log('='.repeat(60));
-  console.log(`Total files: ${results.length}`);
-  console.log(`Successful: ${results.filter(r => r.success).length}`);
-  console.log(`Failed: ${results.filter(r => !r.success).length}`);
-  console.log('='.repeat(60) + '\n');
+  return true;
+}
+
+/**
+ * Resume mode: retry failed files from the phase that failed
+ *
+ * Phases with a saved checkpoint are skipped, so only the failed phase and
+ * the ones after it are run again.
+ */
+async function resumeFailed({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+  const files = (await getAudioFiles(FAILED_DIR)).sort();
+
+  if (files.length === 0) {
+    console.log('📭 No failed files to resume');
+    return;
+  }
+
+  console.log(`\n🔁 Resuming ${files.length} failed file(s)`);
+
+  const results = await runWorkerPool(files, { fromDir: FAILED_DIR, concurrency });
+
+  printSummary('RESUME SUMMARY', results);
 }
 
 /**
  * Watch mode: continuously monitor incoming directory
+ *
+ * Filesystem events are debounced into a rescan of incoming/. Each audio file
+ * is only queued once it has stopped changing, and events that arrive while
+ * a batch is running trigger another scan as soon as it finishes, so no file
+ * is ever dropped. Files requeued after a transient error wait
+ * WATCH_RETRY_DELAY_MS before being picked up again.
+ *
+ * Ctrl+C lets in-flight jobs finish (a second Ctrl+C exits immediately).
  */
-async function watchQueue() {
+async function watchQueue(options) {
   console.log('👀 Watching audio-queue/incoming/ for new files...');
   console.log('Press Ctrl+C to stop\n');
 
-  let processing = false;
+  let activeRun = null;
+  let rescanRequested = false;
+  let debounceTimer = null;
+  const retryAfter = new Map();
+  const retryTimers = new Set();
 
-  const watcher = watch(INCOMING_DIR, async (eventType, filename) => {
-    if (processing) return;
-    if (!filename) return;
+  async function scan() {
+    if (shutdownRequested) return;
 
-    const ext = path.extname(filename).toLowerCase();
-    if (!['.mp3', '.wav', '.m4a', '.ogg', '.webm', '.flac'].includes(ext)) {
+    // Events during a run are remembered and handled when it finishes
+    if (activeRun) {
+      rescanRequested = true;
       return;
     }
 
-    console.log(`\n🔔 New file detected: ${filename}`);
+    activeRun = (async () => {
+      const now = Date.now();
+      const candidates = (await getIncomingFiles()).filter(file => (retryAfter.get(file) || 0) <= now);
+
+      const stable = [];
+      for (const file of candidates) {
+        if (await waitForStableFile(path.join(INCOMING_DIR, file))) {
+          stable.push(file);
+        } else if (!shutdownRequested) {
+          console.log(`File disappeared before it finished writing: ${file}`);
+        }
+      }
 
-    // Wait a moment to ensure file is fully written
-    await new Promise(resolve => setTimeout(resolve, 2000));
+      if (stable.length === 0 || shutdownRequested) return;
 
-    processing = true;
-    await processQueue();
-    processing = false;
+      console.log(`\n🔔 Ready to process: ${stable.join(', ')}`);
+      const results = await processQueue({ ...options, files: stable });
+
+      // Back off before retrying files that hit a transient error
+      for (const result of results) {
+        retryAfter.delete(result.filename);
+        if (result.requeued) {
+          retryAfter.set(result.filename, Date.now() + WATCH_RETRY_DELAY_MS);
+          const timer = setTimeout(() => {
+            retryTimers.delete(timer);
+            scan();
+          }, WATCH_RETRY_DELAY_MS);
+          retryTimers.add(timer);
+        }
+      }
+    })();
+
+    try {
+      await activeRun;
+    } catch (error) {
+      console.error('Error during queue run:', error);
+    } finally {
+      activeRun = null;
+    }
+
+    if (rescanRequested && !shutdownRequested) {
+      rescanRequested = false;
+      await scan();
+    }
+  }
+
+  function scheduleScan() {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(scan, WATCH_DEBOUNCE_MS);
+  }
+
+  const watcher = watch(INCOMING_DIR, (eventType, filename) => {
+    if (!filename) {
+      scheduleScan();
+      return;
+    }
+
+    // Manifests count too, so one arriving just after its audio is not missed
+    const ext = path.extname(filename).toLowerCase();
+    if (AUDIO_EXTENSIONS.includes(ext) || MANIFEST_EXTENSIONS.includes(ext)) {
+      scheduleScan();
+    }
   });
 
-  // Keep process alive
-  process.on('SIGINT', () => {
+  // Pick up anything that was already waiting
+  scheduleScan();
+
+  process.on('SIGINT', async () => {
+    if (shutdownRequested) {
+      console.log('\n⚠️  Forced exit - unfinished jobs will be recovered on the next run');
+      process.exit(1);
+    }
+
+    shutdownRequested = true;
     console.log('\n\n👋 Stopping watcher...');
     watcher.close();
+    clearTimeout(debounceTimer);
+    retryTimers.forEach(timer => clearTimeout(timer));
+
+    if (activeRun) {
+      console.log('Waiting for in-flight jobs to finish (Ctrl+C again to force)...');
+      await activeRun.catch(() => {});
+    }
+
+    console.log('All jobs drained. Bye!');
     process.exit(0);
   });
 }
 
+/**
+ * Queue directories by name, in pipeline order
+ */
+const QUEUE_DIRS = {
+  incoming: INCOMING_DIR,
+  processing: PROCESSING_DIR,
+  processed: PROCESSED_DIR,
+  failed: FAILED_DIR,
+};
+
+/**
+ * Read the error log for a job, if there is one
+ */
+async function readErrorLog(filename, dir) {
+  try {
+    return JSON.parse(await fs.readFile(getErrorLogPath(filename, dir), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find which queue directory holds a job
+ *
+ * Accepts the audio file name with or without extension.
+ */
+async function findJob(name) {
+  for (const [dirName, dir] of Object.entries(QUEUE_DIRS)) {
+    const files = await getAudioFiles(dir);
+    const match = files.find(file => file === name || path.parse(file).name === name);
+    if (match) {
+      return { filename: match, dirName, dir };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the saved checkpoint entries for a step output
+ *
+ * Split recordings save one entry per post (part1.phase2, part2.phase2, ...).
+ *
+ * @returns {Object[]} [{ key, part, saved }]
+ */
+function getSavedOutputs(checkpoint, output) {
+  return Object.entries(checkpoint?.phases || {})
+    .map(([key, saved]) => {
+      if (key === output) return { key, part: null, saved };
+      const match = /^part(\d+)\.(.+)$/.exec(key);
+      return match?.[2] === output ? { key, part: parseInt(match[1], 10), saved } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.part ?? 0) - (b.part ?? 0));
+}
+
+/**
+ * Describe how far a job has got, based on its checkpoint
+ */
+function describeProgress(checkpoint) {
+  const steps = pipeline.steps;
+  const parts = checkpoint?.phases?.phase1?.result?.prompts?.length || 1;
+  const isDone = step => {
+    const saved = getSavedOutputs(checkpoint, step.output);
+    return saved.length > 0 && (saved[0].part === null || saved.length >= parts);
+  };
+  const done = steps.filter(isDone);
+  const next = steps.find(step => !isDone(step));
+
+  return {
+    completed: done.map(step => step.name),
+    current: next ? `Phase ${next.phase ?? next.name}: ${next.label || next.name}` : 'finishing up',
+  };
+}
+
+/**
+ * Parse a duration such as 30d, 12h, 45m or 2w into milliseconds
+ */
+function parseDuration(value) {
+  const match = /^(\d+)\s*([smhdw])$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+  return parseInt(match[1], 10) * units[match[2]];
+}
+
+/**
+ * Shorten long strings in a phase result for display
+ */
+function truncateForDisplay(value, maxLength = 200) {
+  if (typeof value === 'string') {
+    return value.length > maxLength ? `${value.slice(0, maxLength)}… (${value.length} chars)` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => truncateForDisplay(item, maxLength));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, truncateForDisplay(item, maxLength)]));
+  }
+  return value;
+}
+
+/**
+ * status: counts per queue directory plus jobs in progress
+ */
+async function showStatus() {
+  console.log('QUEUE STATUS');
+  console.log('='.repeat(60));
+  for (const [dirName, dir] of Object.entries(QUEUE_DIRS)) {
+    const files = await getAudioFiles(dir);
+    console.log(`${dirName.padEnd(12)} ${files.length}`);
+  }
+
+  const { budget, spent, exceeded } = await checkBudget();
+  if (budget !== null) {
+    console.log('-'.repeat(60));
+    console.log(`Spend this month: $${spent.toFixed(2)} of $${budget.toFixed(2)}${exceeded ? ' - QUEUE PAUSED' : ''}`);
+  }
+
+  const inProgress = await getAudioFiles(PROCESSING_DIR);
+  console.log('-'.repeat(60));
+
+  if (inProgress.length === 0) {
+    console.log('No jobs in progress');
+    return;
+  }
+
+  for (const file of inProgress) {
+    const checkpoint = await loadCheckpoint(path.join(PROCESSING_DIR, file));
+    const progress = describeProgress(checkpoint);
+    console.log(`⚙️  ${file}`);
+    console.log(`   Current: ${progress.current}`);
+    console.log(`   Done:    ${progress.completed.join(', ') || 'nothing yet'}`);
+  }
+}
+
+/**
+ * list <dir>: jobs in a queue directory (failed jobs include error details)
+ */
+async function listJobs(dirName = 'failed') {
+  const dir = QUEUE_DIRS[dirName];
+  if (!dir) {
+    throw new Error(`Unknown queue directory "${dirName}" (use: ${Object.keys(QUEUE_DIRS).join(', ')})`);
+  }
+
+  const files = (await getAudioFiles(dir)).sort();
+  console.log(`${dirName.toUpperCase()} (${files.length})`);
+  console.log('='.repeat(60));
+
+  for (const file of files) {
+    const errorLog = await readErrorLog(file, dir);
+    if (!errorLog) {
+      const stats = await fs.stat(path.join(dir, file));
+      console.log(`${file}  (${stats.mtime.toISOString()})`);
+      continue;
+    }
+
+    console.log(`${file}`);
+    console.log(`   Phase:   ${errorLog.phase} (${errorLog.errorClass || 'unclassified'}, ${errorLog.attempts || 1} attempt(s))`);
+    console.log(`   Failed:  ${errorLog.failedAt}`);
+    console.log(`   Error:   ${errorLog.error?.message}`);
+  }
+}
+
+/**
+ * retry <file> | --all: move failed jobs back to incoming/
+ *
+ * Checkpoints move with the audio, so the next run resumes where it failed.
+ */
+async function retryJobs(names, { all = false } = {}) {
+  const failedFiles = await getAudioFiles(FAILED_DIR);
+  const files = all
+    ? failedFiles
+    : names.map(name => failedFiles.find(file => file === name || path.parse(file).name === name) || name);
+
+  if (files.length === 0) {
+    console.log(all ? '📭 No failed files to retry' : 'Usage: retry <file> [<file> ...] | retry --all');
+    return;
+  }
+
+  for (const file of files) {
+    if (!failedFiles.includes(file)) {
+      console.error(`Not in failed/: ${file}`);
+      process.exitCode = 1;
+      continue;
+    }
+    await moveFile(file, FAILED_DIR, INCOMING_DIR);
+    await fs.unlink(getErrorLogPath(file, FAILED_DIR)).catch(() => {});
+  }
+}
+
+/**
+ * inspect <file>: saved phase outputs and error details for one job
+ */
+async function inspectJob(name, { full = false } = {}) {
+  if (!name) {
+    console.log('Usage: inspect <file> [--full]');
+    return;
+  }
+
+  const job = await findJob(name);
+  if (!job) {
+    throw new Error(`No job named ${name} in any queue directory`);
+  }
+
+  const audioPath = path.join(job.dir, job.filename);
+  const checkpoint = await loadCheckpoint(audioPath);
+  const manifest = await loadManifest(audioPath).catch(error => ({ error: error.message }));
+  const errorLog = await readErrorLog(job.filename, job.dir);
+  const show = value => JSON.stringify(full ? value : truncateForDisplay(value), null, 2);
+
+  console.log(`JOB: ${job.filename}`);
+  console.log('='.repeat(60));
+  console.log(`Location: ${job.dirName}/`);
+  if (manifest) {
+    console.log(`Manifest: ${show(manifest)}`);
+  }
+
+  for (const step of pipeline.steps) {
+    const outputs = getSavedOutputs(checkpoint, step.output);
+    console.log('\n' + '-'.repeat(60));
+    console.log(`Phase ${step.phase ?? step.name}: ${step.label || step.name}`);
+    if (outputs.length === 0) {
+      console.log('   (no saved output)');
+      continue;
+    }
+    for (const { part, saved } of outputs) {
+      console.log(`Completed${part ? ` (part ${part})` : ''}: ${saved.completedAt}`);
+      console.log(show(saved.result));
+    }
+  }
+
+  if (errorLog) {
+    console.log('\n' + '-'.repeat(60));
+    console.log('Error log:');
+    console.log(show(full ? errorLog : { ...errorLog, error: { message: errorLog.error?.message } }));
+  }
+}
+
+/**
+ * purge --older-than <duration>: delete old jobs from processed/ and failed/
+ */
+async function purgeJobs(olderThan) {
+  const maxAge = parseDuration(olderThan);
+  if (!maxAge) {
+    console.log('Usage: purge --older-than <duration>   (e.g. 30d, 12h, 2w)');
+    process.exitCode = 1;
+    return;
+  }
+
+  const cutoff = Date.now() - maxAge;
+  let purged = 0;
+
+  for (const dir of [PROCESSED_DIR, FAILED_DIR]) {
+    for (const file of await getAudioFiles(dir)) {
+      const audioPath = path.join(dir, file);
+      const stats = await fs.stat(audioPath);
+      if (stats.mtimeMs >= cutoff) continue;
+
+      const paths = [audioPath, getCheckpointPath(audioPath), getErrorLogPath(file, dir), ...getManifestPaths(audioPath)];
+      for (const target of paths) {
+        await fs.unlink(target).catch(() => {});
+      }
+      console.log(`🗑️  ${path.basename(dir)}/${file}`);
+      purged++;
+    }
+  }
+
+  console.log(`Purged ${purged} job(s) older than ${olderThan}`);
+}
+
+/**
+ * Format milliseconds as a short duration (e.g. 850ms, 12.4s, 3m 05s)
+ */
+function formatMs(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60 * 1000) return `${(ms / 1000).toFixed(1)}s`;
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * history: past jobs with outcome and time spent in each phase
+ */
+async function showHistory({ since, status, source } = {}) {
+  const maxAge = since ? parseDuration(since) : null;
+  if (since && !maxAge) {
+    console.log('Usage: history [--since <duration>] [--status published|failed|requeued] [--source queue|webhook]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const records = await readHistory({
+    since: maxAge ? new Date(Date.now() - maxAge) : undefined,
+    status,
+    source,
+  });
+
+  console.log(`JOB HISTORY (${records.length}${since ? `, last ${since}` : ''})`);
+  console.log('='.repeat(60));
+
+  const icons = { published: '✅', failed: '❌', requeued: '🔁' };
+
+  // Steps no longer registered sort last
+  const stepNames = pipeline.steps.map(step => step.name);
+  const runOrder = name => (stepNames.includes(name) ? stepNames.indexOf(name) : stepNames.length);
+
+  for (const record of records) {
+    console.log(`${icons[record.status] || '•'} ${record.startedAt}  ${record.status}  ${record.file} (${record.source})`);
+    for (const slug of record.slugs || [record.slug].filter(Boolean)) {
+      console.log(`   Post:    /blog/${slug}`);
+    }
+
+    // Split recordings record phases per post, e.g. part2.response -> P2#2.
+    // Steps without a phase number (preflight) go by their name.
+    const phases = Object.entries(record.phases || {})
+      .map(([key, phase]) => {
+        const [, part, name] = /^(?:part(\d+)\.)?(.*)$/.exec(key);
+        return { name, part: part ? Number(part) : 0, phase };
+      })
+      .sort((a, b) => runOrder(a.name) - runOrder(b.name) || a.part - b.part)
+      .map(({ name, part, phase }) => {
+        const label = `${phase.phase !== undefined ? `P${phase.phase}` : name}${part ? `#${part}` : ''}`;
+        return phase.status === 'completed' ? `${label} ${formatMs(phase.durationMs)}` : `${label} ${phase.status}`;
+      });
+    console.log(`   Phases:  ${phases.join(' · ') || 'none'}  (total ${formatMs(record.durationMs)})`);
+
+    const models = [...new Set(Object.values(record.phases || {}).map(phase => phase.model).filter(Boolean))];
+    if (models.length > 0) {
+      console.log(`   Models:  ${models.join(', ')}`);
+    }
+    if (record.tokens) {
+      console.log(`   Tokens:  ${record.tokens.input} in / ${record.tokens.output} out`);
+    }
+    if (record.error) {
+      const part = record.error.part ? ` part ${record.error.part}` : '';
+      const where = record.error.phase !== undefined ? `phase ${record.error.phase}` : record.error.step || 'unknown step';
+      console.log(`   Error:   ${where}${part} (${record.error.errorClass}): ${record.error.message}`);
+    }
+  }
+}
+
+/**
+ * retag [--check]: normalize the tags of published posts against the tag vocabulary
+ */
+async function retagJobs({ check = false } = {}) {
+  console.log(`Tag vocabulary: ${path.relative(__dirname, getVocabularyPath())}\n`);
+
+  const changes = await retagPosts({ write: !check });
+
+  for (const change of changes) {
+    console.log(`🏷️  ${path.basename(change.filePath)}`);
+    console.log(`   ${change.before.join(', ')}  →  ${change.after.join(', ')}`);
+  }
+
+  if (changes.length === 0) {
+    console.log('All post tags already match the vocabulary');
+  } else if (check) {
+    console.log(`\n${changes.length} post(s) would change (run without --check to rewrite them)`);
+    process.exitCode = 1;
+  } else {
+    console.log(`\nRewrote tags in ${changes.length} post(s)`);
+  }
+}
+
 /**
  * Main entry point
  */
 async function main() {
   console.log('🎙️  My Weird Prompts - Audio Queue Processor\n');
 
+  if (DRY_RUN) {
+    process.env.PIPELINE_OFFLINE = 'true';
+    process.env.PIPELINE_OUTPUT_DIR = process.env.PIPELINE_OUTPUT_DIR || path.join(QUEUE_DIR, 'output');
+    process.env.JOB_HISTORY_PATH = process.env.JOB_HISTORY_PATH || path.join(QUEUE_DIR, 'job-history.jsonl');
+    process.env.COST_LEDGER_PATH = process.env.COST_LEDGER_PATH || path.join(QUEUE_DIR, 'cost-ledger.jsonl');
+    process.env.POST_INDEX_PATH = process.env.POST_INDEX_PATH || path.join(QUEUE_DIR, 'post-index.json');
+    console.log('🧪 Dry run: using offline provider stand-ins (no network, no API keys)');
+    console.log(`   Queue:  ${path.relative(__dirname, QUEUE_DIR)}/`);
+    console.log(`   Output: ${path.relative(__dirname, process.env.PIPELINE_OUTPUT_DIR) || '.'}/\n`);
+  }
+
   // Ensure directories exist
   await ensureDirectories();
 
   const args = process.argv.slice(2);
   const watchMode = args.includes('--watch') || args.includes('-w');
+  const resumeMode = args.includes('--resume');
+
+  const concurrencyIndex = args.indexOf('--concurrency');
+  const concurrencyArg = concurrencyIndex !== -1 ? args[concurrencyIndex + 1] : process.env.QUEUE_CONCURRENCY;
+  const concurrency = parseInt(concurrencyArg, 10) || DEFAULT_CONCURRENCY;
+  const options = { concurrency };
+
+  const optionValue = name => (args.indexOf(name) !== -1 ? args[args.indexOf(name) + 1] : undefined);
+  const valueOptions = ['--concurrency', '--older-than', '--since', '--status', '--source'];
+
+  // Subcommands are the positional arguments (ignoring option values)
+  const optionValues = new Set(valueOptions.map(name => args.indexOf(name)).filter(i => i !== -1).map(i => i + 1));
+  const [command, ...commandArgs] = args.filter((arg, i) => !arg.startsWith('-') && !optionValues.has(i));
+
+  if (command) {
+    switch (command) {
+      case 'status':
+        return showStatus();
+      case 'list':
+        return listJobs(commandArgs[0]);
+      case 'retry':
+        return retryJobs(commandArgs, { all: args.includes('--all') });
+      case 'inspect':
+        return inspectJob(commandArgs[0], { full: args.includes('--full') });
+      case 'purge':
+        return purgeJobs(optionValue('--older-than'));
+      case 'history':
+        return showHistory({
+          since: optionValue('--since'),
+          status: optionValue('--status'),
+          source: optionValue('--source'),
+        });
+      case 'retag':
+        return retagJobs({ check: args.includes('--check') });
+      default:
+        throw new Error(`Unknown command "${command}" (use: status, list, retry, inspect, purge, history, retag)`);
+    }
+  }
+
+  // Files left in processing/ were interrupted mid-run (e.g. a forced exit),
+  // unless another queue process (say cron next to --watch) is working on them
+  const runningPid = await acquireQueueLock();
+  if (runningPid) {
+    console.warn(`⚠️  Another queue process (pid ${runningPid}) is running - leaving processing/ to it`);
+  } else {
+    await recoverInterrupted();
+  }
 
   if (watchMode) {
-    await watchQueue();
+    await watchQueue(options);
+  } else if (resumeMode) {
+    await resumeFailed(options);
   } else {
-    await processQueue();
+    await processQueue(options);
   }
 }
 